@@ -0,0 +1,27 @@
+-- Drops every table created by 0001_baseline.up.sql (all data is lost)
+SET FOREIGN_KEY_CHECKS = 0;
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS audit_log;
+DROP TABLE IF EXISTS api_keys;
+DROP TABLE IF EXISTS retention_policies;
+DROP TABLE IF EXISTS job_reports;
+DROP TABLE IF EXISTS user_identities;
+DROP TABLE IF EXISTS auth_throttle_locks;
+DROP TABLE IF EXISTS auth_throttle_events;
+DROP TABLE IF EXISTS mfa_recovery_codes;
+DROP TABLE IF EXISTS user_mfa;
+DROP TABLE IF EXISTS one_time_tokens;
+DROP TABLE IF EXISTS user_sessions;
+DROP TABLE IF EXISTS refresh_tokens;
+DROP TABLE IF EXISTS calendar_feed_tokens;
+DROP TABLE IF EXISTS interview_availability;
+DROP TABLE IF EXISTS interviews;
+DROP TABLE IF EXISTS applications;
+DROP TABLE IF EXISTS recruiter_profiles;
+DROP TABLE IF EXISTS jobs;
+DROP TABLE IF EXISTS company_invitations;
+DROP TABLE IF EXISTS company_members;
+DROP TABLE IF EXISTS companies;
+DROP TABLE IF EXISTS candidate_profiles;
+DROP TABLE IF EXISTS users;
+SET FOREIGN_KEY_CHECKS = 1;
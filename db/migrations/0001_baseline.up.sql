@@ -0,0 +1,390 @@
+-- Baseline: the schema as it stood when versioned migrations were introduced
+-- (previously created and patched in place by bootstrap() in src/db.js on every boot).
+-- Databases set up before then are adopted by `npm run migrate`, see src/utils/migrations.js.
+
+CREATE TABLE IF NOT EXISTS users (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  email VARCHAR(191) NOT NULL UNIQUE,
+  name VARCHAR(191) NULL,
+  phone VARCHAR(32) NULL,
+  password_hash VARCHAR(191) NOT NULL,
+  role ENUM('RECRUITER','CANDIDATE','ADMIN') NOT NULL DEFAULT 'CANDIDATE',
+  email_verified_at DATETIME NULL,
+  email_verification_sent_at DATETIME NULL,
+  has_password TINYINT(1) NOT NULL DEFAULT 1,
+  onboarding_incomplete TINYINT(1) NOT NULL DEFAULT 0,
+  suspended_at DATETIME NULL,
+  suspended_reason VARCHAR(255) NULL,
+  deletion_scheduled_at DATETIME NULL,
+  deleted_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Candidate profiles table
+CREATE TABLE IF NOT EXISTS candidate_profiles (
+  user_id INT PRIMARY KEY,
+  first_name VARCHAR(191) NULL,
+  last_name VARCHAR(191) NULL,
+  date_of_birth DATE NULL,
+  avatar_url VARCHAR(512) NULL,
+  resume_url VARCHAR(512) NULL,
+  career_objective TEXT NULL,
+  education JSON NULL,
+  experience JSON NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_candidate_profiles_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Companies (tenants): recruiters collaborate on a company's jobs according to their member role
+CREATE TABLE IF NOT EXISTS companies (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(191) NOT NULL,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_companies_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS company_members (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  company_id INT NOT NULL,
+  user_id INT NOT NULL,
+  role ENUM('OWNER','ADMIN','RECRUITER','VIEWER') NOT NULL DEFAULT 'RECRUITER',
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_company_member (company_id, user_id),
+  INDEX idx_company_member_user (user_id),
+  CONSTRAINT fk_company_member_company FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+  CONSTRAINT fk_company_member_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Invitations by email; only the SHA-256 hash of the emailed token is stored
+CREATE TABLE IF NOT EXISTS company_invitations (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  company_id INT NOT NULL,
+  email VARCHAR(191) NOT NULL,
+  role ENUM('OWNER','ADMIN','RECRUITER','VIEWER') NOT NULL DEFAULT 'RECRUITER',
+  token_hash CHAR(64) NOT NULL,
+  invited_by INT NULL,
+  expires_at DATETIME NOT NULL,
+  accepted_at DATETIME NULL,
+  accepted_by INT NULL,
+  revoked_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_company_invitation_token (token_hash),
+  INDEX idx_company_invitation_company (company_id),
+  CONSTRAINT fk_company_invitation_company FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+  CONSTRAINT fk_company_invitation_inviter FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT fk_company_invitation_acceptor FOREIGN KEY (accepted_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Jobs table
+CREATE TABLE IF NOT EXISTS jobs (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  recruiter_id INT NULL,
+  company_id INT NULL,
+  title VARCHAR(191) NOT NULL,
+  company_name VARCHAR(191) NULL,
+  location VARCHAR(191) NULL,
+  remote_flexible TINYINT(1) NOT NULL DEFAULT 0,
+  job_type ENUM('FULL_TIME','PART_TIME','CONTRACT','INTERNSHIP','TEMPORARY','FREELANCE') NULL,
+  salary INT NULL,
+  interview_duration INT NULL,
+  commencement_date DATE NULL,
+  intro TEXT NULL,
+  description TEXT NULL,
+  benefits TEXT NULL,
+  responsibilities JSON NULL,
+  requirements JSON NULL,
+  qualifications JSON NULL,
+  other_details JSON NULL,
+  skills_soft JSON NULL,
+  skills_technical JSON NULL,
+  skills_cognitive JSON NULL,
+  hiring_start_date DATE NULL,
+  hiring_end_date DATE NULL,
+  application_start_date DATE NULL,
+  application_end_date DATE NULL,
+  position_close_date DATE NULL,
+  allow_international TINYINT(1) NOT NULL DEFAULT 0,
+  shortlist TINYINT(1) NOT NULL DEFAULT 0,
+  auto_close TINYINT(1) NOT NULL DEFAULT 0,
+  status ENUM('DRAFT','PENDING_REVIEW','PUBLISHED','CLOSED','ARCHIVED') NOT NULL DEFAULT 'DRAFT',
+  closed_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_jobs_recruiter_id (recruiter_id),
+  INDEX idx_jobs_company_id (company_id),
+  INDEX idx_jobs_status (status),
+  CONSTRAINT fk_jobs_recruiter FOREIGN KEY (recruiter_id) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT fk_jobs_company FOREIGN KEY (company_id) REFERENCES companies(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Recruiter profiles table
+CREATE TABLE IF NOT EXISTS recruiter_profiles (
+  user_id INT PRIMARY KEY,
+  first_name VARCHAR(191) NULL,
+  last_name VARCHAR(191) NULL,
+  date_of_birth DATE NULL,
+  company_name VARCHAR(191) NULL,
+  position VARCHAR(191) NULL,
+  avatar_url VARCHAR(512) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_profiles_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Applications table (candidate applications to jobs)
+CREATE TABLE IF NOT EXISTS applications (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  job_id INT NOT NULL,
+  candidate_id INT NOT NULL,
+  status ENUM('APPLIED','PASSED','FAILED') NOT NULL DEFAULT 'APPLIED',
+  source ENUM('APPLY','ADDED','REFERRED','DISCOVERED') NULL,
+  resume_url VARCHAR(512) NULL,
+  cover_letter TEXT NULL,
+  score INT NULL,
+  tags JSON NULL,
+  notes TEXT NULL,
+  anonymized_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_app_job_candidate (job_id, candidate_id),
+  INDEX idx_app_job (job_id),
+  INDEX idx_app_candidate (candidate_id),
+  INDEX idx_app_status (status),
+  CONSTRAINT fk_app_job FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE,
+  CONSTRAINT fk_app_candidate FOREIGN KEY (candidate_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Interviews table (scheduled per application)
+CREATE TABLE IF NOT EXISTS interviews (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  application_id INT NOT NULL,
+  scheduled_at DATETIME NOT NULL,
+  duration_minutes INT NOT NULL DEFAULT 60,
+  meeting_url VARCHAR(512) NULL,
+  location VARCHAR(191) NULL,
+  interviewers JSON NULL,
+  notes TEXT NULL,
+  status ENUM('SCHEDULED','CONFIRMED','DECLINED','CANCELLED','COMPLETED') NOT NULL DEFAULT 'SCHEDULED',
+  decline_reason VARCHAR(512) NULL,
+  sequence INT NOT NULL DEFAULT 0,
+  created_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_interviews_application (application_id),
+  INDEX idx_interviews_scheduled_at (scheduled_at),
+  CONSTRAINT fk_interviews_application FOREIGN KEY (application_id) REFERENCES applications(id) ON DELETE CASCADE,
+  CONSTRAINT fk_interviews_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Recruiter availability windows per job (candidates self-schedule into slots)
+CREATE TABLE IF NOT EXISTS interview_availability (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  job_id INT NOT NULL,
+  recruiter_id INT NOT NULL,
+  starts_at DATETIME NOT NULL,
+  ends_at DATETIME NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_availability_job (job_id, starts_at),
+  INDEX idx_availability_recruiter (recruiter_id),
+  CONSTRAINT fk_availability_job FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE,
+  CONSTRAINT fk_availability_recruiter FOREIGN KEY (recruiter_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Calendar feed tokens (one per user; only the SHA-256 hash is stored)
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+  user_id INT PRIMARY KEY,
+  token_hash CHAR(64) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_calendar_feed_token (token_hash),
+  CONSTRAINT fk_calendar_feed_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Refresh tokens (hashed). family_id groups one login session's rotation chain.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  family_id CHAR(36) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  revoked_reason VARCHAR(32) NULL,
+  replaced_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_refresh_token_hash (token_hash),
+  INDEX idx_refresh_user (user_id),
+  INDEX idx_refresh_family (family_id),
+  CONSTRAINT fk_refresh_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Login sessions (one per refresh token family) for the session management API
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  family_id CHAR(36) NOT NULL,
+  ip VARCHAR(64) NULL,
+  user_agent VARCHAR(512) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_session_family (family_id),
+  INDEX idx_session_user (user_id),
+  CONSTRAINT fk_session_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Single-use emailed tokens (password reset, ...). Only the SHA-256 hash is stored.
+CREATE TABLE IF NOT EXISTS one_time_tokens (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  purpose VARCHAR(32) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_one_time_token_hash (token_hash),
+  INDEX idx_one_time_user_purpose (user_id, purpose),
+  CONSTRAINT fk_one_time_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- TOTP two-factor authentication (secret encrypted at rest; enabled once the first code is verified)
+CREATE TABLE IF NOT EXISTS user_mfa (
+  user_id INT PRIMARY KEY,
+  secret_enc VARCHAR(255) NOT NULL,
+  enabled_at DATETIME NULL,
+  last_used_step BIGINT NULL,
+  challenge_id CHAR(36) NULL,
+  challenge_failures INT NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_user_mfa_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  used_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_recovery_code (user_id, code_hash),
+  CONSTRAINT fk_recovery_code_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Login throttling (MySQL store for utils/loginThrottle.js, shared across PM2 instances).
+-- Keys are SHA-256 hashes of e.g. `ip:1.2.3.4` / `account:email`; times are UTC.
+CREATE TABLE IF NOT EXISTS auth_throttle_events (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  throttle_key CHAR(64) NOT NULL,
+  created_at DATETIME(3) NOT NULL,
+  INDEX idx_throttle_key_time (throttle_key, created_at),
+  INDEX idx_throttle_time (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS auth_throttle_locks (
+  throttle_key CHAR(64) PRIMARY KEY,
+  locked_until DATETIME NOT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- External sign-in identities (OAuth/OIDC) linked to users
+CREATE TABLE IF NOT EXISTS user_identities (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  provider VARCHAR(32) NOT NULL,
+  provider_user_id VARCHAR(191) NOT NULL,
+  email VARCHAR(191) NULL,
+  email_verified TINYINT(1) NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_login_at DATETIME NULL,
+  UNIQUE KEY uniq_identity_provider_user (provider, provider_user_id),
+  UNIQUE KEY uniq_identity_user_provider (user_id, provider),
+  CONSTRAINT fk_identity_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Reports of job postings (spam, scams, ...) for the admin moderation queue; one per reporter per job
+CREATE TABLE IF NOT EXISTS job_reports (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  job_id INT NOT NULL,
+  reporter_id INT NULL,
+  reason ENUM('SPAM','SCAM','OFFENSIVE','DISCRIMINATORY','MISLEADING','OTHER') NOT NULL,
+  details TEXT NULL,
+  status ENUM('OPEN','RESOLVED','DISMISSED') NOT NULL DEFAULT 'OPEN',
+  resolved_by INT NULL,
+  resolved_at DATETIME NULL,
+  resolution_note VARCHAR(500) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_job_report_reporter (job_id, reporter_id),
+  INDEX idx_job_reports_status (status, created_at),
+  CONSTRAINT fk_job_report_job FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE,
+  CONSTRAINT fk_job_report_reporter FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT fk_job_report_resolver FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Data retention rules: one global row (company_id NULL) and optional per-company overrides.
+-- Each *_days is the retention period in days; NULL keeps the data (or inherits the global rule).
+CREATE TABLE IF NOT EXISTS retention_policies (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  company_id INT NULL,
+  failed_applications_days INT NULL,
+  closed_job_applications_days INT NULL,
+  read_notifications_days INT NULL,
+  updated_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_retention_company (company_id),
+  CONSTRAINT fk_retention_company FOREIGN KEY (company_id) REFERENCES companies(id) ON DELETE CASCADE,
+  CONSTRAINT fk_retention_updated_by FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Recruiter API keys (server-to-server); only the SHA-256 hash of the key is stored
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  prefix VARCHAR(16) NOT NULL,
+  key_hash CHAR(64) NOT NULL,
+  scopes JSON NOT NULL,
+  expires_at DATETIME NULL,
+  last_used_at DATETIME NULL,
+  last_used_ip VARCHAR(64) NULL,
+  revoked_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_api_key_hash (key_hash),
+  INDEX idx_api_keys_user (user_id),
+  CONSTRAINT fk_api_key_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Audit trail of admin actions and of every request made while impersonating a user
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  actor_id INT NULL,
+  subject_user_id INT NULL,
+  action VARCHAR(64) NOT NULL,
+  method VARCHAR(10) NULL,
+  path VARCHAR(512) NULL,
+  status_code SMALLINT NULL,
+  ip VARCHAR(64) NULL,
+  user_agent VARCHAR(512) NULL,
+  details JSON NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  INDEX idx_audit_actor (actor_id, created_at),
+  INDEX idx_audit_subject (subject_user_id, created_at),
+  INDEX idx_audit_action (action, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Notifications table
+CREATE TABLE IF NOT EXISTS notifications (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  type VARCHAR(50) NULL,
+  title VARCHAR(191) NOT NULL,
+  message TEXT NULL,
+  data JSON NULL,
+  read_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_notif_user (user_id),
+  INDEX idx_notif_read (read_at),
+  CONSTRAINT fk_notif_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1 @@
+-- Nothing to revert: 0002 only brings pre-migration databases up to the 0001 baseline.
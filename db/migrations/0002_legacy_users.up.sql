@@ -0,0 +1,70 @@
+-- users: columns added after the first release, and the ADMIN role
+-- Databases created before versioned migrations were patched in place on every boot; this brings
+-- such a database up to the 0001 baseline. Every change checks information_schema first, so it
+-- is a no-op on databases created from the baseline.
+
+-- Phone number
+SET @ddl = IF(NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'users' AND column_name = 'phone'),
+  'ALTER TABLE users ADD COLUMN phone VARCHAR(32) NULL AFTER name',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Email verification. Accounts that predate it count as verified (since sign-up), otherwise the
+-- publish/apply policy would lock every existing user out until they click a link they never got.
+SET @backfill_email_verified = NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'users' AND column_name = 'email_verified_at');
+SET @ddl = IF(@backfill_email_verified,
+  'ALTER TABLE users ADD COLUMN email_verified_at DATETIME NULL AFTER role',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+SET @ddl = IF(@backfill_email_verified,
+  'UPDATE users SET email_verified_at = created_at',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Email verification resend throttle
+SET @ddl = IF(NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'users' AND column_name = 'email_verification_sent_at'),
+  'ALTER TABLE users ADD COLUMN email_verification_sent_at DATETIME NULL AFTER email_verified_at',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- False for OAuth sign-ups with a random password
+SET @ddl = IF(NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'users' AND column_name = 'has_password'),
+  'ALTER TABLE users ADD COLUMN has_password TINYINT(1) NOT NULL DEFAULT 1 AFTER email_verification_sent_at',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Set for OAuth sign-ups until they save their profile
+SET @ddl = IF(NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'users' AND column_name = 'onboarding_incomplete'),
+  'ALTER TABLE users ADD COLUMN onboarding_incomplete TINYINT(1) NOT NULL DEFAULT 0 AFTER has_password',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Admin suspension
+SET @ddl = IF(NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'users' AND column_name = 'suspended_at'),
+  'ALTER TABLE users ADD COLUMN suspended_at DATETIME NULL AFTER onboarding_incomplete',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Admin suspension reason
+SET @ddl = IF(NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'users' AND column_name = 'suspended_reason'),
+  'ALTER TABLE users ADD COLUMN suspended_reason VARCHAR(255) NULL AFTER suspended_at',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- DELETE /auth/me grace period
+SET @ddl = IF(NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'users' AND column_name = 'deletion_scheduled_at'),
+  'ALTER TABLE users ADD COLUMN deletion_scheduled_at DATETIME NULL AFTER suspended_reason',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Anonymized account tombstone
+SET @ddl = IF(NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'users' AND column_name = 'deleted_at'),
+  'ALTER TABLE users ADD COLUMN deleted_at DATETIME NULL AFTER deletion_scheduled_at',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Platform administrators
+SET @ddl = IF((SELECT column_type FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'users' AND column_name = 'role') NOT LIKE '%''ADMIN''%',
+  'ALTER TABLE users MODIFY COLUMN role ENUM(''RECRUITER'',''CANDIDATE'',''ADMIN'') NOT NULL DEFAULT ''CANDIDATE''',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
@@ -0,0 +1,121 @@
+-- jobs: columns added, renamed and dropped after the first release, the company link and lifecycle states
+-- Databases created before versioned migrations were patched in place on every boot; this brings
+-- such a database up to the 0001 baseline. Every change checks information_schema first, so it
+-- is a no-op on databases created from the baseline.
+
+-- Benefits text
+SET @ddl = IF(NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'benefits'),
+  'ALTER TABLE jobs ADD COLUMN benefits TEXT NULL AFTER description',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Salary
+SET @ddl = IF(NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'salary'),
+  'ALTER TABLE jobs ADD COLUMN salary INT NULL AFTER job_type',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Default interview length in minutes
+SET @ddl = IF(NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'interview_duration'),
+  'ALTER TABLE jobs ADD COLUMN interview_duration INT NULL AFTER salary',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Position close date
+SET @ddl = IF(NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'position_close_date'),
+  'ALTER TABLE jobs ADD COLUMN position_close_date DATE NULL AFTER application_end_date',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Shortlist flag
+SET @ddl = IF(NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'shortlist'),
+  'ALTER TABLE jobs ADD COLUMN shortlist TINYINT(1) NOT NULL DEFAULT 0 AFTER allow_international',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- shortlist was nullable in the original schema
+UPDATE jobs SET shortlist = 0 WHERE shortlist IS NULL;
+
+-- shortlist NOT NULL
+SET @ddl = IF(EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'shortlist' AND is_nullable = 'YES'),
+  'ALTER TABLE jobs MODIFY COLUMN shortlist TINYINT(1) NOT NULL DEFAULT 0',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- reasons_to_hire was renamed to responsibilities
+SET @ddl = IF(EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'reasons_to_hire') AND NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'responsibilities'),
+  'ALTER TABLE jobs CHANGE COLUMN reasons_to_hire responsibilities JSON NULL',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Responsibilities (when neither column existed)
+SET @ddl = IF(NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'responsibilities'),
+  'ALTER TABLE jobs ADD COLUMN responsibilities JSON NULL AFTER description',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Deprecated column department
+SET @ddl = IF(EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'department'),
+  'ALTER TABLE jobs DROP COLUMN department',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Deprecated column remote_type
+SET @ddl = IF(EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'remote_type'),
+  'ALTER TABLE jobs DROP COLUMN remote_type',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Deprecated column salary_min
+SET @ddl = IF(EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'salary_min'),
+  'ALTER TABLE jobs DROP COLUMN salary_min',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Deprecated column salary_max
+SET @ddl = IF(EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'salary_max'),
+  'ALTER TABLE jobs DROP COLUMN salary_max',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Deprecated column salary_currency
+SET @ddl = IF(EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'salary_currency'),
+  'ALTER TABLE jobs DROP COLUMN salary_currency',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Deprecated column salary_period
+SET @ddl = IF(EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'salary_period'),
+  'ALTER TABLE jobs DROP COLUMN salary_period',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Deprecated column reasons_to_hire
+SET @ddl = IF(EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'reasons_to_hire'),
+  'ALTER TABLE jobs DROP COLUMN reasons_to_hire',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Deprecated column attributes
+SET @ddl = IF(EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'attributes'),
+  'ALTER TABLE jobs DROP COLUMN attributes',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Owning company
+SET @ddl = IF(NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'company_id'),
+  'ALTER TABLE jobs ADD COLUMN company_id INT NULL AFTER recruiter_id, ADD INDEX idx_jobs_company_id (company_id), ADD CONSTRAINT fk_jobs_company FOREIGN KEY (company_id) REFERENCES companies(id)',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Lifecycle states (CLOSED/ARCHIVED) and the review queue (PENDING_REVIEW)
+SET @ddl = IF((SELECT column_type FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'status') NOT LIKE '%''PENDING_REVIEW''%' OR (SELECT column_type FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'status') NOT LIKE '%''ARCHIVED''%' OR (SELECT column_type FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'status') NOT LIKE '%''CLOSED''%',
+  'ALTER TABLE jobs MODIFY COLUMN status ENUM(''DRAFT'',''PENDING_REVIEW'',''PUBLISHED'',''CLOSED'',''ARCHIVED'') NOT NULL DEFAULT ''DRAFT''',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Start of the closed-job retention period; older closed jobs use updated_at
+SET @ddl = IF(NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'jobs' AND column_name = 'closed_at'),
+  'ALTER TABLE jobs ADD COLUMN closed_at DATETIME NULL AFTER status',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
@@ -0,0 +1 @@
+-- Nothing to revert: the companies created by 0004 are ordinary companies by now.
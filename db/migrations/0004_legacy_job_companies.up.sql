@@ -0,0 +1,29 @@
+-- Move jobs created before companies existed into their recruiter's company. A recruiter without a
+-- company gets one of their own (as OWNER, named after their profile's company, name or email);
+-- recruiters in several companies keep their old jobs until they are moved by hand.
+-- No-op once every job has a company.
+
+SET @last_company_id = (SELECT COALESCE(MAX(id), 0) FROM companies);
+
+INSERT INTO companies (name, created_by)
+SELECT LEFT(COALESCE(NULLIF(rp.company_name, ''), NULLIF(u.name, ''), u.email), 191), u.id
+FROM users u
+LEFT JOIN recruiter_profiles rp ON rp.user_id = u.id
+WHERE u.id IN (SELECT recruiter_id FROM jobs WHERE company_id IS NULL AND recruiter_id IS NOT NULL)
+  AND NOT EXISTS (
+    SELECT 1 FROM company_members m WHERE m.user_id = u.id AND m.role IN ('OWNER','ADMIN','RECRUITER')
+  );
+
+INSERT INTO company_members (company_id, user_id, role)
+SELECT c.id, c.created_by, 'OWNER' FROM companies c WHERE c.id > @last_company_id;
+
+UPDATE jobs j
+JOIN (
+  SELECT m.user_id, MIN(m.company_id) AS company_id
+  FROM company_members m
+  WHERE m.role IN ('OWNER','ADMIN','RECRUITER')
+  GROUP BY m.user_id
+  HAVING COUNT(*) = 1
+) only_company ON only_company.user_id = j.recruiter_id
+SET j.company_id = only_company.company_id
+WHERE j.company_id IS NULL;
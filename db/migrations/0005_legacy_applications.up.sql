@@ -0,0 +1,32 @@
+-- applications and interviews: the simplified application status set and later columns
+-- Databases created before versioned migrations were patched in place on every boot; this brings
+-- such a database up to the 0001 baseline. Every change checks information_schema first, so it
+-- is a no-op on databases created from the baseline.
+
+-- Application statuses were simplified to APPLIED/PASSED/FAILED: widen the enum so old values can be mapped
+SET @ddl = IF((SELECT column_type FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'applications' AND column_name = 'status') LIKE '%''SCREENING''%' OR (SELECT column_type FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'applications' AND column_name = 'status') LIKE '%''INTERVIEW''%' OR (SELECT column_type FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'applications' AND column_name = 'status') LIKE '%''OFFER''%' OR (SELECT column_type FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'applications' AND column_name = 'status') LIKE '%''HIRED''%' OR (SELECT column_type FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'applications' AND column_name = 'status') LIKE '%''REJECTED''%',
+  'ALTER TABLE applications MODIFY COLUMN status ENUM(''APPLIED'',''SCREENING'',''INTERVIEW'',''OFFER'',''HIRED'',''REJECTED'',''PASSED'',''FAILED'') NOT NULL DEFAULT ''APPLIED''',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+UPDATE applications SET status = 'APPLIED' WHERE status IN ('SCREENING','INTERVIEW','OFFER');
+UPDATE applications SET status = 'FAILED' WHERE status = 'REJECTED';
+UPDATE applications SET status = 'PASSED' WHERE status = 'HIRED';
+
+-- then narrow it
+SET @ddl = IF((SELECT column_type FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'applications' AND column_name = 'status') <> 'enum(''APPLIED'',''PASSED'',''FAILED'')',
+  'ALTER TABLE applications MODIFY COLUMN status ENUM(''APPLIED'',''PASSED'',''FAILED'') NOT NULL DEFAULT ''APPLIED''',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- Set by the retention sweeper
+SET @ddl = IF(NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'applications' AND column_name = 'anonymized_at'),
+  'ALTER TABLE applications ADD COLUMN anonymized_at DATETIME NULL AFTER notes',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
+
+-- iCalendar SEQUENCE, bumped on every change
+SET @ddl = IF(NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = 'interviews' AND column_name = 'sequence'),
+  'ALTER TABLE interviews ADD COLUMN sequence INT NOT NULL DEFAULT 0 AFTER decline_reason',
+  'SELECT 1');
+PREPARE stmt FROM @ddl; EXECUTE stmt; DEALLOCATE PREPARE stmt;
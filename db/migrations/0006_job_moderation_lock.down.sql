@@ -0,0 +1,3 @@
+ALTER TABLE jobs
+  DROP COLUMN moderation_locked_reason,
+  DROP COLUMN moderation_locked_at;
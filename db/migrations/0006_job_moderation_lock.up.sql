@@ -0,0 +1,4 @@
+-- Moderator takedowns: a job unpublished by an admin stays locked until an admin approves it again
+ALTER TABLE jobs
+  ADD COLUMN moderation_locked_at DATETIME NULL AFTER closed_at,
+  ADD COLUMN moderation_locked_reason VARCHAR(255) NULL AFTER moderation_locked_at;
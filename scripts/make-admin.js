@@ -0,0 +1,33 @@
+// Promote an existing account to platform ADMIN (or back to another role).
+//
+//   npm run make-admin -- someone@example.com
+//   npm run make-admin -- someone@example.com RECRUITER
+//
+// Requests are authorized with the role stored here (src/utils/auth.js), so it applies right away;
+// the `role` claim of access tokens catches up at the next sign-in or /auth/refresh.
+import 'dotenv/config';
+import { initDB, pool, getUserByEmail, setUserRole } from '../src/db.js';
+
+const ROLES = ['ADMIN', 'RECRUITER', 'CANDIDATE'];
+
+async function main() {
+  const [email, role = 'ADMIN'] = process.argv.slice(2);
+  if (!email || !ROLES.includes(role.toUpperCase())) {
+    console.error(`Usage: npm run make-admin -- <email> [${ROLES.join('|')}]`);
+    process.exit(1);
+  }
+  await initDB();
+  const user = await getUserByEmail(email);
+  if (!user) {
+    console.error(`No user with email ${email}`);
+    process.exit(1);
+  }
+  await setUserRole(user.id, role.toUpperCase());
+  console.log(`${user.email} (id=${user.id}) is now ${role.toUpperCase()}`);
+  try { await pool.end(); } catch {}
+}
+
+main().catch((err) => {
+  console.error('make-admin error:', err);
+  process.exit(1);
+});
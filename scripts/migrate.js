@@ -0,0 +1,59 @@
+// Database migrations (db/migrations, see src/utils/migrations.js).
+//
+//   npm run migrate                        apply pending migrations
+//   npm run migrate:status                 list migrations and whether they are applied
+//   npm run migrate:down                   revert the latest migration
+//   npm run migrate:down -- --steps 2      revert the latest two
+//   npm run migrate:down -- --force        also allowed to revert the baseline (drops every table)
+import 'dotenv/config';
+import { migrationStatus, migrateUp, migrateDown } from '../src/utils/migrations.js';
+
+const USAGE = 'Usage: node scripts/migrate.js <up|status|down> [--steps N] [--force]';
+
+function parseArgs(args) {
+  const options = { steps: 1, force: false };
+  for (let i = 0; i < args.length; i += 1) {
+    if (args[i] === '--force') options.force = true;
+    else if (args[i] === '--steps') options.steps = Number(args[++i]);
+    else return null;
+  }
+  return Number.isInteger(options.steps) && options.steps > 0 ? options : null;
+}
+
+async function printStatus() {
+  const { migrations, missing } = await migrationStatus();
+  for (const m of migrations) {
+    const when = m.applied_at ? new Date(m.applied_at).toISOString() : '';
+    console.log(`${m.state.padEnd(8)} ${m.version}_${m.name} ${when}`.trimEnd());
+  }
+  for (const row of missing) console.log(`${'missing'.padEnd(8)} ${row.version}_${row.name} (no files for this version)`);
+  const pending = migrations.filter((m) => m.state === 'pending').length;
+  const changed = migrations.filter((m) => m.state === 'changed').length;
+  console.log(`\n${migrations.length - pending - changed} applied, ${pending} pending, ${changed} changed, ${missing.length} missing`);
+  return pending || changed || missing.length ? 1 : 0;
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const options = parseArgs(rest);
+  if (!['up', 'status', 'down'].includes(command) || !options) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  let exitCode = 0;
+  if (command === 'status') {
+    exitCode = await printStatus();
+  } else if (command === 'up') {
+    const applied = await migrateUp();
+    if (!applied.length) console.log('[migrate] database is up to date');
+  } else {
+    const reverted = await migrateDown(options);
+    if (!reverted.length) console.log('[migrate] nothing to revert');
+  }
+  process.exit(exitCode);
+}
+
+main().catch((err) => {
+  console.error('migrate error:', err.message || err);
+  process.exit(1);
+});
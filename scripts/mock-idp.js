@@ -0,0 +1,101 @@
+// Minimal OpenID Connect provider for local development and testing of the generic OIDC sign-in.
+// Not for production: every authorization request is approved for a fixed test user.
+//
+//   npm run mock-idp
+//   OIDC_PROVIDERS=mock OIDC_MOCK_ISSUER=http://localhost:4000 OIDC_MOCK_CLIENT_ID=heyhr npm run dev
+//   open http://localhost:3000/auth/oauth/mock?redirect_uri=http://localhost:3000/web/
+//
+// Env: MOCK_IDP_PORT (4000), MOCK_IDP_EMAIL, MOCK_IDP_NAME, MOCK_IDP_SUB, MOCK_IDP_EMAIL_VERIFIED (true)
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+const PORT = Number(process.env.MOCK_IDP_PORT || 4000);
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+const USER = {
+  sub: process.env.MOCK_IDP_SUB || 'mock-user-1',
+  email: process.env.MOCK_IDP_EMAIL || 'oidc.user@example.com',
+  email_verified: String(process.env.MOCK_IDP_EMAIL_VERIFIED || 'true') === 'true',
+  name: process.env.MOCK_IDP_NAME || 'Olivia Idp',
+  given_name: (process.env.MOCK_IDP_NAME || 'Olivia Idp').split(' ')[0],
+  family_name: (process.env.MOCK_IDP_NAME || 'Olivia Idp').split(' ').slice(1).join(' '),
+};
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = crypto.randomBytes(8).toString('hex');
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' };
+
+// code -> { client_id, redirect_uri, nonce, code_challenge }; access token -> user
+const codes = new Map();
+const accessTokens = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (_req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+  });
+});
+
+app.get('/jwks', (_req, res) => res.json({ keys: [jwk] }));
+
+// Auto-approves and redirects straight back with a code
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, response_type, state, nonce, code_challenge, code_challenge_method } = req.query;
+  if (response_type !== 'code' || !client_id || !redirect_uri) return res.status(400).send('invalid_request');
+  if (code_challenge && code_challenge_method !== 'S256') return res.status(400).send('invalid_request');
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, { client_id, redirect_uri, nonce, code_challenge });
+  const url = new URL(String(redirect_uri));
+  url.searchParams.set('code', code);
+  if (state) url.searchParams.set('state', String(state));
+  return res.redirect(url.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, code_verifier } = req.body;
+  let client_id = req.body.client_id;
+  const basic = /^Basic (.+)$/.exec(req.get('authorization') || '');
+  if (basic) client_id = decodeURIComponent(Buffer.from(basic[1], 'base64').toString().split(':')[0]);
+
+  const grant = codes.get(code);
+  codes.delete(code);
+  if (grant_type !== 'authorization_code' || !grant) return res.status(400).json({ error: 'invalid_grant' });
+  if (grant.client_id !== client_id || grant.redirect_uri !== redirect_uri) return res.status(400).json({ error: 'invalid_grant' });
+  if (grant.code_challenge) {
+    const challenge = crypto.createHash('sha256').update(String(code_verifier || '')).digest('base64url');
+    if (challenge !== grant.code_challenge) return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE' });
+  }
+
+  const access_token = crypto.randomBytes(16).toString('hex');
+  accessTokens.set(access_token, USER);
+  const id_token = jwt.sign({ ...USER, ...(grant.nonce ? { nonce: grant.nonce } : {}) }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KID,
+    issuer: ISSUER,
+    audience: client_id,
+    expiresIn: '5m',
+  });
+  return res.json({ access_token, token_type: 'Bearer', expires_in: 300, id_token });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.get('authorization') || '').replace(/^Bearer /, '');
+  const user = accessTokens.get(token);
+  if (!user) return res.status(401).json({ error: 'invalid_token' });
+  return res.json(user);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider on ${ISSUER} (user ${USER.email})`);
+});
@@ -4,14 +4,17 @@ import {
   pool,
   getUserByEmail,
   createUser,
+  markEmailVerified,
   upsertRecruiterProfile,
   upsertCandidateProfile,
   createJob,
+  ensureDefaultCompany,
   createApplication,
   createInterview,
   createNotification,
 } from '../src/db.js';
 import { hashPassword } from '../src/utils/password.js';
+import { assertSchemaCurrent } from '../src/utils/migrations.js';
 
 const DEFAULT_PASSWORD = process.env.SEED_PASSWORD || 'Passw0rd!';
 
@@ -25,6 +28,8 @@ async function ensureUser({ email, name, phone, role, profile }) {
   }
   const password_hash = await hashPassword(DEFAULT_PASSWORD);
   const { id } = await createUser({ email, name, phone, password_hash, role });
+  // Seeded accounts are pre-verified so they can publish/apply under the email verification policy
+  await markEmailVerified(id, email);
   console.log(`Created user: ${email} (id=${id}, role=${role})`);
   if (profile?.type === 'recruiter') await upsertRecruiterProfile(id, profile.data);
   if (profile?.type === 'candidate') await upsertCandidateProfile(id, profile.data);
@@ -40,7 +45,9 @@ async function ensureJob(recruiter_id, job) {
     console.log(`Job exists: ${job.title} (id=${rows[0].id})`);
     return rows[0].id;
   }
-  const { id } = await createJob({ recruiter_id, ...job });
+  // Jobs belong to the recruiter's company (created from their profile's company_name on first use)
+  const company = await ensureDefaultCompany(recruiter_id);
+  const { id } = await createJob({ recruiter_id, company_id: company?.id ?? null, ...job });
   console.log(`Created job: ${job.title} (id=${id})`);
   return id;
 }
@@ -96,6 +103,7 @@ async function ensureNotification(user_id, notif) {
 
 async function main() {
   await initDB();
+  await assertSchemaCurrent();
 
   // Recruiters
   const rec1 = await ensureUser({
@@ -157,6 +165,14 @@ async function main() {
     },
   });
 
+  // Platform admin (moderation, user management)
+  await ensureUser({
+    email: 'admin@heyhr.test',
+    name: 'Admin',
+    phone: null,
+    role: 'ADMIN',
+  });
+
   // Jobs
   const job1 = await ensureJob(rec1, {
     title: 'Software Engineer',
@@ -270,6 +286,7 @@ async function main() {
   console.log('- Recruiter: rec2@heyhr.test');
   console.log('- Candidate: cand1@heyhr.test');
   console.log('- Candidate: cand2@heyhr.test');
+  console.log('- Admin: admin@heyhr.test');
 
   try { await pool.end(); } catch {}
 }
@@ -1,9 +1,10 @@
 import mysql from 'mysql2/promise';
+import { findSlot } from './utils/slots.js';
 
 export let pool;
 
-export async function initDB() {
-  if (pool) return pool;
+// Connection settings from the environment (also used by src/utils/migrations.js)
+export function dbConfig() {
   const {
     MYSQL_HOST = 'localhost',
     MYSQL_PORT = '3306',
@@ -11,329 +12,1392 @@ export async function initDB() {
     MYSQL_PASSWORD = '',
     MYSQL_DB = 'heyhr',
   } = process.env;
-
-  pool = mysql.createPool({
+  return {
     host: MYSQL_HOST,
     port: Number(MYSQL_PORT),
     user: MYSQL_USER,
     password: MYSQL_PASSWORD,
     database: MYSQL_DB,
+    // DATETIME columns hold UTC: read them as UTC and write Dates as UTC
+    timezone: 'Z',
+  };
+}
+
+// Run on every connection, so column defaults (UTC_TIMESTAMP()) are UTC like UTC_TIMESTAMP()
+export const UTC_SESSION_SQL = "SET time_zone = '+00:00'";
+
+// Create the pool. The schema itself is managed by versioned migrations (db/migrations,
+// `npm run migrate`); the server checks it is current before serving (utils/migrations.js).
+export async function initDB() {
+  if (pool) return pool;
+  pool = mysql.createPool({
+    ...dbConfig(),
     connectionLimit: 10,
     namedPlaceholders: true,
   });
+  pool.on('connection', (conn) => conn.query(UTC_SESSION_SQL));
+  return pool;
+}
+
+export async function getUserByEmail(email) {
+  const [rows] = await pool.query('SELECT * FROM users WHERE email = :email LIMIT 1', { email });
+  return rows[0] || null;
+}
+
+export async function getUserById(id) {
+  const [rows] = await pool.query(
+    'SELECT id, email, name, phone, role, email_verified_at, onboarding_incomplete, suspended_at, deletion_scheduled_at FROM users WHERE id = :id LIMIT 1',
+    { id }
+  );
+  return rows[0] ? { ...rows[0], onboarding_incomplete: !!rows[0].onboarding_incomplete } : null;
+}
+
+export async function getUserAuthById(id) {
+  const [rows] = await pool.query('SELECT * FROM users WHERE id = :id LIMIT 1', { id });
+  return rows[0] || null;
+}
+
+// has_password=false for OAuth sign-ups whose password_hash is random (they can set one via reset)
+export async function createUser({ email, name, phone, password_hash, role, has_password = true, onboarding_incomplete = false }) {
+  const [res] = await pool.query(
+    `INSERT INTO users (email, name, phone, password_hash, role, has_password, onboarding_incomplete)
+     VALUES (:email, :name, :phone, :password_hash, :role, :has_password, :onboarding_incomplete)`,
+    {
+      email,
+      name: name || null,
+      phone: phone || null,
+      password_hash,
+      role,
+      has_password: has_password ? 1 : 0,
+      onboarding_incomplete: onboarding_incomplete ? 1 : 0,
+    }
+  );
+  return { id: res.insertId };
+}
+
+export async function updateUserPassword(id, password_hash) {
+  const [res] = await pool.query(
+    'UPDATE users SET password_hash = :password_hash, has_password = 1 WHERE id = :id',
+    { id, password_hash }
+  );
+  return { affectedRows: res.affectedRows };
+}
+
+export async function updateUserFields(id, patch) {
+  const fields = [];
+  const params = { id };
+  if (Object.prototype.hasOwnProperty.call(patch, 'name')) {
+    params.name = patch.name ?? null;
+    fields.push('name = :name');
+  }
+  if (Object.prototype.hasOwnProperty.call(patch, 'phone')) {
+    params.phone = patch.phone ?? null;
+    fields.push('phone = :phone');
+  }
+  if (fields.length === 0) return { affectedRows: 0 };
+  const sql = `UPDATE users SET ${fields.join(', ')} WHERE id = :id`;
+  const [res] = await pool.query(sql, params);
+  return { affectedRows: res.affectedRows };
+}
+
+export async function completeOnboarding(id) {
+  const [res] = await pool.query('UPDATE users SET onboarding_incomplete = 0 WHERE id = :id AND onboarding_incomplete = 1', { id });
+  return { affectedRows: res.affectedRows };
+}
+
+// Changing the email drops verification; the new address must be verified again
+export async function updateUserEmail(id, email) {
+  const [res] = await pool.query(
+    'UPDATE users SET email = :email, email_verified_at = NULL, email_verification_sent_at = NULL WHERE id = :id',
+    { id, email }
+  );
+  return { affectedRows: res.affectedRows };
+}
+
+// Only verifies if the address is still the one the link was sent to
+export async function markEmailVerified(id, email) {
+  const [res] = await pool.query(
+    `UPDATE users SET email_verified_at = COALESCE(email_verified_at, UTC_TIMESTAMP())
+     WHERE id = :id AND email = :email`,
+    { id, email }
+  );
+  return { affectedRows: res.affectedRows };
+}
+
+// Throttle for verification emails: records the send and returns true only if the last one
+// was at least `minIntervalSeconds` ago (atomic, so concurrent resends cannot both pass)
+export async function claimEmailVerificationSend(id, minIntervalSeconds) {
+  const [res] = await pool.query(
+    `UPDATE users SET email_verification_sent_at = UTC_TIMESTAMP()
+     WHERE id = :id
+       AND (email_verification_sent_at IS NULL
+            OR email_verification_sent_at <= UTC_TIMESTAMP() - INTERVAL :seconds SECOND)`,
+    { id, seconds: minIntervalSeconds }
+  );
+  return res.affectedRows > 0;
+}
+
+// -------------------- Identities --------------------
+
+export async function getIdentity(provider, provider_user_id) {
+  const [rows] = await pool.query(
+    'SELECT * FROM user_identities WHERE provider = :provider AND provider_user_id = :provider_user_id LIMIT 1',
+    { provider, provider_user_id: String(provider_user_id) }
+  );
+  return rows[0] || null;
+}
+
+export async function listIdentitiesByUser(user_id) {
+  const [rows] = await pool.query(
+    `SELECT id, provider, email, email_verified, created_at, last_login_at
+     FROM user_identities WHERE user_id = :user_id ORDER BY created_at ASC`,
+    { user_id }
+  );
+  return rows.map((r) => ({ ...r, email_verified: !!r.email_verified }));
+}
+
+export async function createIdentity({ user_id, provider, provider_user_id, email, email_verified }) {
+  const [res] = await pool.query(
+    `INSERT INTO user_identities (user_id, provider, provider_user_id, email, email_verified, last_login_at)
+     VALUES (:user_id, :provider, :provider_user_id, :email, :email_verified, UTC_TIMESTAMP())`,
+    {
+      user_id,
+      provider,
+      provider_user_id: String(provider_user_id),
+      email: email ?? null,
+      email_verified: email_verified ? 1 : 0,
+    }
+  );
+  return { id: res.insertId };
+}
+
+// Refresh the provider's email details on every sign-in
+export async function touchIdentity(id, { email, email_verified }) {
+  const [res] = await pool.query(
+    `UPDATE user_identities
+     SET email = :email, email_verified = :email_verified, last_login_at = UTC_TIMESTAMP()
+     WHERE id = :id`,
+    { id, email: email ?? null, email_verified: email_verified ? 1 : 0 }
+  );
+  return { affectedRows: res.affectedRows };
+}
+
+export async function deleteIdentity(user_id, provider) {
+  const [res] = await pool.query(
+    'DELETE FROM user_identities WHERE user_id = :user_id AND provider = :provider',
+    { user_id, provider }
+  );
+  return { affectedRows: res.affectedRows };
+}
+
+// -------------------- Refresh tokens --------------------
+
+export async function createRefreshToken({ user_id, family_id, token_hash, expires_at }) {
+  const [res] = await pool.query(
+    `INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at)
+     VALUES (:user_id, :family_id, :token_hash, :expires_at)`,
+    { user_id, family_id, token_hash, expires_at: toSqlDateTime(expires_at) }
+  );
+  return { id: res.insertId };
+}
+
+export async function getRefreshTokenByHash(token_hash) {
+  const [rows] = await pool.query(
+    `SELECT t.*, s.id AS session_id
+     FROM refresh_tokens t
+     LEFT JOIN user_sessions s ON s.family_id = t.family_id
+     WHERE t.token_hash = :token_hash
+     LIMIT 1`,
+    { token_hash }
+  );
+  return rows[0] || null;
+}
+
+// Revoke one token if still active; affectedRows === 0 means it was already revoked (e.g. a concurrent rotation)
+export async function revokeRefreshToken(id, reason) {
+  const [res] = await pool.query(
+    `UPDATE refresh_tokens SET revoked_at = UTC_TIMESTAMP(), revoked_reason = :reason
+     WHERE id = :id AND revoked_at IS NULL`,
+    { id, reason }
+  );
+  return { affectedRows: res.affectedRows };
+}
+
+export async function setRefreshTokenReplacement(id, replaced_by) {
+  const [res] = await pool.query('UPDATE refresh_tokens SET replaced_by = :replaced_by WHERE id = :id', { id, replaced_by });
+  return { affectedRows: res.affectedRows };
+}
+
+export async function revokeRefreshTokenFamily(family_id, reason) {
+  const [res] = await pool.query(
+    `UPDATE refresh_tokens SET revoked_at = UTC_TIMESTAMP(), revoked_reason = :reason
+     WHERE family_id = :family_id AND revoked_at IS NULL`,
+    { family_id, reason }
+  );
+  return { affectedRows: res.affectedRows };
+}
+
+// exceptFamilyId keeps one session alive ("sign out everywhere else")
+export async function revokeRefreshTokensByUser(user_id, reason, { exceptFamilyId } = {}) {
+  const params = { user_id, reason };
+  let sql = `UPDATE refresh_tokens SET revoked_at = UTC_TIMESTAMP(), revoked_reason = :reason
+     WHERE user_id = :user_id AND revoked_at IS NULL`;
+  if (exceptFamilyId) {
+    sql += ' AND family_id <> :except_family_id';
+    params.except_family_id = exceptFamilyId;
+  }
+  const [res] = await pool.query(sql, params);
+  return { affectedRows: res.affectedRows };
+}
+
+// -------------------- Sessions --------------------
+
+export async function createUserSession({ user_id, family_id, ip, user_agent }) {
+  const [res] = await pool.query(
+    `INSERT INTO user_sessions (user_id, family_id, ip, user_agent)
+     VALUES (:user_id, :family_id, :ip, :user_agent)`,
+    { user_id, family_id, ip: ip ?? null, user_agent: user_agent ?? null }
+  );
+  return { id: res.insertId };
+}
+
+// Called on every refresh; records where the session was last used from
+export async function touchUserSession(family_id, { ip, user_agent } = {}) {
+  const [res] = await pool.query(
+    `UPDATE user_sessions
+     SET last_used_at = UTC_TIMESTAMP(), ip = COALESCE(:ip, ip), user_agent = COALESCE(:user_agent, user_agent)
+     WHERE family_id = :family_id`,
+    { family_id, ip: ip ?? null, user_agent: user_agent ?? null }
+  );
+  return { affectedRows: res.affectedRows };
+}
+
+export async function getUserSessionById(id) {
+  const [rows] = await pool.query('SELECT * FROM user_sessions WHERE id = :id LIMIT 1', { id });
+  return rows[0] || null;
+}
+
+// A session is active while its family still has an unrevoked, unexpired refresh token
+const ACTIVE_SESSION_CONDITION = `EXISTS (
+  SELECT 1 FROM refresh_tokens t
+  WHERE t.family_id = s.family_id AND t.revoked_at IS NULL AND t.expires_at > UTC_TIMESTAMP()
+)`;
+
+export async function listActiveUserSessions(user_id) {
+  const [rows] = await pool.query(
+    `SELECT s.id, s.ip, s.user_agent, s.created_at, s.last_used_at
+     FROM user_sessions s
+     WHERE s.user_id = :user_id AND ${ACTIVE_SESSION_CONDITION}
+     ORDER BY s.last_used_at DESC`,
+    { user_id }
+  );
+  return rows;
+}
+
+export async function getActiveUserSession(id, user_id) {
+  const [rows] = await pool.query(
+    `SELECT s.* FROM user_sessions s
+     WHERE s.id = :id AND s.user_id = :user_id AND ${ACTIVE_SESSION_CONDITION}
+     LIMIT 1`,
+    { id, user_id }
+  );
+  return rows[0] || null;
+}
+
+// -------------------- One-time tokens --------------------
+
+export async function createOneTimeToken({ user_id, purpose, token_hash, expires_at }) {
+  const [res] = await pool.query(
+    `INSERT INTO one_time_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES (:user_id, :purpose, :token_hash, :expires_at)`,
+    { user_id, purpose, token_hash, expires_at: toSqlDateTime(expires_at) }
+  );
+  return { id: res.insertId };
+}
+
+// Mark a valid (unused, unexpired) token as used and return it; null if invalid or already consumed
+export async function consumeOneTimeToken(purpose, token_hash) {
+  const [rows] = await pool.query(
+    `SELECT * FROM one_time_tokens
+     WHERE token_hash = :token_hash AND purpose = :purpose AND used_at IS NULL AND expires_at > UTC_TIMESTAMP()
+     LIMIT 1`,
+    { token_hash, purpose }
+  );
+  const row = rows[0];
+  if (!row) return null;
+  const [res] = await pool.query(
+    'UPDATE one_time_tokens SET used_at = UTC_TIMESTAMP() WHERE id = :id AND used_at IS NULL',
+    { id: row.id }
+  );
+  return res.affectedRows ? row : null;
+}
+
+// Invalidate a user's outstanding tokens for a purpose (e.g. after a successful reset)
+export async function invalidateOneTimeTokens(user_id, purpose) {
+  const [res] = await pool.query(
+    `UPDATE one_time_tokens SET used_at = UTC_TIMESTAMP()
+     WHERE user_id = :user_id AND purpose = :purpose AND used_at IS NULL`,
+    { user_id, purpose }
+  );
+  return { affectedRows: res.affectedRows };
+}
+
+// Whether a token of this purpose was issued to the user in the last `seconds` (resend throttling).
+export async function hasRecentOneTimeToken(user_id, purpose, seconds) {
+  const [rows] = await pool.query(
+    `SELECT 1 FROM one_time_tokens
+     WHERE user_id = :user_id AND purpose = :purpose AND created_at > UTC_TIMESTAMP() - INTERVAL :seconds SECOND
+     LIMIT 1`,
+    { user_id, purpose, seconds }
+  );
+  return rows.length > 0;
+}
+
+// -------------------- Two-factor authentication --------------------
+
+export async function getUserMfa(user_id) {
+  const [rows] = await pool.query('SELECT * FROM user_mfa WHERE user_id = :user_id LIMIT 1', { user_id });
+  return rows[0] || null;
+}
+
+// Store a new (not yet enabled) secret; callers must not overwrite an enabled one
+export async function upsertPendingUserMfa(user_id, secret_enc) {
+  await pool.query(
+    `INSERT INTO user_mfa (user_id, secret_enc) VALUES (:user_id, :secret_enc)
+     ON DUPLICATE KEY UPDATE secret_enc = VALUES(secret_enc), enabled_at = NULL, last_used_step = NULL,
+       challenge_id = NULL, challenge_failures = 0`,
+    { user_id, secret_enc }
+  );
+}
+
+export async function enableUserMfa(user_id, step) {
+  const [res] = await pool.query(
+    'UPDATE user_mfa SET enabled_at = UTC_TIMESTAMP(), last_used_step = :step WHERE user_id = :user_id AND enabled_at IS NULL',
+    { user_id, step }
+  );
+  return { affectedRows: res.affectedRows };
+}
+
+export async function deleteUserMfa(user_id) {
+  await pool.query('DELETE FROM mfa_recovery_codes WHERE user_id = :user_id', { user_id });
+  const [res] = await pool.query('DELETE FROM user_mfa WHERE user_id = :user_id', { user_id });
+  return { affectedRows: res.affectedRows };
+}
+
+// Record the time step of an accepted code; false if that step (or a later one) was already used
+export async function claimMfaStep(user_id, step) {
+  const [res] = await pool.query(
+    `UPDATE user_mfa SET last_used_step = :step
+     WHERE user_id = :user_id AND (last_used_step IS NULL OR last_used_step < :step)`,
+    { user_id, step }
+  );
+  return res.affectedRows > 0;
+}
+
+// Login challenges: only the latest challenge is valid, and it dies after `maxFailures` wrong codes
+export async function startMfaChallenge(user_id, challenge_id) {
+  await pool.query(
+    'UPDATE user_mfa SET challenge_id = :challenge_id, challenge_failures = 0 WHERE user_id = :user_id',
+    { user_id, challenge_id }
+  );
+}
 
+export async function recordMfaChallengeFailure(user_id, challenge_id, maxFailures) {
+  // challenge_id is assigned first: MySQL evaluates SET assignments left to right
+  await pool.query(
+    `UPDATE user_mfa
+     SET challenge_id = IF(challenge_failures + 1 >= :max, NULL, challenge_id),
+         challenge_failures = challenge_failures + 1
+     WHERE user_id = :user_id AND challenge_id = :challenge_id`,
+    { user_id, challenge_id, max: maxFailures }
+  );
+}
+
+export async function clearMfaChallenge(user_id) {
+  await pool.query('UPDATE user_mfa SET challenge_id = NULL, challenge_failures = 0 WHERE user_id = :user_id', { user_id });
+}
+
+export async function replaceRecoveryCodes(user_id, code_hashes) {
+  const conn = await pool.getConnection();
   try {
-    await bootstrap(pool);
-  } catch (err) {
-    // Handle missing database: create it then retry
-    const isUnknownDb = err && (err.code === 'ER_BAD_DB_ERROR' || /Unknown database/i.test(err.sqlMessage || ''));
-    if (isUnknownDb) {
-      await createDatabaseIfMissing({
-        host: MYSQL_HOST,
-        port: MYSQL_PORT,
-        user: MYSQL_USER,
-        password: MYSQL_PASSWORD,
-        database: MYSQL_DB,
-      });
-      // Recreate pool bound to the newly created database
-      try { await pool.end(); } catch {}
-
-      pool = mysql.createPool({
-        host: MYSQL_HOST,
-        port: Number(MYSQL_PORT),
-        user: MYSQL_USER,
-        password: MYSQL_PASSWORD,
-        database: MYSQL_DB,
-        connectionLimit: 10,
-        namedPlaceholders: true,
-      });
-      await bootstrap(pool);
-    } else {
-      throw err;
+    await conn.beginTransaction();
+    await conn.query('DELETE FROM mfa_recovery_codes WHERE user_id = :user_id', { user_id });
+    for (const code_hash of code_hashes) {
+      await conn.query('INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES (:user_id, :code_hash)', { user_id, code_hash });
     }
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
   }
-  return pool;
 }
 
-async function bootstrap(pool) {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      email VARCHAR(191) NOT NULL UNIQUE,
-      name VARCHAR(191) NULL,
-      phone VARCHAR(32) NULL,
-      password_hash VARCHAR(191) NOT NULL,
-      role ENUM('RECRUITER','CANDIDATE') NOT NULL DEFAULT 'CANDIDATE',
-      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-  `);
-  // Candidate profiles table
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS candidate_profiles (
-      user_id INT PRIMARY KEY,
-      first_name VARCHAR(191) NULL,
-      last_name VARCHAR(191) NULL,
-      date_of_birth DATE NULL,
-      avatar_url VARCHAR(512) NULL,
-      resume_url VARCHAR(512) NULL,
-      career_objective TEXT NULL,
-      education JSON NULL,
-      experience JSON NULL,
-      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-      CONSTRAINT fk_candidate_profiles_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-  `);
-  // Ensure phone column exists for pre-existing databases (ignore duplicate column error)
+// Mark an unused recovery code as used; false if unknown or already used
+export async function useRecoveryCode(user_id, code_hash) {
+  const [res] = await pool.query(
+    `UPDATE mfa_recovery_codes SET used_at = UTC_TIMESTAMP()
+     WHERE user_id = :user_id AND code_hash = :code_hash AND used_at IS NULL`,
+    { user_id, code_hash }
+  );
+  return res.affectedRows > 0;
+}
+
+export async function countUnusedRecoveryCodes(user_id) {
+  const [rows] = await pool.query(
+    'SELECT COUNT(*) AS count FROM mfa_recovery_codes WHERE user_id = :user_id AND used_at IS NULL',
+    { user_id }
+  );
+  return Number(rows[0]?.count || 0);
+}
+
+// -------------------- Companies --------------------
+
+export async function getCompanyById(id) {
+  const [rows] = await pool.query('SELECT * FROM companies WHERE id = :id LIMIT 1', { id });
+  return rows[0] || null;
+}
+
+// Create a company with `created_by` as its OWNER
+export async function createCompany({ name, created_by }) {
+  const conn = await pool.getConnection();
   try {
-    await pool.query(`ALTER TABLE users ADD COLUMN phone VARCHAR(32) NULL AFTER name;`);
+    await conn.beginTransaction();
+    const [res] = await conn.query(
+      'INSERT INTO companies (name, created_by) VALUES (:name, :created_by)',
+      { name, created_by }
+    );
+    await conn.query(
+      `INSERT INTO company_members (company_id, user_id, role) VALUES (:company_id, :user_id, 'OWNER')`,
+      { company_id: res.insertId, user_id: created_by }
+    );
+    await conn.commit();
+    return { id: res.insertId };
   } catch (err) {
-    const dup = err && (err.code === 'ER_DUP_FIELDNAME' || /Duplicate column name/i.test(err.sqlMessage || ''));
-    if (!dup) throw err;
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
   }
-  
-  // Add benefits column to jobs table if it doesn't exist
+}
+
+export async function updateCompany(id, { name }) {
+  const [res] = await pool.query('UPDATE companies SET name = :name WHERE id = :id', { id, name });
+  return { affectedRows: res.affectedRows };
+}
+
+// Companies the user belongs to, with their role in each
+export async function listCompaniesForUser(user_id) {
+  const [rows] = await pool.query(
+    `SELECT c.*, m.role
+     FROM company_members m
+     JOIN companies c ON c.id = m.company_id
+     WHERE m.user_id = :user_id
+     ORDER BY m.created_at ASC, c.id ASC`,
+    { user_id }
+  );
+  return rows;
+}
+
+/**
+ * The company new jobs of a recruiter go to when none is specified: the only company they can
+ * post in, or a new one (named after their profile's company_name) for recruiters without any.
+ * Returns null when the recruiter can post in several companies and has to choose.
+ */
+export async function ensureDefaultCompany(user_id) {
+  const [rows] = await pool.query(
+    `SELECT c.* FROM company_members m JOIN companies c ON c.id = m.company_id
+     WHERE m.user_id = :user_id AND m.role IN ('OWNER','ADMIN','RECRUITER')`,
+    { user_id }
+  );
+  if (rows.length === 1) return rows[0];
+  if (rows.length > 1) return null;
+  const [[info]] = await pool.query(
+    `SELECT u.name, u.email, rp.company_name
+     FROM users u LEFT JOIN recruiter_profiles rp ON rp.user_id = u.id
+     WHERE u.id = :user_id`,
+    { user_id }
+  );
+  const name = info?.company_name || info?.name || info?.email || `Company of user ${user_id}`;
+  const { id } = await createCompany({ name: name.slice(0, 191), created_by: user_id });
+  return getCompanyById(id);
+}
+
+export async function getCompanyMember(company_id, user_id) {
+  const [rows] = await pool.query(
+    'SELECT * FROM company_members WHERE company_id = :company_id AND user_id = :user_id LIMIT 1',
+    { company_id, user_id }
+  );
+  return rows[0] || null;
+}
+
+export async function listCompanyMembers(company_id) {
+  const [rows] = await pool.query(
+    `SELECT m.user_id, m.role, m.created_at, u.name, u.email, rp.first_name, rp.last_name, rp.position, rp.avatar_url
+     FROM company_members m
+     JOIN users u ON u.id = m.user_id
+     LEFT JOIN recruiter_profiles rp ON rp.user_id = m.user_id
+     WHERE m.company_id = :company_id
+     ORDER BY FIELD(m.role, 'OWNER','ADMIN','RECRUITER','VIEWER'), m.created_at ASC`,
+    { company_id }
+  );
+  return rows;
+}
+
+// User ids of the company's members with one of `roles`, highest-ranked and longest-standing first
+export async function listCompanyMemberIds(company_id, roles) {
+  const [rows] = await pool.query(
+    `SELECT user_id FROM company_members
+     WHERE company_id = :company_id AND role IN (:roles)
+     ORDER BY FIELD(role, 'OWNER','ADMIN','RECRUITER','VIEWER'), created_at ASC`,
+    { company_id, roles }
+  );
+  return rows.map((r) => r.user_id);
+}
+
+// Hand a member's jobs in the company to the highest-ranked remaining member who can run jobs
+// (or nobody), so application notifications and interview bookings stop going to them
+async function reassignMemberJobs(conn, company_id, user_id) {
+  await conn.query(
+    `UPDATE jobs SET recruiter_id = (
+       SELECT m.user_id FROM company_members m
+       WHERE m.company_id = :company_id AND m.user_id <> :user_id AND m.role IN ('OWNER','ADMIN','RECRUITER')
+       ORDER BY FIELD(m.role, 'OWNER','ADMIN','RECRUITER'), m.created_at ASC
+       LIMIT 1
+     )
+     WHERE company_id = :company_id AND recruiter_id = :user_id`,
+    { company_id, user_id }
+  );
+}
+
+/**
+ * Change a member's role, or remove them with `role` null. The company's member rows are locked
+ * for the transaction, so concurrent changes can't both take away the last owner. Members who can
+ * no longer run jobs have their jobs reassigned (reassignMemberJobs).
+ * Throws { status: 404 } if not a member and { status: 409, code: 'LastOwner' } for the last owner.
+ */
+export async function changeCompanyMember(company_id, user_id, role) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [members] = await conn.query(
+      'SELECT user_id, role FROM company_members WHERE company_id = :company_id FOR UPDATE',
+      { company_id }
+    );
+    const member = members.find((m) => m.user_id === user_id);
+    if (!member) throw Object.assign(new Error('Member not found'), { status: 404 });
+    const owners = members.filter((m) => m.role === 'OWNER').length;
+    if (member.role === 'OWNER' && role !== 'OWNER' && owners <= 1) {
+      throw Object.assign(new Error('A company needs at least one owner'), { status: 409, code: 'LastOwner' });
+    }
+    if (role) {
+      await conn.query(
+        'UPDATE company_members SET role = :role WHERE company_id = :company_id AND user_id = :user_id',
+        { company_id, user_id, role }
+      );
+    } else {
+      await conn.query('DELETE FROM company_members WHERE company_id = :company_id AND user_id = :user_id', { company_id, user_id });
+    }
+    if (!['OWNER', 'ADMIN', 'RECRUITER'].includes(role)) await reassignMemberJobs(conn, company_id, user_id);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+export async function createCompanyInvitation({ company_id, email, role, token_hash, invited_by, expires_at }) {
+  const [res] = await pool.query(
+    `INSERT INTO company_invitations (company_id, email, role, token_hash, invited_by, expires_at)
+     VALUES (:company_id, :email, :role, :token_hash, :invited_by, :expires_at)`,
+    { company_id, email, role, token_hash, invited_by, expires_at: toSqlDateTime(expires_at) }
+  );
+  return { id: res.insertId };
+}
+
+export async function getCompanyInvitationById(id) {
+  const [rows] = await pool.query('SELECT * FROM company_invitations WHERE id = :id LIMIT 1', { id });
+  return rows[0] || null;
+}
+
+// Open invitations of a company (not accepted, revoked or expired)
+export async function listPendingCompanyInvitations(company_id) {
+  const [rows] = await pool.query(
+    `SELECT id, company_id, email, role, invited_by, expires_at, created_at
+     FROM company_invitations
+     WHERE company_id = :company_id AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > UTC_TIMESTAMP()
+     ORDER BY created_at DESC`,
+    { company_id }
+  );
+  return rows;
+}
+
+export async function getPendingCompanyInvitationByHash(token_hash) {
+  const [rows] = await pool.query(
+    `SELECT i.*, c.name AS company_name
+     FROM company_invitations i
+     JOIN companies c ON c.id = i.company_id
+     WHERE i.token_hash = :token_hash AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > UTC_TIMESTAMP()
+     LIMIT 1`,
+    { token_hash }
+  );
+  return rows[0] || null;
+}
+
+// Revoke open invitations of a company for an email (all of them when id is omitted)
+export async function revokeCompanyInvitations(company_id, { id, email } = {}) {
+  const where = ['company_id = :company_id', 'accepted_at IS NULL', 'revoked_at IS NULL'];
+  const params = { company_id };
+  if (id) { where.push('id = :id'); params.id = id; }
+  if (email) { where.push('email = :email'); params.email = email; }
+  const [res] = await pool.query(
+    `UPDATE company_invitations SET revoked_at = UTC_TIMESTAMP() WHERE ${where.join(' AND ')}`,
+    params
+  );
+  return { affectedRows: res.affectedRows };
+}
+
+/**
+ * Accept an open invitation for `user_id`: marks it used and adds the membership in one transaction.
+ * An existing member keeps their current role. Returns false if the invitation is no longer open.
+ */
+export async function acceptCompanyInvitation(id, user_id) {
+  const conn = await pool.getConnection();
   try {
-    await pool.query(`ALTER TABLE jobs ADD COLUMN benefits TEXT NULL AFTER description;`);
+    await conn.beginTransaction();
+    const [res] = await conn.query(
+      `UPDATE company_invitations SET accepted_at = UTC_TIMESTAMP(), accepted_by = :user_id
+       WHERE id = :id AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > UTC_TIMESTAMP()`,
+      { id, user_id }
+    );
+    if (res.affectedRows === 0) {
+      await conn.rollback();
+      return false;
+    }
+    await conn.query(
+      `INSERT IGNORE INTO company_members (company_id, user_id, role)
+       SELECT company_id, :user_id, role FROM company_invitations WHERE id = :id`,
+      { id, user_id }
+    );
+    await conn.commit();
+    return true;
   } catch (err) {
-    const dup = err && (err.code === 'ER_DUP_FIELDNAME' || /Duplicate column name/i.test(err.sqlMessage || ''));
-    if (!dup) throw err;
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
   }
+}
+
+// -------------------- Administration --------------------
 
-  // Jobs table
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS jobs (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      recruiter_id INT NULL,
-      title VARCHAR(191) NOT NULL,
-      company_name VARCHAR(191) NULL,
-      location VARCHAR(191) NULL,
-      remote_flexible TINYINT(1) NOT NULL DEFAULT 0,
-      job_type ENUM('FULL_TIME','PART_TIME','CONTRACT','INTERNSHIP','TEMPORARY','FREELANCE') NULL,
-      salary INT NULL,
-      interview_duration INT NULL,
-      commencement_date DATE NULL,
-      intro TEXT NULL,
-      description TEXT NULL,
-      benefits TEXT NULL,
-      responsibilities JSON NULL,
-      requirements JSON NULL,
-      qualifications JSON NULL,
-      other_details JSON NULL,
-      skills_soft JSON NULL,
-      skills_technical JSON NULL,
-      skills_cognitive JSON NULL,
-      hiring_start_date DATE NULL,
-      hiring_end_date DATE NULL,
-      application_start_date DATE NULL,
-      application_end_date DATE NULL,
-      position_close_date DATE NULL,
-      allow_international TINYINT(1) NOT NULL DEFAULT 0,
-      shortlist TINYINT(1) NOT NULL DEFAULT 0,
-      auto_close TINYINT(1) NOT NULL DEFAULT 0,
-      status ENUM('DRAFT','PUBLISHED') NOT NULL DEFAULT 'DRAFT',
-      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-      INDEX idx_jobs_recruiter_id (recruiter_id),
-      INDEX idx_jobs_status (status),
-      CONSTRAINT fk_jobs_recruiter FOREIGN KEY (recruiter_id) REFERENCES users(id) ON DELETE SET NULL
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-  `);
-  // Recruiter profiles table
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS recruiter_profiles (
-      user_id INT PRIMARY KEY,
-      first_name VARCHAR(191) NULL,
-      last_name VARCHAR(191) NULL,
-      date_of_birth DATE NULL,
-      company_name VARCHAR(191) NULL,
-      position VARCHAR(191) NULL,
-      avatar_url VARCHAR(512) NULL,
-      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-      CONSTRAINT fk_profiles_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-  `);
-  // Applications table (candidate applications to jobs)
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS applications (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      job_id INT NOT NULL,
-      candidate_id INT NOT NULL,
-      status ENUM('APPLIED','PASSED','FAILED') NOT NULL DEFAULT 'APPLIED',
-      source ENUM('APPLY','ADDED','REFERRED','DISCOVERED') NULL,
-      resume_url VARCHAR(512) NULL,
-      cover_letter TEXT NULL,
-      score INT NULL,
-      tags JSON NULL,
-      notes TEXT NULL,
-      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-      UNIQUE KEY uniq_app_job_candidate (job_id, candidate_id),
-      INDEX idx_app_job (job_id),
-      INDEX idx_app_candidate (candidate_id),
-      INDEX idx_app_status (status),
-      CONSTRAINT fk_app_job FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE,
-      CONSTRAINT fk_app_candidate FOREIGN KEY (candidate_id) REFERENCES users(id) ON DELETE CASCADE
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-  `);
-  // Notifications table
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS notifications (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      user_id INT NOT NULL,
-      type VARCHAR(50) NULL,
-      title VARCHAR(191) NOT NULL,
-      message TEXT NULL,
-      data JSON NULL,
-      read_at DATETIME NULL,
-      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-      INDEX idx_notif_user (user_id),
-      INDEX idx_notif_read (read_at),
-      CONSTRAINT fk_notif_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-  `);
-  // Migrations to align existing tables
-  // Add salary column if missing
-  try { await pool.query(`ALTER TABLE jobs ADD COLUMN salary INT NULL AFTER job_type;`); } catch (err) {
-    const dup = err && (err.code === 'ER_DUP_FIELDNAME' || /Duplicate column name/i.test(err.sqlMessage || ''));
-    if (!dup && !/Unknown table/i.test(err.sqlMessage || '')) throw err;
+// Users for the admin console; q matches email or name
+export async function searchUsers({ q, role, suspended, limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const params = { limit: Number(limit), offset: Number(offset) };
+  if (q) {
+    where.push('(u.email LIKE :q OR u.name LIKE :q)');
+    params.q = `%${q}%`;
   }
-  // Add interview_duration if missing
-  try { await pool.query(`ALTER TABLE jobs ADD COLUMN interview_duration INT NULL AFTER salary;`); } catch (err) {
-    const dup = err && (err.code === 'ER_DUP_FIELDNAME' || /Duplicate column name/i.test(err.sqlMessage || ''));
-    if (!dup && !/Unknown table/i.test(err.sqlMessage || '')) throw err;
+  if (role) {
+    where.push('u.role = :role');
+    params.role = role;
   }
-  // Add position_close_date if missing
-  try { await pool.query(`ALTER TABLE jobs ADD COLUMN position_close_date DATE NULL AFTER application_end_date;`); } catch (err) {
-    const dup = err && (err.code === 'ER_DUP_FIELDNAME' || /Duplicate column name/i.test(err.sqlMessage || ''));
-    if (!dup && !/Unknown table/i.test(err.sqlMessage || '')) throw err;
+  if (suspended !== undefined) where.push(suspended ? 'u.suspended_at IS NOT NULL' : 'u.suspended_at IS NULL');
+  const [rows] = await pool.query(
+    `SELECT u.id, u.email, u.name, u.phone, u.role, u.email_verified_at, u.suspended_at, u.suspended_reason,
+            u.deletion_scheduled_at, u.deleted_at, u.created_at
+     FROM users u
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY u.created_at DESC, u.id DESC
+     LIMIT :limit OFFSET :offset`,
+    params
+  );
+  return rows;
+}
+
+// Role, suspension and deletion state, checked on every authenticated request
+export async function getUserAccountStatus(id) {
+  const [rows] = await pool.query('SELECT id, role, suspended_at, deleted_at FROM users WHERE id = :id LIMIT 1', { id });
+  return rows[0] || null;
+}
+
+export async function suspendUser(id, reason) {
+  const [res] = await pool.query(
+    `UPDATE users SET suspended_at = UTC_TIMESTAMP(), suspended_reason = :reason
+     WHERE id = :id AND suspended_at IS NULL`,
+    { id, reason: reason || null }
+  );
+  return { affectedRows: res.affectedRows };
+}
+
+export async function unsuspendUser(id) {
+  const [res] = await pool.query(
+    'UPDATE users SET suspended_at = NULL, suspended_reason = NULL WHERE id = :id AND suspended_at IS NOT NULL',
+    { id }
+  );
+  return { affectedRows: res.affectedRows };
+}
+
+export async function setUserRole(id, role) {
+  const [res] = await pool.query('UPDATE users SET role = :role WHERE id = :id', { id, role });
+  return { affectedRows: res.affectedRows };
+}
+
+// Jobs across all recruiters (moderation and the review queue); oldest first so the queue is FIFO
+export async function listJobsForModeration({ status, q, limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const params = { limit: Number(limit), offset: Number(offset) };
+  if (status) {
+    where.push('j.status = :status');
+    params.status = status;
   }
-  // Add shortlist if missing
-  try { await pool.query(`ALTER TABLE jobs ADD COLUMN shortlist TINYINT(1) NOT NULL DEFAULT 0 AFTER allow_international;`); } catch (err) {
-    const dup = err && (err.code === 'ER_DUP_FIELDNAME' || /Duplicate column name/i.test(err.sqlMessage || ''));
-    if (!dup && !/Unknown table/i.test(err.sqlMessage || '')) throw err;
+  if (q) {
+    where.push('(j.title LIKE :q OR j.company_name LIKE :q)');
+    params.q = `%${q}%`;
   }
-  // Rename reasons_to_hire -> responsibilities (or add if neither exists)
-  try { await pool.query(`ALTER TABLE jobs CHANGE COLUMN reasons_to_hire responsibilities JSON NULL;`); } catch (err) {
-    const unknown = err && (/Unknown column/i.test(err.sqlMessage || '') || err.code === 'ER_BAD_FIELD_ERROR');
-    if (unknown) {
-      try { await pool.query(`ALTER TABLE jobs ADD COLUMN responsibilities JSON NULL AFTER description;`); } catch (e2) {
-        const dup2 = e2 && (e2.code === 'ER_DUP_FIELDNAME' || /Duplicate column name/i.test(e2.sqlMessage || ''));
-        if (!dup2) throw e2;
-      }
-    } else if (!/Unknown table/i.test(err.sqlMessage || '')) {
-      throw err;
-    }
+  const [rows] = await pool.query(
+    `SELECT j.id, j.title, j.company_name, j.company_id, j.location, j.status, j.recruiter_id,
+            u.email AS recruiter_email, u.name AS recruiter_name, j.created_at, j.updated_at,
+            (SELECT COUNT(*) FROM job_reports r WHERE r.job_id = j.id AND r.status = 'OPEN') AS open_reports
+     FROM jobs j
+     LEFT JOIN users u ON u.id = j.recruiter_id
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY j.updated_at ASC, j.id ASC
+     LIMIT :limit OFFSET :offset`,
+    params
+  );
+  return rows.map((r) => ({ ...r, open_reports: Number(r.open_reports) }));
+}
+
+// Returns null when the reporter already reported this job
+export async function createJobReport({ job_id, reporter_id, reason, details }) {
+  try {
+    const [res] = await pool.query(
+      `INSERT INTO job_reports (job_id, reporter_id, reason, details)
+       VALUES (:job_id, :reporter_id, :reason, :details)`,
+      { job_id, reporter_id, reason, details: details || null }
+    );
+    return { id: res.insertId };
+  } catch (err) {
+    if (err && err.code === 'ER_DUP_ENTRY') return null;
+    throw err;
   }
-  // Drop deprecated columns (ignore if they don't exist)
-  const dropCols = ['department','remote_type','salary_min','salary_max','salary_currency','salary_period','reasons_to_hire','attributes'];
-  for (const col of dropCols) {
-    try { await pool.query(`ALTER TABLE jobs DROP COLUMN ${col};`); } catch (err) {
-      const safe = err && (/Unknown column|Can\'t DROP/i.test(err.sqlMessage || '') || err.code === 'ER_CANT_DROP_FIELD_OR_KEY');
-      if (!safe && !/Unknown table/i.test(err.sqlMessage || '')) throw err;
+}
+
+const JOB_REPORT_SELECT = `
+  SELECT r.*, j.title AS job_title, j.status AS job_status, j.recruiter_id,
+         u.email AS reporter_email
+  FROM job_reports r
+  JOIN jobs j ON j.id = r.job_id
+  LEFT JOIN users u ON u.id = r.reporter_id`;
+
+export async function getJobReportById(id) {
+  const [rows] = await pool.query(`${JOB_REPORT_SELECT} WHERE r.id = :id LIMIT 1`, { id });
+  return rows[0] || null;
+}
+
+export async function listJobReports({ status, job_id, limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const params = { limit: Number(limit), offset: Number(offset) };
+  if (status) {
+    where.push('r.status = :status');
+    params.status = status;
+  }
+  if (job_id) {
+    where.push('r.job_id = :job_id');
+    params.job_id = job_id;
+  }
+  const [rows] = await pool.query(
+    `${JOB_REPORT_SELECT}
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY r.created_at DESC, r.id DESC
+     LIMIT :limit OFFSET :offset`,
+    params
+  );
+  return rows;
+}
+
+// Close an open report as RESOLVED or DISMISSED
+export async function resolveJobReport(id, { status, resolved_by, resolution_note }) {
+  const [res] = await pool.query(
+    `UPDATE job_reports
+     SET status = :status, resolved_by = :resolved_by, resolved_at = UTC_TIMESTAMP(), resolution_note = :resolution_note
+     WHERE id = :id AND status = 'OPEN'`,
+    { id, status, resolved_by, resolution_note: resolution_note || null }
+  );
+  return { affectedRows: res.affectedRows };
+}
+
+// -------------------- Account deletion and data export --------------------
+
+// Start the grace period; the account is anonymized by purgeDeletedAccounts once it ends
+export async function scheduleAccountDeletion(id, scheduled_at) {
+  const [res] = await pool.query(
+    'UPDATE users SET deletion_scheduled_at = :scheduled_at WHERE id = :id AND deleted_at IS NULL',
+    { id, scheduled_at: toSqlDateTime(scheduled_at) }
+  );
+  return { affectedRows: res.affectedRows };
+}
+
+export async function cancelAccountDeletion(id) {
+  const [res] = await pool.query(
+    'UPDATE users SET deletion_scheduled_at = NULL WHERE id = :id AND deletion_scheduled_at IS NOT NULL AND deleted_at IS NULL',
+    { id }
+  );
+  return { affectedRows: res.affectedRows };
+}
+
+export async function listAccountsDueForDeletion(limit = 50) {
+  const [rows] = await pool.query(
+    `SELECT id FROM users
+     WHERE deleted_at IS NULL AND deletion_scheduled_at IS NOT NULL AND deletion_scheduled_at <= UTC_TIMESTAMP()
+     ORDER BY deletion_scheduled_at ASC
+     LIMIT :limit`,
+    { limit: Number(limit) }
+  );
+  return rows.map((r) => r.id);
+}
+
+/**
+ * Everything stored about a user that they can see themselves (GET /auth/me/export).
+ * Recruiter-internal fields (application notes/score/tags, interview notes) are left out of the
+ * candidate's applications.
+ */
+export async function getUserDataExport(user_id) {
+  const q = async (sql) => (await pool.query(sql, { user_id }))[0];
+  const [
+    users,
+    candidateProfiles,
+    recruiterProfiles,
+    applications,
+    interviews,
+    notifications,
+    companies,
+    jobs,
+    availability,
+    sessions,
+    identities,
+    apiKeys,
+    jobReports,
+  ] = await Promise.all([
+    q(`SELECT id, email, name, phone, role, email_verified_at, has_password, onboarding_incomplete,
+              deletion_scheduled_at, created_at, updated_at
+       FROM users WHERE id = :user_id`),
+    q('SELECT * FROM candidate_profiles WHERE user_id = :user_id'),
+    q('SELECT * FROM recruiter_profiles WHERE user_id = :user_id'),
+    q(`SELECT a.id, a.job_id, j.title AS job_title, j.company_name, a.status, a.source, a.resume_url, a.cover_letter,
+              a.anonymized_at, a.created_at, a.updated_at
+       FROM applications a
+       JOIN jobs j ON j.id = a.job_id
+       WHERE a.candidate_id = :user_id
+       ORDER BY a.created_at ASC`),
+    q(`SELECT i.id, i.application_id, i.scheduled_at, i.duration_minutes, i.meeting_url, i.location, i.interviewers,
+              i.status, i.decline_reason, i.created_at, i.updated_at
+       FROM interviews i
+       JOIN applications a ON a.id = i.application_id
+       WHERE a.candidate_id = :user_id
+       ORDER BY i.scheduled_at ASC`),
+    q('SELECT id, type, title, message, data, read_at, created_at FROM notifications WHERE user_id = :user_id ORDER BY created_at ASC'),
+    q(`SELECT c.id, c.name, m.role, m.created_at AS joined_at
+       FROM company_members m
+       JOIN companies c ON c.id = m.company_id
+       WHERE m.user_id = :user_id
+       ORDER BY m.created_at ASC`),
+    q('SELECT * FROM jobs WHERE recruiter_id = :user_id ORDER BY created_at ASC'),
+    q('SELECT * FROM interview_availability WHERE recruiter_id = :user_id ORDER BY starts_at ASC'),
+    q('SELECT id, ip, user_agent, created_at, last_used_at FROM user_sessions WHERE user_id = :user_id ORDER BY created_at ASC'),
+    q('SELECT provider, email, created_at, last_login_at FROM user_identities WHERE user_id = :user_id ORDER BY created_at ASC'),
+    q(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE user_id = :user_id ORDER BY created_at ASC`),
+    q('SELECT id, job_id, reason, details, status, created_at FROM job_reports WHERE reporter_id = :user_id ORDER BY created_at ASC'),
+  ]);
+  const parseJson = (v) => {
+    if (v === null || v === undefined) return null;
+    try { return typeof v === 'string' ? JSON.parse(v) : v; } catch { return null; }
+  };
+  const interviewsByApplication = new Map();
+  for (const i of interviews) {
+    const list = interviewsByApplication.get(i.application_id) || [];
+    list.push({ ...i, interviewers: parseJson(i.interviewers) });
+    interviewsByApplication.set(i.application_id, list);
+  }
+  const user = users[0];
+  return {
+    user: user ? { ...user, has_password: !!user.has_password, onboarding_incomplete: !!user.onboarding_incomplete } : null,
+    candidate_profile: candidateProfiles[0] || null,
+    recruiter_profile: recruiterProfiles[0] || null,
+    applications: applications.map((a) => ({ ...a, interviews: interviewsByApplication.get(a.id) || [] })),
+    notifications: notifications.map((n) => ({ ...n, data: parseJson(n.data) })),
+    companies,
+    jobs,
+    interview_availability: availability,
+    sessions,
+    identities,
+    api_keys: apiKeys.map(mapApiKeyRow),
+    job_reports: jobReports,
+  };
+}
+
+/**
+ * Remove a user from other users' notifications: their entry in new-application
+ * `recent_applicants` lists, and their name or email at the start of interview and
+ * company-membership messages (`${who} booked an interview ...`).
+ */
+async function scrubNotificationMentions(conn, id, who) {
+  const [rows] = await conn.query(
+    `SELECT id, message, data FROM notifications
+     WHERE user_id <> :id AND (
+       JSON_CONTAINS(data->'$.recent_applicants', JSON_OBJECT('candidate_id', :id))
+       OR data->>'$.application_id' IN (SELECT a.id FROM applications a WHERE a.candidate_id = :id)
+       OR (type = 'COMPANY' AND data->>'$.user_id' = :id)
+     )`,
+    { id }
+  );
+  for (const row of rows) {
+    const data = typeof row.data === 'string' ? JSON.parse(row.data) : row.data;
+    if (Array.isArray(data?.recent_applicants)) {
+      data.recent_applicants = data.recent_applicants.map((a) =>
+        a.candidate_id === id ? { ...a, candidate_email: null, candidate_name: null, avatar_url: null } : a
+      );
     }
+    const message = who && row.message?.startsWith(who) ? `Deleted user${row.message.slice(who.length)}` : row.message;
+    await conn.query('UPDATE notifications SET message = :message, data = :data WHERE id = :row_id', {
+      row_id: row.id,
+      message,
+      data: JSON.stringify(data),
+    });
   }
+}
 
-  // Migrate applications.status enum to simplified set ['APPLIED','PASSED','FAILED']
+/**
+ * Erase a user's personal data, keeping an anonymized tombstone row so that their applications
+ * still count in recruiters' totals (countApplicationsByRecruiterWithStatus) and jobs outside a
+ * company keep their owner. Profiles, notifications, sign-in methods and keys are deleted; the free text the candidate
+ * wrote (cover letters, resume links, decline reasons, report details) and recruiter notes about them
+ * are cleared, and they are scrubbed from invitations and other users' notifications.
+ * Companies left without an owner get their highest-ranked member promoted, the user's jobs in a
+ * company are reassigned (reassignMemberJobs), and published jobs nobody can manage any more are closed. `password_hash` must be an unusable random hash.
+ * Returns { avatar_urls } of the deleted profiles (files to remove), or null if already deleted.
+ */
+export async function anonymizeUser(id, { password_hash }) {
+  const conn = await pool.getConnection();
   try {
-    const [rows] = await pool.query(`
-      SELECT COLUMN_TYPE AS coltype
-      FROM INFORMATION_SCHEMA.COLUMNS
-      WHERE TABLE_SCHEMA = DATABASE()
-        AND TABLE_NAME = 'applications'
-        AND COLUMN_NAME = 'status'
-      LIMIT 1`);
-    const coltype = rows && rows[0] && rows[0].coltype;
-    const hasOldStatuses = coltype && (
-      coltype.includes("'SCREENING'") ||
-      coltype.includes("'INTERVIEW'") ||
-      coltype.includes("'OFFER'") ||
-      coltype.includes("'HIRED'") ||
-      coltype.includes("'REJECTED'")
+    await conn.beginTransaction();
+    const [users] = await conn.query('SELECT email, name FROM users WHERE id = :id AND deleted_at IS NULL FOR UPDATE', { id });
+    if (!users[0]) {
+      await conn.rollback();
+      return null;
+    }
+    const [avatars] = await conn.query(
+      `SELECT avatar_url FROM candidate_profiles WHERE user_id = :id AND avatar_url IS NOT NULL
+       UNION ALL
+       SELECT avatar_url FROM recruiter_profiles WHERE user_id = :id AND avatar_url IS NOT NULL`,
+      { id }
+    );
+    await conn.query(
+      `UPDATE users SET email = CONCAT('deleted-', id, '@deleted.invalid'), name = NULL, phone = NULL,
+         password_hash = :password_hash, has_password = 0, email_verified_at = NULL, email_verification_sent_at = NULL,
+         onboarding_incomplete = 0, deletion_scheduled_at = NULL, deleted_at = UTC_TIMESTAMP()
+       WHERE id = :id`,
+      { id, password_hash }
+    );
+    await conn.query(
+      `UPDATE company_invitations
+       SET email = CONCAT('deleted-', :id, '@deleted.invalid'),
+           revoked_at = CASE WHEN accepted_at IS NULL AND revoked_at IS NULL THEN UTC_TIMESTAMP() ELSE revoked_at END
+       WHERE email = :email OR accepted_by = :id`,
+      { id, email: users[0].email }
+    );
+    await conn.query('UPDATE job_reports SET details = NULL WHERE reporter_id = :id', { id });
+    await scrubNotificationMentions(conn, id, users[0].name || users[0].email);
+    for (const table of [
+      'candidate_profiles',
+      'recruiter_profiles',
+      'notifications',
+      'refresh_tokens',
+      'user_sessions',
+      'one_time_tokens',
+      'mfa_recovery_codes',
+      'user_mfa',
+      'user_identities',
+      'calendar_feed_tokens',
+      'api_keys',
+    ]) {
+      await conn.query(`DELETE FROM ${table} WHERE user_id = :id`, { id });
+    }
+    await conn.query('DELETE FROM interview_availability WHERE recruiter_id = :id', { id });
+    await conn.query(
+      'UPDATE applications SET resume_url = NULL, cover_letter = NULL, notes = NULL, tags = NULL WHERE candidate_id = :id',
+      { id }
+    );
+    await conn.query(
+      `UPDATE interviews i JOIN applications a ON a.id = i.application_id
+       SET i.notes = NULL, i.decline_reason = NULL
+       WHERE a.candidate_id = :id`,
+      { id }
     );
-    if (hasOldStatuses) {
-      // Map old -> new first to satisfy enum constraint during MODIFY
-      await pool.query(`UPDATE applications SET status = 'APPLIED' WHERE status IN ('SCREENING','INTERVIEW','OFFER')`);
-      await pool.query(`UPDATE applications SET status = 'FAILED' WHERE status = 'REJECTED'`);
-      await pool.query(`UPDATE applications SET status = 'PASSED' WHERE status = 'HIRED'`);
-      // Now alter the enum definition
-      await pool.query(`ALTER TABLE applications MODIFY COLUMN status ENUM('APPLIED','PASSED','FAILED') NOT NULL DEFAULT 'APPLIED'`);
+
+    const [memberships] = await conn.query('SELECT company_id FROM company_members WHERE user_id = :id', { id });
+    await conn.query('DELETE FROM company_members WHERE user_id = :id', { id });
+    const companyIds = memberships.map((m) => m.company_id);
+    for (const company_id of companyIds) {
+      const [owners] = await conn.query(
+        `SELECT COUNT(*) AS count FROM company_members WHERE company_id = :company_id AND role = 'OWNER'`,
+        { company_id }
+      );
+      if (Number(owners[0].count) > 0) continue;
+      await conn.query(
+        `UPDATE company_members SET role = 'OWNER'
+         WHERE company_id = :company_id
+         ORDER BY FIELD(role, 'ADMIN', 'RECRUITER', 'VIEWER'), created_at ASC
+         LIMIT 1`,
+        { company_id }
+      );
     }
+    for (const company_id of companyIds) await reassignMemberJobs(conn, company_id, id);
+    await conn.query(
+      `UPDATE jobs j SET j.status = 'CLOSED', j.closed_at = UTC_TIMESTAMP()
+       WHERE j.status = 'PUBLISHED' AND (
+         (j.company_id IS NULL AND j.recruiter_id = :id)
+         OR (j.company_id IN (:company_ids) AND NOT EXISTS (SELECT 1 FROM company_members m WHERE m.company_id = j.company_id))
+       )`,
+      { id, company_ids: companyIds.length ? companyIds : [0] }
+    );
+
+    await conn.commit();
+    return { avatar_urls: avatars.map((a) => a.avatar_url) };
   } catch (err) {
-    const safe = err && (/Unknown table|Unknown column/i.test(err.sqlMessage || '') || err.code === 'ER_NO_SUCH_TABLE' || err.code === 'ER_BAD_FIELD_ERROR');
-    if (!safe) throw err;
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
   }
 }
 
-async function createDatabaseIfMissing({ host, port, user, password, database }) {
-  const serverPool = mysql.createPool({
-    host,
-    port: Number(port),
-    user,
-    password,
-    connectionLimit: 2,
-    namedPlaceholders: true,
-  });
-  try {
-    await serverPool.query(
-      `CREATE DATABASE IF NOT EXISTS \`${database}\` DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;`
+// -------------------- Data retention --------------------
+
+const RETENTION_COLUMNS = 'id, company_id, failed_applications_days, closed_job_applications_days, read_notifications_days, updated_by, created_at, updated_at';
+
+// The global rule (company_id NULL) or a company's override; null when none is stored
+export async function getRetentionPolicy(company_id = null) {
+  const [rows] = company_id
+    ? await pool.query(`SELECT ${RETENTION_COLUMNS} FROM retention_policies WHERE company_id = :company_id LIMIT 1`, { company_id })
+    : await pool.query(`SELECT ${RETENTION_COLUMNS} FROM retention_policies WHERE company_id IS NULL ORDER BY id ASC LIMIT 1`);
+  return rows[0] || null;
+}
+
+export async function listCompanyRetentionPolicies() {
+  const [rows] = await pool.query(
+    `SELECT ${RETENTION_COLUMNS.split(', ').map((c) => `r.${c}`).join(', ')}, c.name AS company_name
+     FROM retention_policies r
+     JOIN companies c ON c.id = r.company_id
+     ORDER BY c.name ASC`
+  );
+  return rows;
+}
+
+// Replace the global rule (company_id null) or a company's override with `days`
+export async function saveRetentionPolicy(company_id, days, updated_by) {
+  const params = {
+    company_id: company_id || null,
+    failed_applications_days: days.failed_applications_days ?? null,
+    closed_job_applications_days: days.closed_job_applications_days ?? null,
+    read_notifications_days: days.read_notifications_days ?? null,
+    updated_by: updated_by ?? null,
+  };
+  // UNIQUE(company_id) doesn't cover NULL, so the global row is updated in place
+  const existing = company_id ? null : await getRetentionPolicy(null);
+  if (existing) {
+    await pool.query(
+      `UPDATE retention_policies
+       SET failed_applications_days = :failed_applications_days,
+           closed_job_applications_days = :closed_job_applications_days,
+           read_notifications_days = :read_notifications_days,
+           updated_by = :updated_by
+       WHERE id = :id`,
+      { ...params, id: existing.id }
+    );
+  } else {
+    await pool.query(
+      `INSERT INTO retention_policies (company_id, failed_applications_days, closed_job_applications_days, read_notifications_days, updated_by)
+       VALUES (:company_id, :failed_applications_days, :closed_job_applications_days, :read_notifications_days, :updated_by)
+       ON DUPLICATE KEY UPDATE
+         failed_applications_days = VALUES(failed_applications_days),
+         closed_job_applications_days = VALUES(closed_job_applications_days),
+         read_notifications_days = VALUES(read_notifications_days),
+         updated_by = VALUES(updated_by)`,
+      params
     );
-  } finally {
-    try { await serverPool.end(); } catch {}
   }
+  return getRetentionPolicy(company_id || null);
 }
 
-export async function getUserByEmail(email) {
-  const [rows] = await pool.query('SELECT * FROM users WHERE email = :email LIMIT 1', { email });
-  return rows[0] || null;
+export async function deleteRetentionPolicy(company_id) {
+  const [res] = await pool.query('DELETE FROM retention_policies WHERE company_id = :company_id', { company_id });
+  return { affectedRows: res.affectedRows };
 }
 
-export async function getUserById(id) {
-  const [rows] = await pool.query('SELECT id, email, name, phone, role FROM users WHERE id = :id LIMIT 1', { id });
-  return rows[0] || null;
+// Application rules: which applications a rule covers and when its retention period starts.
+// A company's value overrides the global one; jobs without a company follow the global rule.
+const APPLICATION_RETENTION_RULES = {
+  failed_applications: {
+    column: 'failed_applications_days',
+    where: "a.status = 'FAILED'",
+    since: 'a.updated_at',
+  },
+  closed_job_applications: {
+    column: 'closed_job_applications_days',
+    where: "j.status IN ('CLOSED', 'ARCHIVED')",
+    since: 'COALESCE(j.closed_at, j.updated_at)',
+  },
+};
+
+function applicationRetentionQuery(rule, company_id) {
+  const { column, where, since } = APPLICATION_RETENTION_RULES[rule];
+  const days = `COALESCE(cp.${column}, gp.${column})`;
+  const from = `
+    FROM applications a
+    JOIN jobs j ON j.id = a.job_id
+    LEFT JOIN companies c ON c.id = j.company_id
+    LEFT JOIN retention_policies cp ON cp.company_id = j.company_id
+    LEFT JOIN retention_policies gp ON gp.id = (SELECT MIN(id) FROM retention_policies WHERE company_id IS NULL)
+    WHERE a.anonymized_at IS NULL
+      AND ${where}
+      AND ${days} IS NOT NULL
+      AND ${since} <= UTC_TIMESTAMP() - INTERVAL ${days} DAY
+      ${company_id ? 'AND j.company_id = :company_id' : ''}`;
+  return { from, days, since };
 }
 
-export async function getUserAuthById(id) {
-  const [rows] = await pool.query('SELECT * FROM users WHERE id = :id LIMIT 1', { id });
-  return rows[0] || null;
+// Applications `rule` would anonymize now, per company: [{ company_id, company_name, retention_days, count, oldest }]
+export async function summarizeApplicationsDueForRetention(rule, { company_id } = {}) {
+  const { from, days, since } = applicationRetentionQuery(rule, company_id);
+  const [rows] = await pool.query(
+    `SELECT j.company_id, c.name AS company_name, ${days} AS retention_days, COUNT(*) AS count, MIN(${since}) AS oldest
+     ${from}
+     GROUP BY j.company_id, c.name, retention_days
+     ORDER BY count DESC`,
+    { company_id: company_id || null }
+  );
+  return rows.map((r) => ({ ...r, retention_days: Number(r.retention_days), count: Number(r.count) }));
+}
+
+export async function listApplicationsDueForRetention(rule, { company_id, limit = 500 } = {}) {
+  const { from, since } = applicationRetentionQuery(rule, company_id);
+  const [rows] = await pool.query(
+    `SELECT a.id ${from} ORDER BY ${since} ASC LIMIT :limit`,
+    { company_id: company_id || null, limit: Number(limit) }
+  );
+  return rows.map((r) => r.id);
+}
+
+// Drop the candidate's submitted content; status, score and tags stay for reporting
+export async function anonymizeApplications(ids) {
+  if (!ids.length) return { affectedRows: 0 };
+  const [res] = await pool.query(
+    `UPDATE applications
+     SET cover_letter = NULL, notes = NULL, resume_url = NULL, anonymized_at = UTC_TIMESTAMP()
+     WHERE id IN (:ids) AND anonymized_at IS NULL`,
+    { ids }
+  );
+  return { affectedRows: res.affectedRows };
+}
+
+// Read notifications follow the global rule only (they belong to users, not companies)
+export async function summarizeNotificationsDueForRetention(days) {
+  const [rows] = await pool.query(
+    `SELECT COUNT(*) AS count, MIN(read_at) AS oldest FROM notifications
+     WHERE data IS NOT NULL AND read_at IS NOT NULL AND read_at <= UTC_TIMESTAMP() - INTERVAL :days DAY`,
+    { days: Number(days) }
+  );
+  return { count: Number(rows[0]?.count || 0), oldest: rows[0]?.oldest || null };
+}
+
+export async function clearReadNotificationData(days, limit = 500) {
+  const [res] = await pool.query(
+    `UPDATE notifications SET data = NULL
+     WHERE data IS NOT NULL AND read_at IS NOT NULL AND read_at <= UTC_TIMESTAMP() - INTERVAL :days DAY
+     LIMIT :limit`,
+    { days: Number(days), limit: Number(limit) }
+  );
+  return { affectedRows: res.affectedRows };
+}
+
+// -------------------- API keys --------------------
+
+const API_KEY_COLUMNS = 'id, user_id, name, prefix, scopes, expires_at, last_used_at, last_used_ip, revoked_at, created_at';
+
+function mapApiKeyRow(row) {
+  return { ...row, scopes: typeof row.scopes === 'string' ? JSON.parse(row.scopes) : row.scopes };
 }
 
-export async function createUser({ email, name, phone, password_hash, role }) {
+export async function createApiKey({ user_id, name, prefix, key_hash, scopes, expires_at }) {
   const [res] = await pool.query(
-    'INSERT INTO users (email, name, phone, password_hash, role) VALUES (:email, :name, :phone, :password_hash, :role)',
-    { email, name: name || null, phone: phone || null, password_hash, role }
+    `INSERT INTO api_keys (user_id, name, prefix, key_hash, scopes, expires_at)
+     VALUES (:user_id, :name, :prefix, :key_hash, :scopes, :expires_at)`,
+    { user_id, name, prefix, key_hash, scopes: JSON.stringify(scopes), expires_at: expires_at ? toSqlDateTime(expires_at) : null }
   );
   return { id: res.insertId };
 }
 
-export async function updateUserPassword(id, password_hash) {
+export async function getApiKeyById(id) {
+  const [rows] = await pool.query(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = :id LIMIT 1`, { id });
+  return rows[0] ? mapApiKeyRow(rows[0]) : null;
+}
+
+export async function listApiKeysByUser(user_id) {
+  const [rows] = await pool.query(
+    `SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE user_id = :user_id ORDER BY revoked_at IS NOT NULL, created_at DESC`,
+    { user_id }
+  );
+  return rows.map(mapApiKeyRow);
+}
+
+export async function countActiveApiKeys(user_id) {
+  const [rows] = await pool.query(
+    `SELECT COUNT(*) AS count FROM api_keys
+     WHERE user_id = :user_id AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > UTC_TIMESTAMP())`,
+    { user_id }
+  );
+  return Number(rows[0]?.count || 0);
+}
+
+// Usable key by hash, with its owner's role and suspension state
+export async function getActiveApiKeyByHash(key_hash) {
+  const [rows] = await pool.query(
+    `SELECT k.id, k.user_id, k.scopes, k.last_used_at, u.role, u.suspended_at
+     FROM api_keys k
+     JOIN users u ON u.id = k.user_id
+     WHERE k.key_hash = :key_hash AND k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > UTC_TIMESTAMP())
+     LIMIT 1`,
+    { key_hash }
+  );
+  return rows[0] ? mapApiKeyRow(rows[0]) : null;
+}
+
+// Record use; at most one write per key per minute
+export async function touchApiKey(id, ip) {
+  await pool.query(
+    `UPDATE api_keys SET last_used_at = UTC_TIMESTAMP(), last_used_ip = :ip
+     WHERE id = :id AND (last_used_at IS NULL OR last_used_at < UTC_TIMESTAMP() - INTERVAL 60 SECOND)`,
+    { id, ip: ip || null }
+  );
+}
+
+export async function revokeApiKey(id, user_id) {
   const [res] = await pool.query(
-    'UPDATE users SET password_hash = :password_hash WHERE id = :id',
-    { id, password_hash }
+    'UPDATE api_keys SET revoked_at = UTC_TIMESTAMP() WHERE id = :id AND user_id = :user_id AND revoked_at IS NULL',
+    { id, user_id }
   );
   return { affectedRows: res.affectedRows };
 }
 
-export async function updateUserFields(id, patch) {
-  const fields = [];
-  const params = { id };
-  if (Object.prototype.hasOwnProperty.call(patch, 'name')) {
-    params.name = patch.name ?? null;
-    fields.push('name = :name');
+// -------------------- Audit log --------------------
+
+// actor/subject ids are kept without foreign keys so entries outlive deleted accounts
+export async function createAuditLogEntry({ actor_id, subject_user_id, action, method, path, status_code, ip, user_agent, details }) {
+  const [res] = await pool.query(
+    `INSERT INTO audit_log (actor_id, subject_user_id, action, method, path, status_code, ip, user_agent, details)
+     VALUES (:actor_id, :subject_user_id, :action, :method, :path, :status_code, :ip, :user_agent, :details)`,
+    {
+      actor_id: actor_id ?? null,
+      subject_user_id: subject_user_id ?? null,
+      action,
+      method: method || null,
+      path: path ? String(path).slice(0, 512) : null,
+      status_code: status_code ?? null,
+      ip: ip || null,
+      user_agent: user_agent ? String(user_agent).slice(0, 512) : null,
+      details: details ? JSON.stringify(details) : null,
+    }
+  );
+  return { id: res.insertId };
+}
+
+export async function listAuditLog({ actor_id, subject_user_id, action, limit = 100, offset = 0 } = {}) {
+  const where = [];
+  const params = { limit: Number(limit), offset: Number(offset) };
+  if (actor_id) {
+    where.push('actor_id = :actor_id');
+    params.actor_id = actor_id;
   }
-  if (Object.prototype.hasOwnProperty.call(patch, 'phone')) {
-    params.phone = patch.phone ?? null;
-    fields.push('phone = :phone');
+  if (subject_user_id) {
+    where.push('subject_user_id = :subject_user_id');
+    params.subject_user_id = subject_user_id;
   }
-  if (fields.length === 0) return { affectedRows: 0 };
-  const sql = `UPDATE users SET ${fields.join(', ')} WHERE id = :id`;
-  const [res] = await pool.query(sql, params);
+  if (action) {
+    where.push('action = :action');
+    params.action = action;
+  }
+  const [rows] = await pool.query(
+    `SELECT * FROM audit_log
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY created_at DESC, id DESC
+     LIMIT :limit OFFSET :offset`,
+    params
+  );
+  return rows.map((r) => ({
+    ...r,
+    details: typeof r.details === 'string' ? JSON.parse(r.details) : r.details,
+  }));
+}
+
+// -------------------- Login throttling --------------------
+
+export async function addThrottleEvent(throttle_key) {
+  await pool.query('INSERT INTO auth_throttle_events (throttle_key, created_at) VALUES (:throttle_key, UTC_TIMESTAMP(3))', { throttle_key });
+}
+
+export async function countThrottleEvents(throttle_key, windowSeconds) {
+  const [rows] = await pool.query(
+    `SELECT COUNT(*) AS count FROM auth_throttle_events
+     WHERE throttle_key = :throttle_key AND created_at > UTC_TIMESTAMP(3) - INTERVAL :seconds SECOND`,
+    { throttle_key, seconds: windowSeconds }
+  );
+  return Number(rows[0]?.count || 0);
+}
+
+export async function clearThrottleEvents(throttle_key) {
+  await pool.query('DELETE FROM auth_throttle_events WHERE throttle_key = :throttle_key', { throttle_key });
+}
+
+// Drop events older than the longest window (all keys)
+export async function pruneThrottleEvents(olderThanSeconds) {
+  const [res] = await pool.query(
+    'DELETE FROM auth_throttle_events WHERE created_at < UTC_TIMESTAMP(3) - INTERVAL :seconds SECOND',
+    { seconds: olderThanSeconds }
+  );
+  await pool.query('DELETE FROM auth_throttle_locks WHERE locked_until < UTC_TIMESTAMP()');
   return { affectedRows: res.affectedRows };
 }
 
+export async function setThrottleLock(throttle_key, seconds) {
+  await pool.query(
+    `INSERT INTO auth_throttle_locks (throttle_key, locked_until)
+     VALUES (:throttle_key, UTC_TIMESTAMP() + INTERVAL :seconds SECOND)
+     ON DUPLICATE KEY UPDATE locked_until = VALUES(locked_until)`,
+    { throttle_key, seconds }
+  );
+}
+
+// Seconds until the lock expires, 0 when not locked
+export async function getThrottleLockRemaining(throttle_key) {
+  const [rows] = await pool.query(
+    `SELECT TIMESTAMPDIFF(SECOND, UTC_TIMESTAMP(), locked_until) AS remaining
+     FROM auth_throttle_locks WHERE throttle_key = :throttle_key AND locked_until > UTC_TIMESTAMP()
+     LIMIT 1`,
+    { throttle_key }
+  );
+  return rows[0] ? Math.max(1, Number(rows[0].remaining)) : 0;
+}
+
+export async function deleteThrottleLock(throttle_key) {
+  await pool.query('DELETE FROM auth_throttle_locks WHERE throttle_key = :throttle_key', { throttle_key });
+}
+
 // -------------------- Notifications --------------------
 
 export async function createNotification({ user_id, type, title, message, data }) {
@@ -383,7 +1447,7 @@ export async function listNotificationsByUser(user_id, { unread_only, limit = 50
 
 export async function markNotificationRead(id) {
   const [res] = await pool.query(
-    `UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP) WHERE id = :id`,
+    `UPDATE notifications SET read_at = COALESCE(read_at, UTC_TIMESTAMP()) WHERE id = :id`,
     { id }
   );
   return { affectedRows: res.affectedRows };
@@ -423,7 +1487,8 @@ export async function getApplicationById(id) {
 
 export async function getApplicationDetail(id) {
   const [rows] = await pool.query(
-    `SELECT a.*, j.recruiter_id, j.title AS job_title, j.status AS job_status,
+    `SELECT a.*, j.recruiter_id, j.company_id AS job_company_id, j.title AS job_title, j.status AS job_status,
+            j.company_name AS job_company_name, j.interview_duration AS job_interview_duration,
             u.email AS candidate_email, u.name AS candidate_name, u.phone AS candidate_phone,
             cp.first_name, cp.last_name, cp.avatar_url AS candidate_avatar_url, cp.resume_url AS candidate_resume_url
      FROM applications a
@@ -454,7 +1519,15 @@ export async function getApplicationDetail(id) {
     created_at: row.created_at,
     updated_at: row.updated_at,
   };
-  const job = { id: row.job_id, recruiter_id: row.recruiter_id, title: row.job_title, status: row.job_status };
+  const job = {
+    id: row.job_id,
+    recruiter_id: row.recruiter_id,
+    company_id: row.job_company_id,
+    title: row.job_title,
+    status: row.job_status,
+    company_name: row.job_company_name,
+    interview_duration: row.job_interview_duration,
+  };
   const candidate = { id: row.candidate_id, email: row.candidate_email, name: row.candidate_name, phone: row.candidate_phone };
   const profile = { first_name: row.first_name, last_name: row.last_name, avatar_url: row.candidate_avatar_url, resume_url: row.candidate_resume_url };
   return { application, job, candidate, profile };
@@ -503,12 +1576,19 @@ export async function countApplicationsByJob(job_id) {
   return Number(cnt ?? 0);
 }
 
+// Jobs `j` a user can see: those of companies they belong to, plus their own jobs not (yet) in a company
+const MEMBER_JOBS_CONDITION = `(
+  j.company_id IN (SELECT company_id FROM company_members WHERE user_id = :recruiter_id)
+  OR (j.company_id IS NULL AND j.recruiter_id = :recruiter_id)
+)`;
+
+// Counts cover every job the recruiter can see through their companies
 export async function countApplicationsByRecruiter(recruiter_id) {
   const [rows] = await pool.query(
     `SELECT COUNT(*) AS cnt 
      FROM applications a
      JOIN jobs j ON j.id = a.job_id
-     WHERE j.recruiter_id = :recruiter_id`,
+     WHERE ${MEMBER_JOBS_CONDITION}`,
     { recruiter_id }
   );
   const cnt = rows && rows[0] && (rows[0].cnt ?? rows[0].COUNT ?? rows[0]['COUNT(*)']);
@@ -524,7 +1604,7 @@ export async function countApplicationsByRecruiterWithStatus(recruiter_id) {
       SUM(CASE WHEN a.status = 'FAILED' THEN 1 ELSE 0 END) AS failed
      FROM applications a
      JOIN jobs j ON j.id = a.job_id
-     WHERE j.recruiter_id = :recruiter_id`,
+     WHERE ${MEMBER_JOBS_CONDITION}`,
     { recruiter_id }
   );
   
@@ -585,6 +1665,293 @@ export async function updateApplication(id, patch) {
   return { affectedRows: res.affectedRows };
 }
 
+// -------------------- Interviews --------------------
+
+export const DEFAULT_INTERVIEW_DURATION = 60;
+
+// Accept Date objects or 'YYYY-MM-DD HH:MM:SS' strings; Dates are stored as UTC
+function toSqlDateTime(v) {
+  if (v instanceof Date) return v.toISOString().slice(0, 19).replace('T', ' ');
+  return v;
+}
+
+function mapInterviewRow(row) {
+  const parseJson = (v) => {
+    if (v === null || v === undefined) return null;
+    try { return typeof v === 'string' ? JSON.parse(v) : v; } catch { return null; }
+  };
+  return { ...row, interviewers: parseJson(row.interviewers) };
+}
+
+// The job's recruiter while they can still run the company's jobs (jobs outside a company: always),
+// so nobody's calendar is booked on behalf of a former member
+const JOB_SCHEDULING_RECRUITER = `CASE WHEN j.company_id IS NULL OR EXISTS (
+    SELECT 1 FROM company_members m
+    WHERE m.company_id = j.company_id AND m.user_id = j.recruiter_id AND m.role IN ('OWNER','ADMIN','RECRUITER')
+  ) THEN j.recruiter_id END`;
+
+/**
+ * Start of every transaction that adds interviews: loads the application's job and locks the
+ * interviewing recruiter's user row, so bookings and recruiter-created interviews for the same
+ * recruiter are serialized. It must be the transaction's first read: a plain SELECT before it
+ * would open the REPEATABLE READ snapshot and hide interviews committed while waiting for the lock.
+ * Returns { id, job_id, recruiter_id, interview_duration } or null.
+ */
+async function lockInterviewSchedule(conn, application_id) {
+  const [apps] = await conn.query(
+    `SELECT a.id, a.job_id, ${JOB_SCHEDULING_RECRUITER} AS recruiter_id, j.interview_duration
+     FROM applications a JOIN jobs j ON j.id = a.job_id
+     WHERE a.id = :application_id LIMIT 1
+     LOCK IN SHARE MODE`,
+    { application_id }
+  );
+  const app = apps[0];
+  if (!app) return null;
+  if (app.recruiter_id) {
+    await conn.query('SELECT id FROM users WHERE id = :recruiter_id FOR UPDATE', { recruiter_id: app.recruiter_id });
+  }
+  return app;
+}
+
+// Duration falls back to the job's interview_duration, then DEFAULT_INTERVIEW_DURATION
+export async function createInterview({ application_id, scheduled_at, duration_minutes, meeting_url, location, interviewers, notes, created_by }) {
+  const params = {
+    application_id,
+    scheduled_at: toSqlDateTime(scheduled_at),
+    duration_minutes: duration_minutes ?? null,
+    default_duration: DEFAULT_INTERVIEW_DURATION,
+    meeting_url: meeting_url ?? null,
+    location: location ?? null,
+    interviewers: interviewers ? JSON.stringify(interviewers) : null,
+    notes: notes ?? null,
+    created_by: created_by ?? null,
+  };
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    // Same lock as bookInterviewSlot, so a concurrent self-booking sees this interview as busy time
+    if (!(await lockInterviewSchedule(conn, application_id))) {
+      throw Object.assign(new Error('Application not found'), { status: 404 });
+    }
+    const [res] = await conn.query(
+      `INSERT INTO interviews (application_id, scheduled_at, duration_minutes, meeting_url, location, interviewers, notes, created_by)
+       SELECT a.id, :scheduled_at, COALESCE(:duration_minutes, j.interview_duration, :default_duration),
+              :meeting_url, :location, :interviewers, :notes, :created_by
+       FROM applications a
+       JOIN jobs j ON j.id = a.job_id
+       WHERE a.id = :application_id`,
+      params
+    );
+    await conn.commit();
+    return { id: res.insertId };
+  } catch (err) {
+    try { await conn.rollback(); } catch {}
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+export async function getInterviewById(id) {
+  const [rows] = await pool.query('SELECT * FROM interviews WHERE id = :id LIMIT 1', { id });
+  return rows[0] ? mapInterviewRow(rows[0]) : null;
+}
+
+export async function listInterviewsByApplication(application_id, { status } = {}) {
+  const where = ['application_id = :application_id'];
+  const params = { application_id };
+  if (status) { where.push('status = :status'); params.status = status; }
+  const [rows] = await pool.query(
+    `SELECT * FROM interviews WHERE ${where.join(' AND ')} ORDER BY scheduled_at ASC, id ASC`,
+    params
+  );
+  return rows.map(mapInterviewRow);
+}
+
+export async function updateInterview(id, patch) {
+  const fields = [];
+  const params = { id };
+  const set = (col, val) => { const pKey = `p_${col}`; params[pKey] = val; fields.push(`${col} = :${pKey}`); };
+  const has = (k) => Object.prototype.hasOwnProperty.call(patch, k) && patch[k] !== undefined;
+
+  if (has('scheduled_at')) set('scheduled_at', toSqlDateTime(patch.scheduled_at));
+  if (has('duration_minutes')) set('duration_minutes', patch.duration_minutes);
+  if (has('meeting_url')) set('meeting_url', patch.meeting_url ?? null);
+  if (has('location')) set('location', patch.location ?? null);
+  if (has('interviewers')) set('interviewers', patch.interviewers ? JSON.stringify(patch.interviewers) : null);
+  if (has('notes')) set('notes', patch.notes ?? null);
+  if (has('status')) set('status', patch.status);
+  if (has('decline_reason')) set('decline_reason', patch.decline_reason ?? null);
+  if (fields.length === 0) return { affectedRows: 0 };
+  // Calendar clients only apply an update with a higher SEQUENCE
+  fields.push('sequence = sequence + 1');
+  const sql = `UPDATE interviews SET ${fields.join(', ')} WHERE id = :id`;
+  const [res] = await pool.query(sql, params);
+  return { affectedRows: res.affectedRows };
+}
+
+export async function deleteInterview(id) {
+  const [res] = await pool.query('DELETE FROM interviews WHERE id = :id', { id });
+  return { affectedRows: res.affectedRows };
+}
+
+// -------------------- Interview calendars --------------------
+
+// Interview rows joined with what a calendar entry needs (job, candidate, recruiter)
+const INTERVIEW_CALENDAR_SELECT = `
+  SELECT i.*, a.candidate_id, j.id AS job_id, j.recruiter_id, j.title AS job_title, j.company_name,
+         cu.email AS candidate_email, cu.name AS candidate_name,
+         ru.email AS recruiter_email, ru.name AS recruiter_name
+  FROM interviews i
+  JOIN applications a ON a.id = i.application_id
+  JOIN jobs j ON j.id = a.job_id
+  JOIN users cu ON cu.id = a.candidate_id
+  LEFT JOIN users ru ON ru.id = j.recruiter_id`;
+
+export async function getInterviewCalendarEntry(id) {
+  const [rows] = await pool.query(`${INTERVIEW_CALENDAR_SELECT} WHERE i.id = :id LIMIT 1`, { id });
+  return rows[0] ? mapInterviewRow(rows[0]) : null;
+}
+
+// Upcoming (not yet ended) interviews for a recruiter's jobs or a candidate's applications
+export async function listUpcomingInterviewsForUser({ id, role }) {
+  const owner = role === 'RECRUITER' ? 'j.recruiter_id = :user_id' : 'a.candidate_id = :user_id';
+  const [rows] = await pool.query(
+    `${INTERVIEW_CALENDAR_SELECT}
+     WHERE ${owner}
+       AND DATE_ADD(i.scheduled_at, INTERVAL i.duration_minutes MINUTE) > UTC_TIMESTAMP()
+     ORDER BY i.scheduled_at ASC, i.id ASC`,
+    { user_id: id }
+  );
+  return rows.map(mapInterviewRow);
+}
+
+export async function upsertCalendarFeedToken(user_id, token_hash) {
+  const [res] = await pool.query(
+    `INSERT INTO calendar_feed_tokens (user_id, token_hash) VALUES (:user_id, :token_hash)
+     ON DUPLICATE KEY UPDATE token_hash = VALUES(token_hash), created_at = UTC_TIMESTAMP()`,
+    { user_id, token_hash }
+  );
+  return { affectedRows: res.affectedRows };
+}
+
+export async function getUserByCalendarFeedToken(token_hash) {
+  const [rows] = await pool.query(
+    `SELECT u.id, u.email, u.name, u.phone, u.role
+     FROM calendar_feed_tokens t JOIN users u ON u.id = t.user_id
+     WHERE t.token_hash = :token_hash LIMIT 1`,
+    { token_hash }
+  );
+  return rows[0] || null;
+}
+
+export async function deleteCalendarFeedToken(user_id) {
+  const [res] = await pool.query('DELETE FROM calendar_feed_tokens WHERE user_id = :user_id', { user_id });
+  return { affectedRows: res.affectedRows };
+}
+
+// -------------------- Interview availability --------------------
+
+export async function createAvailability({ job_id, recruiter_id, starts_at, ends_at }) {
+  const [res] = await pool.query(
+    `INSERT INTO interview_availability (job_id, recruiter_id, starts_at, ends_at)
+     VALUES (:job_id, :recruiter_id, :starts_at, :ends_at)`,
+    { job_id, recruiter_id, starts_at: toSqlDateTime(starts_at), ends_at: toSqlDateTime(ends_at) }
+  );
+  return { id: res.insertId };
+}
+
+export async function getAvailabilityById(id) {
+  const [rows] = await pool.query('SELECT * FROM interview_availability WHERE id = :id LIMIT 1', { id });
+  return rows[0] || null;
+}
+
+// Windows for a job; with `upcoming` only those not yet over
+export async function listAvailabilityByJob(job_id, { upcoming = false } = {}, conn = pool) {
+  const where = ['job_id = :job_id'];
+  if (upcoming) where.push('ends_at > UTC_TIMESTAMP()');
+  const [rows] = await conn.query(
+    `SELECT * FROM interview_availability WHERE ${where.join(' AND ')} ORDER BY starts_at ASC, id ASC`,
+    { job_id }
+  );
+  return rows;
+}
+
+export async function updateAvailability(id, patch) {
+  const fields = [];
+  const params = { id };
+  if (patch.starts_at !== undefined) { fields.push('starts_at = :starts_at'); params.starts_at = toSqlDateTime(patch.starts_at); }
+  if (patch.ends_at !== undefined) { fields.push('ends_at = :ends_at'); params.ends_at = toSqlDateTime(patch.ends_at); }
+  if (fields.length === 0) return { affectedRows: 0 };
+  const [res] = await pool.query(`UPDATE interview_availability SET ${fields.join(', ')} WHERE id = :id`, params);
+  return { affectedRows: res.affectedRows };
+}
+
+export async function deleteAvailability(id) {
+  const [res] = await pool.query('DELETE FROM interview_availability WHERE id = :id', { id });
+  return { affectedRows: res.affectedRows };
+}
+
+// Active (SCHEDULED/CONFIRMED) interviews across all of a recruiter's jobs, as busy intervals.
+// `locking` reads the latest committed rows (inside a booking transaction) instead of the snapshot.
+export async function listBusyIntervalsByRecruiter(recruiter_id, conn = pool, { locking = false } = {}) {
+  const [rows] = await conn.query(
+    `SELECT i.id, i.scheduled_at AS starts_at,
+            DATE_ADD(i.scheduled_at, INTERVAL i.duration_minutes MINUTE) AS ends_at
+     FROM interviews i
+     JOIN applications a ON a.id = i.application_id
+     JOIN jobs j ON j.id = a.job_id
+     WHERE j.recruiter_id = :recruiter_id
+       AND i.status IN ('SCHEDULED','CONFIRMED')
+       AND DATE_ADD(i.scheduled_at, INTERVAL i.duration_minutes MINUTE) > UTC_TIMESTAMP()
+     ${locking ? 'LOCK IN SHARE MODE' : ''}`,
+    { recruiter_id }
+  );
+  return rows;
+}
+
+/**
+ * Book an availability slot as an interview for an application.
+ * Bookings for the same recruiter are serialized by locking the recruiter's user row first
+ * (lockInterviewSchedule), and the busy-time checks are locking reads, so the free-slot check and
+ * the insert cannot interleave with a concurrent booking or recruiter-created interview.
+ * Throws { status: 404 } for unknown applications and { status: 409, code } when the slot is gone
+ * (code 'SlotUnavailable') or the application already has an active interview ('AlreadyScheduled').
+ */
+export async function bookInterviewSlot({ application_id, starts_at, created_by }) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const app = await lockInterviewSchedule(conn, application_id);
+    if (!app || !app.recruiter_id) throw Object.assign(new Error('Application not found'), { status: 404 });
+
+    const [active] = await conn.query(
+      `SELECT id FROM interviews WHERE application_id = :application_id AND status IN ('SCHEDULED','CONFIRMED') LIMIT 1
+       LOCK IN SHARE MODE`,
+      { application_id }
+    );
+    if (active[0]) throw Object.assign(new Error('Application already has an active interview'), { status: 409, code: 'AlreadyScheduled' });
+
+    const duration = app.interview_duration || DEFAULT_INTERVIEW_DURATION;
+    const windows = await listAvailabilityByJob(app.job_id, { upcoming: true }, conn);
+    const busy = await listBusyIntervalsByRecruiter(app.recruiter_id, conn, { locking: true });
+    const slot = findSlot(windows, duration, busy, starts_at);
+    if (!slot) throw Object.assign(new Error('Slot is no longer available'), { status: 409, code: 'SlotUnavailable' });
+
+    const [res] = await conn.query(
+      `INSERT INTO interviews (application_id, scheduled_at, duration_minutes, created_by)
+       VALUES (:application_id, :scheduled_at, :duration_minutes, :created_by)`,
+      { application_id, scheduled_at: toSqlDateTime(slot.starts_at), duration_minutes: duration, created_by: created_by ?? null }
+    );
+    await conn.commit();
+    return { id: res.insertId };
+  } catch (err) {
+    try { await conn.rollback(); } catch {}
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
 
 export async function getCandidateProfile(user_id) {
   const [rows] = await pool.query(
@@ -670,6 +2037,7 @@ export async function createJob(job) {
 
   const params = {
     recruiter_id: job.recruiter_id ?? null,
+    company_id: job.company_id ?? null,
     title: job.title,
     company_name: job.company_name ?? null,
     location: job.location ?? null,
@@ -692,14 +2060,14 @@ export async function createJob(job) {
     application_end_date: job.application_end_date ?? null,
     position_close_date: job.position_close_date ?? null,
     allow_international: job.allow_international ? 1 : 0,
-    shortlist: job.shortlist ?? null,
+    shortlist: job.shortlist ?? 0,
     // Map API auto_offer to DB auto_close, keep backward-compat with auto_close input if provided
     auto_close: (job.auto_offer ?? job.auto_close) ? 1 : 0,
     status: job.status,
   };
   const [res] = await pool.query(
     `INSERT INTO jobs (
-      recruiter_id, title, company_name, location,
+      recruiter_id, company_id, title, company_name, location,
       remote_flexible, job_type, salary, interview_duration, commencement_date,
       intro, description, benefits, responsibilities, requirements, qualifications, other_details,
       skills_soft, skills_technical, skills_cognitive,
@@ -707,7 +2075,7 @@ export async function createJob(job) {
       position_close_date,
       allow_international, shortlist, auto_close, status
     ) VALUES (
-      :recruiter_id, :title, :company_name, :location,
+      :recruiter_id, :company_id, :title, :company_name, :location,
       :remote_flexible, :job_type, :salary, :interview_duration, :commencement_date,
       :intro, :description, :benefits, :responsibilities, :requirements, :qualifications, :other_details,
       :skills_soft, :skills_technical, :skills_cognitive,
@@ -746,14 +2114,19 @@ export async function getJobById(id) {
   return job;
 }
 
-export async function listJobsByRecruiter(recruiter_id, { status, limit = 50, offset = 0 } = {}) {
-  const where = ['recruiter_id = :recruiter_id'];
+// Jobs of every company the recruiter belongs to (optionally one company)
+export async function listJobsForMember(recruiter_id, { company_id, status, limit = 50, offset = 0 } = {}) {
+  const where = [MEMBER_JOBS_CONDITION];
   const params = { recruiter_id, limit: Number(limit), offset: Number(offset) };
+  if (company_id) {
+    where.push('j.company_id = :company_id');
+    params.company_id = company_id;
+  }
   if (status) {
-    where.push('status = :status');
+    where.push('j.status = :status');
     params.status = status;
   }
-  const sql = `SELECT * FROM jobs WHERE ${where.join(' AND ')} ORDER BY created_at DESC LIMIT :limit OFFSET :offset`;
+  const sql = `SELECT j.* FROM jobs j WHERE ${where.join(' AND ')} ORDER BY j.created_at DESC LIMIT :limit OFFSET :offset`;
   const [rows] = await pool.query(sql, params);
   const parseJson = (v) => {
     if (v === null || v === undefined) return null;
@@ -912,24 +2285,80 @@ export async function upsertRecruiterProfile(user_id, patch) {
   return { affectedRows: res.affectedRows };
 }
 
+// Make `recruiter_id` the job's recruiter unless someone else took it over meanwhile (`previous`)
+export async function assignJobRecruiter(id, recruiter_id, previous) {
+  const [res] = await pool.query(
+    'UPDATE jobs SET recruiter_id = :recruiter_id WHERE id = :id AND recruiter_id <=> :previous',
+    { id, recruiter_id, previous: previous ?? null }
+  );
+  return res.affectedRows > 0;
+}
+
 export async function deleteJob(id) {
   const [res] = await pool.query('DELETE FROM jobs WHERE id = :id', { id });
   return { affectedRows: res.affectedRows };
 }
 
-export async function closeJob(id) {
-  const sql = `UPDATE jobs SET status = 'DRAFT' WHERE id = :id`;
-  const [res] = await pool.query(sql, { id });
+// Compare-and-set status change: only applies when the job is still in `from`,
+// so two concurrent transitions cannot both succeed.
+// closed_at records when the job stopped taking applications (retention of its applications)
+// moderation: 'lock' records an admin takedown (with `reason`), 'unlock' clears it (admin approval).
+// Otherwise a locked job never moves to PUBLISHED.
+export async function transitionJobStatus(id, from, to, { moderation = null, reason = null, conn = pool } = {}) {
+  const sets = [
+    'status = :to',
+    "closed_at = CASE WHEN :to IN ('CLOSED', 'ARCHIVED') THEN COALESCE(closed_at, UTC_TIMESTAMP()) ELSE NULL END",
+  ];
+  if (moderation === 'lock') sets.push('moderation_locked_at = UTC_TIMESTAMP()', 'moderation_locked_reason = :reason');
+  if (moderation === 'unlock') sets.push('moderation_locked_at = NULL', 'moderation_locked_reason = NULL');
+  const where = ['id = :id', 'status = :from'];
+  if (to === 'PUBLISHED' && moderation !== 'unlock') where.push('moderation_locked_at IS NULL');
+  const [res] = await conn.query(
+    `UPDATE jobs SET ${sets.join(', ')} WHERE ${where.join(' AND ')}`,
+    { id, from, to, reason }
+  );
   return res.affectedRows > 0;
 }
 
+/**
+ * Field edits and an optional status change (`from` -> `to`) as one transaction that only
+ * applies while the job is still in `from`: a rejected transition saves nothing.
+ * Returns { applied: true, changed } or { applied: false, status } (null when the job is gone).
+ */
+export async function updateJobWithTransition(id, patch, from, to = null) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query('SELECT status FROM jobs WHERE id = :id FOR UPDATE', { id });
+    const status = rows[0]?.status ?? null;
+    if (status !== from) {
+      await conn.rollback();
+      return { applied: false, status };
+    }
+    const { affectedRows } = await updateJob(id, patch, conn);
+    if (to && !(await transitionJobStatus(id, from, to, { conn }))) {
+      await conn.rollback();
+      return { applied: false, status };
+    }
+    await conn.commit();
+    return { applied: true, changed: affectedRows > 0 || !!to };
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+export async function closeJob(id) {
+  return transitionJobStatus(id, 'PUBLISHED', 'CLOSED');
+}
+
 export async function reopenJob(id) {
-  const sql = `UPDATE jobs SET status = 'PUBLISHED' WHERE id = :id`;
-  const [res] = await pool.query(sql, { id });
-  return res.affectedRows > 0;
+  return transitionJobStatus(id, 'CLOSED', 'PUBLISHED');
 }
 
-export async function updateJob(id, patch) {
+export async function updateJob(id, patch, conn = pool) {
   const sets = [];
   const params = { id };
 
@@ -1040,7 +2469,7 @@ export async function updateJob(id, patch) {
   }
   if (patch.shortlist !== undefined) {
     sets.push('shortlist = :shortlist');
-    params.shortlist = patch.shortlist;
+    params.shortlist = patch.shortlist ?? 0;
   }
   if (patch.auto_offer !== undefined || patch.auto_close !== undefined) {
     sets.push('auto_close = :auto_close');
@@ -1054,6 +2483,6 @@ export async function updateJob(id, patch) {
   if (sets.length === 0) return { affectedRows: 0 };
 
   const sql = `UPDATE jobs SET ${sets.join(', ')} WHERE id = :id`;
-  const [res] = await pool.query(sql, params);
+  const [res] = await conn.query(sql, params);
   return { affectedRows: res.affectedRows };
 }
@@ -0,0 +1,451 @@
+import express from 'express';
+import { z } from 'zod';
+import jwt from 'jsonwebtoken';
+import {
+  getUserById,
+  getUserAuthById,
+  searchUsers,
+  suspendUser,
+  unsuspendUser,
+  getJobById,
+  transitionJobStatus,
+  listJobsForModeration,
+  listJobReports,
+  getJobReportById,
+  resolveJobReport,
+  createNotification,
+  listAuditLog,
+  getRetentionPolicy,
+  listCompanyRetentionPolicies,
+  saveRetentionPolicy,
+} from '../db.js';
+import { signImpersonationToken } from '../utils/jwt.js';
+import { requireRole, forbidWhileImpersonating } from '../utils/auth.js';
+import { audit } from '../utils/audit.js';
+import { revokeAllRefreshTokens } from '../utils/refreshTokens.js';
+import { sendMail } from '../utils/mailer.js';
+import { JOB_STATUSES, JOB_REVIEW_REQUIRED, invalidTransitionBody } from '../utils/jobStatus.js';
+import { retentionReport, runRetentionSweep } from '../utils/retention.js';
+import { Boolish } from '../utils/validation.js';
+
+const router = express.Router();
+
+router.use(requireRole('ADMIN'), forbidWhileImpersonating);
+
+const Paging = {
+  limit: z.coerce.number().int().positive().max(200).optional(),
+  offset: z.coerce.number().int().min(0).optional(),
+};
+
+const ReasonSchema = z.object({
+  reason: z.string().trim().max(255).optional(),
+});
+
+// Admin view of a user (never includes password/MFA material)
+async function adminUserView(id) {
+  const user = await getUserAuthById(id);
+  if (!user) return null;
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    phone: user.phone,
+    role: user.role,
+    email_verified_at: user.email_verified_at,
+    has_password: !!user.has_password,
+    suspended_at: user.suspended_at,
+    suspended_reason: user.suspended_reason,
+    created_at: user.created_at,
+  };
+}
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Tell the job's recruiter what a moderator did (fire-and-forget)
+function notifyRecruiter(job, { title, message }) {
+  if (!job.recruiter_id) return;
+  createNotification({
+    user_id: job.recruiter_id,
+    type: 'JOB',
+    title,
+    message,
+    data: { job_id: job.id, status: job.status, path: `/recruiter/jobs/${job.id}` },
+  }).catch((e) => console.error('admin job notification error', e));
+}
+
+// -------------------- Users --------------------
+
+router.get('/users', async (req, res) => {
+  try {
+    const Query = z.object({
+      q: z.string().trim().min(1).max(191).optional(),
+      role: z.enum(['RECRUITER', 'CANDIDATE', 'ADMIN']).optional(),
+      suspended: Boolish,
+      ...Paging,
+    });
+    const parsed = Query.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const users = await searchUsers(parsed.data);
+    return res.json({ users });
+  } catch (err) {
+    console.error('admin list users error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+router.get('/users/:id', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'InvalidId' });
+    const user = await adminUserView(id);
+    if (!user) return res.status(404).json({ error: 'NotFound' });
+    return res.json({ user });
+  } catch (err) {
+    console.error('admin get user error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Suspend: blocks sign-in, signs out every session and rejects access tokens already issued
+router.post('/users/:id/suspend', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'InvalidId' });
+    const parsed = ReasonSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    if (id === req.user.id) {
+      return res.status(400).json({ error: 'CannotSuspendSelf', message: 'You cannot suspend your own account' });
+    }
+    const target = await getUserById(id);
+    if (!target) return res.status(404).json({ error: 'NotFound' });
+
+    const { affectedRows } = await suspendUser(id, parsed.data.reason);
+    if (affectedRows > 0) {
+      await revokeAllRefreshTokens(id, 'suspended');
+      audit(req, 'user.suspend', { subject_user_id: id, details: { reason: parsed.data.reason || null } });
+      sendMail({
+        to: target.email,
+        subject: 'Your HeyHR account has been suspended',
+        text: [
+          `Hi${target.name ? ` ${target.name}` : ''},`,
+          '',
+          'Your HeyHR account has been suspended and you have been signed out.',
+          ...(parsed.data.reason ? [`Reason: ${parsed.data.reason}`] : []),
+          '',
+          'Reply to this email if you think this is a mistake.',
+        ].join('\n'),
+      }).catch((e) => console.error('suspension email error', e));
+    }
+    return res.json({ user: await adminUserView(id) });
+  } catch (err) {
+    console.error('admin suspend user error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+router.post('/users/:id/unsuspend', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'InvalidId' });
+    const user = await adminUserView(id);
+    if (!user) return res.status(404).json({ error: 'NotFound' });
+    const { affectedRows } = await unsuspendUser(id);
+    if (affectedRows > 0) audit(req, 'user.unsuspend', { subject_user_id: id });
+    return res.json({ user: await adminUserView(id) });
+  } catch (err) {
+    console.error('admin unsuspend user error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// See what a recruiter or candidate sees: a short-lived access token for them, carrying the admin
+// as `act`. No refresh cookie; security settings are off limits and every request is audited
+// (utils/impersonation.js).
+router.post('/users/:id/impersonate', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'InvalidId' });
+    const parsed = z.object({ reason: z.string().trim().min(1).max(255) }).safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const user = await getUserById(id);
+    if (!user) return res.status(404).json({ error: 'NotFound' });
+    if (user.role === 'ADMIN') {
+      return res.status(403).json({ error: 'Forbidden', message: 'Admins cannot be impersonated' });
+    }
+    if (user.suspended_at) {
+      return res.status(409).json({ error: 'AccountSuspended', message: 'Unsuspend the account to impersonate it' });
+    }
+
+    const accessToken = signImpersonationToken({ sub: user.id, role: user.role, act: req.user.id });
+    const { exp } = jwt.decode(accessToken);
+    const expires_at = new Date(exp * 1000).toISOString();
+    audit(req, 'impersonation.start', { subject_user_id: user.id, details: { reason: parsed.data.reason, expires_at } });
+    return res.json({ accessToken, expires_at, user });
+  } catch (err) {
+    console.error('admin impersonate error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// -------------------- Jobs --------------------
+
+const JobsQuery = z.object({
+  status: z.enum(JOB_STATUSES).optional(),
+  q: z.string().trim().min(1).max(191).optional(),
+  ...Paging,
+});
+
+// All jobs, oldest activity first, with the number of open reports
+router.get('/jobs', async (req, res) => {
+  try {
+    const parsed = JobsQuery.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const jobs = await listJobsForModeration(parsed.data);
+    return res.json({ jobs });
+  } catch (err) {
+    console.error('admin list jobs error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Pre-publication approval queue (jobs in PENDING_REVIEW, oldest first)
+router.get('/jobs/review', async (req, res) => {
+  try {
+    const parsed = JobsQuery.omit({ status: true }).safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const jobs = await listJobsForModeration({ ...parsed.data, status: 'PENDING_REVIEW' });
+    return res.json({ review_required: JOB_REVIEW_REQUIRED, jobs });
+  } catch (err) {
+    console.error('admin review queue error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+/**
+ * Moderator status change: `from` -> `to` regardless of company membership, audited as `action`.
+ * `notice(job, reason)` builds the recruiter notification; `moderation` ('lock' | 'unlock') is
+ * passed on to transitionJobStatus.
+ */
+function moderateJob(action, from, to, notice, moderation = null) {
+  return async (req, res) => {
+    try {
+      const id = parseId(req.params.id);
+      if (!id) return res.status(400).json({ error: 'InvalidId' });
+      const parsed = ReasonSchema.safeParse(req.body || {});
+      if (!parsed.success) {
+        return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+      }
+      const current = await getJobById(id);
+      if (!current) return res.status(404).json({ error: 'NotFound' });
+      if (current.status !== from) return res.status(409).json(invalidTransitionBody(current.status, to));
+
+      const ok = await transitionJobStatus(id, from, to, { moderation, reason: parsed.data.reason || null });
+      if (!ok) {
+        const latest = await getJobById(id);
+        return res.status(409).json(invalidTransitionBody(latest?.status ?? current.status, to));
+      }
+      const job = await getJobById(id);
+      audit(req, action, { subject_user_id: job.recruiter_id, details: { job_id: id, from, to, reason: parsed.data.reason || null } });
+      notifyRecruiter(job, notice(job, parsed.data.reason));
+      return res.json({ id, job });
+    } catch (err) {
+      console.error(`admin job ${from} -> ${to} error`, err);
+      return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+    }
+  };
+}
+
+const withReason = (text, reason) => (reason ? `${text} Reason: ${reason}` : text);
+
+// Approval also lifts a takedown
+router.post('/jobs/:id/approve', moderateJob('job.approve', 'PENDING_REVIEW', 'PUBLISHED', (job) => ({
+  title: 'Job published',
+  message: `Your job "${job.title}" was approved and published.`,
+}), 'unlock'));
+
+router.post('/jobs/:id/reject', moderateJob('job.reject', 'PENDING_REVIEW', 'DRAFT', (job, reason) => ({
+  title: 'Job not approved',
+  message: withReason(`Your job "${job.title}" was not approved and is back in draft.`, reason),
+})));
+
+// Take a live job down; the recruiter can edit it, but it only goes live again through the review queue
+router.post('/jobs/:id/unpublish', moderateJob('job.unpublish', 'PUBLISHED', 'DRAFT', (job, reason) => ({
+  title: 'Job unpublished',
+  message: withReason(
+    `Your job "${job.title}" was unpublished by a moderator and is back in draft. Publishing it again submits it for review.`,
+    reason
+  ),
+}), 'lock'));
+
+// -------------------- Reports --------------------
+
+const ReportStatus = z.enum(['OPEN', 'RESOLVED', 'DISMISSED']);
+
+router.get('/reports', async (req, res) => {
+  try {
+    const Query = z.object({
+      status: ReportStatus.optional(),
+      job_id: z.coerce.number().int().positive().optional(),
+      ...Paging,
+    });
+    const parsed = Query.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const reports = await listJobReports(parsed.data);
+    return res.json({ reports });
+  } catch (err) {
+    console.error('admin list reports error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+router.get('/reports/:id', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'InvalidId' });
+    const report = await getJobReportById(id);
+    if (!report) return res.status(404).json({ error: 'NotFound' });
+    return res.json({ report });
+  } catch (err) {
+    console.error('admin get report error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Close a report; act on the job itself through /admin/jobs/:id/unpublish
+router.patch('/reports/:id', async (req, res) => {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'InvalidId' });
+    const parsed = z
+      .object({
+        status: ReportStatus.exclude(['OPEN']),
+        resolution_note: z.string().trim().max(500).optional(),
+      })
+      .safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const report = await getJobReportById(id);
+    if (!report) return res.status(404).json({ error: 'NotFound' });
+    const { affectedRows } = await resolveJobReport(id, { ...parsed.data, resolved_by: req.user.id });
+    if (affectedRows === 0) {
+      return res.status(409).json({ error: 'ReportClosed', message: `Report is already ${report.status}` });
+    }
+    audit(req, 'report.close', { details: { report_id: id, job_id: report.job_id, status: parsed.data.status } });
+    return res.json({ report: await getJobReportById(id) });
+  } catch (err) {
+    console.error('admin update report error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// -------------------- Data retention --------------------
+
+// Days to keep each kind of data; null keeps it indefinitely
+const RetentionDays = z.number().int().min(1).max(3650).nullable().optional();
+const GlobalRetentionSchema = z.object({
+  failed_applications_days: RetentionDays,
+  closed_job_applications_days: RetentionDays,
+  read_notifications_days: RetentionDays,
+});
+
+// The global rule and every company override
+router.get('/retention', async (req, res) => {
+  try {
+    const [policy, companies] = await Promise.all([getRetentionPolicy(null), listCompanyRetentionPolicies()]);
+    return res.json({ policy, companies });
+  } catch (err) {
+    console.error('admin get retention error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Replace the global rule; omitted fields are cleared (kept indefinitely)
+router.put('/retention', async (req, res) => {
+  try {
+    const parsed = GlobalRetentionSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const before = await getRetentionPolicy(null);
+    const policy = await saveRetentionPolicy(null, parsed.data, req.user.id);
+    audit(req, 'retention.update', {
+      details: {
+        company_id: null,
+        before: before && {
+          failed_applications_days: before.failed_applications_days,
+          closed_job_applications_days: before.closed_job_applications_days,
+          read_notifications_days: before.read_notifications_days,
+        },
+        after: parsed.data,
+      },
+    });
+    return res.json({ policy });
+  } catch (err) {
+    console.error('admin update retention error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Dry run: what the sweeper would anonymize now, across all companies
+router.get('/retention/report', async (req, res) => {
+  try {
+    const report = await retentionReport();
+    return res.json({ report });
+  } catch (err) {
+    console.error('admin retention report error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Run the sweep now instead of waiting for the next scheduled run
+router.post('/retention/run', async (req, res) => {
+  try {
+    const anonymized = await runRetentionSweep();
+    audit(req, 'retention.run', { details: { anonymized } });
+    return res.json({ anonymized });
+  } catch (err) {
+    console.error('admin retention run error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// -------------------- Audit log --------------------
+
+router.get('/audit', async (req, res) => {
+  try {
+    const Query = z.object({
+      actor_id: z.coerce.number().int().positive().optional(),
+      subject_user_id: z.coerce.number().int().positive().optional(),
+      action: z.string().trim().min(1).max(64).optional(),
+      limit: z.coerce.number().int().positive().max(500).optional(),
+      offset: z.coerce.number().int().min(0).optional(),
+    });
+    const parsed = Query.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const entries = await listAuditLog(parsed.data);
+    return res.json({ entries });
+  } catch (err) {
+    console.error('admin audit log error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+export default router;
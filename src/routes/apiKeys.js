@@ -0,0 +1,71 @@
+import express from 'express';
+import { z } from 'zod';
+import { createApiKey, getApiKeyById, listApiKeysByUser, countActiveApiKeys, revokeApiKey } from '../db.js';
+import { requireRole, requireOwnership, forbidWhileImpersonating } from '../utils/auth.js';
+import { API_KEY_SCOPES, generateApiKey } from '../utils/apiKeys.js';
+
+const router = express.Router();
+
+const API_KEY_MAX_PER_USER = Number(process.env.API_KEY_MAX_PER_USER || 20);
+
+// Keys are managed with a signed-in session only; an API key can't mint or revoke keys
+const requireRecruiter = requireRole('RECRUITER');
+
+const ApiKeyCreateSchema = z.object({
+  name: z.string().min(1).max(100),
+  scopes: z
+    .array(z.enum(API_KEY_SCOPES))
+    .min(1)
+    .refine((scopes) => new Set(scopes).size === scopes.length, { message: 'Duplicate scopes' }),
+  // Omit for a key that doesn't expire
+  expires_in_days: z.number().int().min(1).max(365).optional(),
+});
+
+// List the recruiter's API keys (active first); secrets are never returned
+router.get('/', requireRecruiter, async (req, res) => {
+  try {
+    const api_keys = await listApiKeysByUser(req.user.id);
+    return res.json({ api_keys });
+  } catch (err) {
+    console.error('list api keys error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Create a key; the full key is only in this response
+router.post('/', requireRecruiter, forbidWhileImpersonating, async (req, res) => {
+  try {
+    const parsed = ApiKeyCreateSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    if ((await countActiveApiKeys(req.user.id)) >= API_KEY_MAX_PER_USER) {
+      return res.status(409).json({
+        error: 'TooManyApiKeys',
+        message: `At most ${API_KEY_MAX_PER_USER} active API keys are allowed; revoke one first`,
+      });
+    }
+    const { name, scopes, expires_in_days } = parsed.data;
+    const { key, prefix, key_hash } = generateApiKey();
+    const expires_at = expires_in_days ? new Date(Date.now() + expires_in_days * 24 * 60 * 60 * 1000) : null;
+    const { id } = await createApiKey({ user_id: req.user.id, name, prefix, key_hash, scopes, expires_at });
+    const api_key = await getApiKeyById(id);
+    return res.status(201).json({ api_key, key });
+  } catch (err) {
+    console.error('create api key error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Revoke a key; requests using it fail from then on
+router.delete('/:id', requireRecruiter, requireOwnership(getApiKeyById), async (req, res) => {
+  try {
+    await revokeApiKey(req.resource.id, req.user.id);
+    return res.status(204).end();
+  } catch (err) {
+    console.error('revoke api key error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+export default router;
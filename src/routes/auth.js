@@ -1,16 +1,91 @@
 import express from 'express';
 import { z } from 'zod';
 import crypto from 'crypto';
-import { getUserByEmail, createUser, getUserById, getUserAuthById, updateUserPassword } from '../db.js';
+import {
+  getUserByEmail,
+  createUser,
+  getUserById,
+  getUserAuthById,
+  updateUserPassword,
+  updateUserEmail,
+  markEmailVerified,
+  claimEmailVerificationSend,
+  hasRecentOneTimeToken,
+  listActiveUserSessions,
+  getActiveUserSession,
+  getUserSessionById,
+  revokeRefreshTokenFamily,
+  getUserMfa,
+  upsertPendingUserMfa,
+  enableUserMfa,
+  deleteUserMfa,
+  clearMfaChallenge,
+  replaceRecoveryCodes,
+  countUnusedRecoveryCodes,
+  createNotification,
+  getIdentity,
+  listIdentitiesByUser,
+  createIdentity,
+  touchIdentity,
+  deleteIdentity,
+  upsertRecruiterProfile,
+  upsertCandidateProfile,
+  getUserDataExport,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+} from '../db.js';
 import { hashPassword, verifyPassword } from '../utils/password.js';
 import {
   signAccessToken,
-  signRefreshToken,
-  verifyAccessToken,
-  verifyRefreshToken,
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+  verifyMfaToken,
+  signOAuthLinkToken,
+  verifyOAuthLinkToken,
+  signOAuthState,
+  verifyOAuthState,
   refreshCookieOptions,
   REFRESH_COOKIE_NAME,
 } from '../utils/jwt.js';
+import {
+  startRefreshSession,
+  sessionMeta,
+  rotateRefreshToken,
+  revokeRefreshSession,
+  revokeAllRefreshTokens,
+  getRefreshTokenUserId,
+} from '../utils/refreshTokens.js';
+import { issueOneTimeToken, redeemOneTimeToken, revokeOneTimeTokens, TOKEN_PURPOSES } from '../utils/oneTimeTokens.js';
+import { sendMail } from '../utils/mailer.js';
+import { getOAuthProvider, listOAuthProviders } from '../utils/oauthProviders.js';
+import { createPkcePair } from '../utils/oidc.js';
+import {
+  generateTotpSecret,
+  totpProvisioningUri,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from '../utils/totp.js';
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  LOGIN_LOCKOUT_MINUTES,
+} from '../utils/loginThrottle.js';
+import {
+  MFA_REQUIRED_FOR_RECRUITERS,
+  mfaAvailableFor,
+  mfaLoginStep,
+  verifySecondFactor,
+  recordFailedChallenge,
+} from '../utils/mfa.js';
+import { isSuspended, accountSuspendedBody } from '../utils/accountStatus.js';
+import { requireUser, forbidWhileImpersonating } from '../utils/auth.js';
+import { ACCOUNT_DELETION_GRACE_DAYS, deletionDate, readAvatarFiles } from '../utils/accountDeletion.js';
+import { appUrl } from '../utils/appUrl.js';
 
 const router = express.Router();
 
@@ -48,101 +123,169 @@ const ChangePasswordSchema = z
     message: 'New password must be different from current password',
   });
 
+const MfaCodeSchema = z.object({
+  code: z.string().min(6).max(10),
+});
+
+const MfaLoginSchema = z
+  .object({
+    mfa_token: z.string().min(1),
+    code: z.string().min(6).max(10).optional(),
+    recovery_code: z.string().min(1).max(32).optional(),
+  })
+  .refine((d) => !!d.code !== !!d.recovery_code, {
+    path: ['code'],
+    message: 'Provide either code or recovery_code',
+  });
+
+const MfaDisableSchema = z
+  .object({
+    password: z.string().min(1),
+    code: z.string().min(6).max(10).optional(),
+    recovery_code: z.string().min(1).max(32).optional(),
+  })
+  .refine((d) => !!d.code !== !!d.recovery_code, {
+    path: ['code'],
+    message: 'Provide either code or recovery_code',
+  });
+
+const ChangeEmailSchema = z.object({
+  new_email: z.string().email(),
+  password: z.string().min(1),
+});
+
+// password is required unless the account has none (OAuth sign-ups)
+const DeleteAccountSchema = z.object({
+  password: z.string().min(1).optional(),
+});
+
+const VerifyEmailSchema = z.object({
+  token: z.string().min(1),
+});
+
+const ForgotPasswordSchema = z.object({
+  email: z.string().email(),
+});
+
+const MagicLinkSchema = z.object({
+  email: z.string().email(),
+});
+
+const MagicLinkVerifySchema = z.object({
+  token: z.string().min(1),
+});
+
+const ResetPasswordSchema = z
+  .object({
+    token: z.string().min(1),
+    new_password: z.string().min(8, 'Password must be at least 8 characters'),
+    repeat_new_password: z.string().min(8),
+  })
+  .refine((d) => d.new_password === d.repeat_new_password, {
+    path: ['repeat_new_password'],
+    message: 'Passwords do not match',
+  });
+
+const OAuthExchangeSchema = z.object({
+  code: z.string().min(1),
+});
+
 // -------------------- OAuth Helpers --------------------
-const SUPPORTED_PROVIDERS = ['google', 'facebook'];
 const API_BASE_URL = process.env.API_BASE_URL || '';
+// Frontend origin; email links are built by utils/appUrl.js
+const APP_BASE_URL = process.env.APP_BASE_URL || '';
+const PASSWORD_RESET_PATH = process.env.PASSWORD_RESET_PATH || '/reset-password';
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60);
+const EMAIL_VERIFICATION_PATH = process.env.EMAIL_VERIFICATION_PATH || '/verify-email';
+const EMAIL_VERIFICATION_RESEND_SECONDS = Number(process.env.EMAIL_VERIFICATION_RESEND_SECONDS || 60);
+const MAGIC_LINK_PATH = process.env.MAGIC_LINK_PATH || '/magic-link';
+const MAGIC_LINK_TTL_MINUTES = Number(process.env.MAGIC_LINK_TTL_MINUTES || 15);
+const MAGIC_LINK_RESEND_SECONDS = Number(process.env.MAGIC_LINK_RESEND_SECONDS || 60);
+// Origins OAuth flows may redirect back to; defaults to APP_BASE_URL and this API's own origin
+const OAUTH_REDIRECT_ORIGINS = String(process.env.OAUTH_REDIRECT_ORIGINS || '')
+  .split(',')
+  .map((o) => o.trim())
+  .filter(Boolean);
+const OAUTH_EXCHANGE_CODE_TTL_SECONDS = Number(process.env.OAUTH_EXCHANGE_CODE_TTL_SECONDS || 60);
 
-function buildProviderAuthUrl(provider, state, callbackUrl) {
-  if (provider === 'google') {
-    const params = new URLSearchParams({
-      client_id: process.env.GOOGLE_CLIENT_ID || '',
-      redirect_uri: callbackUrl,
-      response_type: 'code',
-      scope: 'openid email profile',
-      access_type: 'offline',
-      include_granted_scopes: 'true',
-      state,
-      prompt: 'consent',
-    });
-    return `https://accounts.google.com/o/oauth2/v2/auth?${params.toString()}`;
-  }
-  if (provider === 'facebook') {
-    const params = new URLSearchParams({
-      client_id: process.env.FACEBOOK_CLIENT_ID || '',
-      redirect_uri: callbackUrl,
-      response_type: 'code',
-      scope: 'public_profile,email',
-      state,
-    });
-    // Using v17 graph dialog (works with later as well)
-    return `https://www.facebook.com/v17.0/dialog/oauth?${params.toString()}`;
-  }
-  throw Object.assign(new Error('Unsupported provider'), { status: 400 });
+// Public origin of this API (OAuth callbacks); defaults to the request origin
+function apiBaseUrl(req) {
+  return API_BASE_URL ? API_BASE_URL.replace(/\/$/, '') : `${req.protocol}://${req.get('host')}`;
 }
 
-async function exchangeCodeForToken(provider, code, callbackUrl) {
-  if (provider === 'google') {
-    const params = new URLSearchParams({
-      client_id: process.env.GOOGLE_CLIENT_ID || '',
-      client_secret: process.env.GOOGLE_CLIENT_SECRET || '',
-      code,
-      grant_type: 'authorization_code',
-      redirect_uri: callbackUrl,
-    });
-    const res = await fetch('https://oauth2.googleapis.com/token', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: params.toString(),
-    });
-    if (!res.ok) throw Object.assign(new Error('Failed token exchange (google)'), { status: 400, detail: await res.text() });
-    return res.json();
-  }
-  if (provider === 'facebook') {
-    const params = new URLSearchParams({
-      client_id: process.env.FACEBOOK_CLIENT_ID || '',
-      client_secret: process.env.FACEBOOK_CLIENT_SECRET || '',
-      code,
-      redirect_uri: callbackUrl,
-    });
-    const url = `https://graph.facebook.com/v17.0/oauth/access_token?${params.toString()}`;
-    const res = await fetch(url, { method: 'GET' });
-    if (!res.ok) throw Object.assign(new Error('Failed token exchange (facebook)'), { status: 400, detail: await res.text() });
-    return res.json();
+function oauthCallbackUrl(req, provider) {
+  return `${apiBaseUrl(req)}/auth/oauth/${provider}/callback`;
+}
+
+const originOf = (value) => {
+  try {
+    return new URL(value).origin;
+  } catch {
+    return null;
   }
-  throw Object.assign(new Error('Unsupported provider'), { status: 400 });
+};
+
+// redirect_uri must be an absolute http(s) URL on an allowed origin (no open redirects)
+function isAllowedRedirect(req, redirect_uri) {
+  const origin = originOf(redirect_uri);
+  if (!origin || !/^https?:/.test(origin)) return false;
+  const allowed = OAUTH_REDIRECT_ORIGINS.length
+    ? OAUTH_REDIRECT_ORIGINS.map(originOf)
+    : [APP_BASE_URL && originOf(APP_BASE_URL), `${req.protocol}://${req.get('host')}`];
+  return allowed.includes(origin);
 }
 
-async function fetchUserInfo(provider, tokens) {
-  if (provider === 'google') {
-    // Prefer userinfo endpoint; id_token could also be decoded, but this ensures fresh profile
-    const res = await fetch('https://www.googleapis.com/oauth2/v3/userinfo', {
-      headers: { Authorization: `Bearer ${tokens.access_token}` },
-    });
-    if (!res.ok) throw Object.assign(new Error('Failed to fetch google userinfo'), { status: 400, detail: await res.text() });
-    const data = await res.json();
-    return { email: data.email, name: data.name, provider_id: data.sub };
-  }
-  if (provider === 'facebook') {
-    const params = new URLSearchParams({ access_token: tokens.access_token, fields: 'id,name,email' });
-    const res = await fetch(`https://graph.facebook.com/me?${params.toString()}`);
-    if (!res.ok) throw Object.assign(new Error('Failed to fetch facebook userinfo'), { status: 400, detail: await res.text() });
-    const data = await res.json();
-    return { email: data.email, name: data.name, provider_id: data.id };
-  }
-  throw Object.assign(new Error('Unsupported provider'), { status: 400 });
+// Profile shell for a new OAuth account, prefilled from the provider's name and avatar
+async function createProfileShell(userId, role, profile) {
+  const [first, ...rest] = String(profile.name || '').trim().split(/\s+/);
+  const shell = {
+    first_name: profile.first_name || first || null,
+    last_name: profile.last_name || rest.join(' ') || null,
+    // provider avatar URLs can exceed the column size
+    avatar_url: profile.avatar_url && profile.avatar_url.length <= 512 ? profile.avatar_url : null,
+  };
+  if (role === 'RECRUITER') await upsertRecruiterProfile(userId, shell);
+  else await upsertCandidateProfile(userId, shell);
 }
 
-function signInAndSetCookies(res, user) {
-  const accessToken = signAccessToken({ sub: user.id, role: user.role });
-  const refreshToken = signRefreshToken({ sub: user.id, role: user.role });
+// Starts a new session (refresh token family) and sets its cookie; returns the access token
+async function signInAndSetCookies(req, res, user) {
+  const { token: refreshToken, session_id } = await startRefreshSession(user, sessionMeta(req));
+  const accessToken = signAccessToken({ sub: user.id, role: user.role, sid: session_id });
   res.cookie(REFRESH_COOKIE_NAME, refreshToken, refreshCookieOptions());
   return accessToken;
 }
 
-function parseBearer(req) {
-  const auth = req.headers['authorization'];
-  if (!auth || !auth.startsWith('Bearer ')) return null;
-  return auth.slice('Bearer '.length);
+// Email a verification link for the user's current address
+async function sendVerificationEmail(req, user) {
+  const token = signEmailVerificationToken({ sub: user.id, email: user.email });
+  const link = appUrl(EMAIL_VERIFICATION_PATH, { token });
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your HeyHR email address',
+    text: [
+      `Hi${user.name ? ` ${user.name}` : ''},`,
+      '',
+      'Please confirm this email address for your HeyHR account by opening this link:',
+      link,
+      '',
+      'If you did not create an account or change your email, you can ignore this email.',
+    ].join('\n'),
+  });
+}
+
+// Tell the owner their account was locked after repeated failed logins (fire-and-forget)
+function notifyAccountLocked(req, user) {
+  const message = `Your account was locked for ${LOGIN_LOCKOUT_MINUTES} minutes after repeated failed sign-in attempts (last from ${req.ip || 'an unknown address'}). If this wasn't you, consider resetting your password.`;
+  sendMail({ to: user.email, subject: 'HeyHR sign-in locked', text: message })
+    .catch((e) => console.error('lockout email error', e));
+  createNotification({
+    user_id: user.id,
+    type: 'SECURITY',
+    title: 'Sign-in locked',
+    message,
+    data: { reason: 'too_many_failed_logins', ip: req.ip || null },
+  }).catch((e) => console.error('lockout notification error', e));
 }
 
 router.post('/register', async (req, res) => {
@@ -161,11 +304,16 @@ router.post('/register', async (req, res) => {
     const password_hash = await hashPassword(password);
     const { id } = await createUser({ email, name: name || null, phone: phone || null, password_hash, role });
 
-    const accessToken = signAccessToken({ sub: id, role });
-    const refreshToken = signRefreshToken({ sub: id, role });
+    // Verification email (fire-and-forget); the first send also starts the resend throttle
+    claimEmailVerificationSend(id, 0)
+      .then(() => sendVerificationEmail(req, { id, email, name }))
+      .catch((e) => console.error('register verification email error', e));
 
-    res.cookie(REFRESH_COOKIE_NAME, refreshToken, refreshCookieOptions());
-    return res.json({ accessToken, user: { id, email, name: name || null, phone: phone || null, role } });
+    const accessToken = await signInAndSetCookies(req, res, { id, role });
+    return res.json({
+      accessToken,
+      user: { id, email, name: name || null, phone: phone || null, role, email_verified_at: null },
+    });
   } catch (err) {
     console.error('register error', err);
     return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
@@ -180,23 +328,45 @@ router.post('/login', async (req, res) => {
     }
     const { email, password } = parsed.data;
 
+    // Per-IP / per-account throttling (progressive delay, lockout); see utils/loginThrottle.js
+    const blocked = await checkLoginAllowed({ ip: req.ip, email });
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(blocked.status).json(blocked.body);
+    }
+
     const user = await getUserByEmail(email);
     // timing-safe-ish delay to avoid easy user existence probing
     if (!user) {
+      await recordLoginFailure({ ip: req.ip, email });
       await new Promise((r) => setTimeout(r, 300));
       return res.status(401).json({ error: 'InvalidCredentials' });
     }
 
     const ok = await verifyPassword(password, user.password_hash);
-    if (!ok) return res.status(401).json({ error: 'InvalidCredentials' });
+    if (!ok) {
+      const locked = await recordLoginFailure({ ip: req.ip, email });
+      if (locked) notifyAccountLocked(req, user);
+      return res.status(401).json({ error: 'InvalidCredentials' });
+    }
+    await recordLoginSuccess({ email });
+    if (isSuspended(user)) return res.status(403).json(accountSuspendedBody());
 
-    const accessToken = signAccessToken({ sub: user.id, role: user.role });
-    const refreshToken = signRefreshToken({ sub: user.id, role: user.role });
+    // Recruiters with TOTP enabled (or required) get an MFA token instead; see POST /auth/login/mfa
+    const mfaStep = await mfaLoginStep(user);
+    if (mfaStep) return res.json(mfaStep);
 
-    res.cookie(REFRESH_COOKIE_NAME, refreshToken, refreshCookieOptions());
+    const accessToken = await signInAndSetCookies(req, res, user);
     return res.json({
       accessToken,
-      user: { id: user.id, email: user.email, name: user.name, phone: user.phone, role: user.role },
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        phone: user.phone,
+        role: user.role,
+        email_verified_at: user.email_verified_at,
+      },
     });
   } catch (err) {
     console.error('login error', err);
@@ -204,16 +374,58 @@ router.post('/login', async (req, res) => {
   }
 });
 
-router.get('/me', async (req, res) => {
+// Second login step: exchange the MFA token + TOTP (or recovery) code for the session
+router.post('/login/mfa', async (req, res) => {
   try {
-    const token = parseBearer(req);
-    if (!token) return res.status(401).json({ error: 'Unauthorized' });
-    const payload = verifyAccessToken(token);
-    const user = await getUserById(Number(payload.sub));
+    const parsed = MfaLoginSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    let payload;
+    try {
+      payload = verifyMfaToken(parsed.data.mfa_token);
+    } catch (_e) {
+      return res.status(401).json({ error: 'InvalidMfaToken' });
+    }
+    if (payload.purpose !== 'login') return res.status(401).json({ error: 'InvalidMfaToken' });
+
+    const userId = Number(payload.sub);
+    const mfa = await getUserMfa(userId);
+    // A newer login, or too many wrong codes, invalidates the challenge
+    if (!mfa?.enabled_at || mfa.challenge_id !== payload.cid) {
+      return res.status(401).json({ error: 'InvalidMfaToken', message: 'Sign in again' });
+    }
+
+    const method = await verifySecondFactor(mfa, parsed.data);
+    if (!method) {
+      await recordFailedChallenge(userId, payload.cid);
+      return res.status(401).json({ error: 'InvalidMfaCode' });
+    }
+    await clearMfaChallenge(userId);
+
+    const user = await getUserById(userId);
     if (!user) return res.status(401).json({ error: 'Unauthorized' });
+    if (isSuspended(user)) return res.status(403).json(accountSuspendedBody());
+    const accessToken = await signInAndSetCookies(req, res, user);
+    const body = { accessToken, user };
+    if (method === 'recovery_code') body.recovery_codes_remaining = await countUnusedRecoveryCodes(userId);
+    return res.json(body);
+  } catch (err) {
+    console.error('login mfa error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+router.get('/me', requireUser, async (req, res) => {
+  try {
+    const user = await getUserById(req.user.id);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+    // Lets the app show an "impersonating" banner
+    if (req.user.impersonator) return res.json({ user, impersonated_by: { id: req.user.impersonator.id } });
     return res.json({ user });
   } catch (err) {
-    return res.status(401).json({ error: 'Unauthorized' });
+    console.error('me error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
   }
 });
 
@@ -221,38 +433,42 @@ router.post('/refresh', async (req, res) => {
   try {
     const token = req.cookies?.[REFRESH_COOKIE_NAME];
     if (!token) return res.status(401).json({ error: 'NoRefreshToken' });
-    const payload = verifyRefreshToken(token);
-    const user = await getUserById(Number(payload.sub));
-    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+    // Rotation: the presented token is revoked and replaced; replaying it later revokes the whole session
+    const { user, token: newRefresh, session_id } = await rotateRefreshToken(token, sessionMeta(req));
 
-    const accessToken = signAccessToken({ sub: user.id, role: user.role });
-    const newRefresh = signRefreshToken({ sub: user.id, role: user.role });
+    const accessToken = signAccessToken({ sub: user.id, role: user.role, sid: session_id });
     res.cookie(REFRESH_COOKIE_NAME, newRefresh, refreshCookieOptions());
 
     return res.json({ accessToken, user });
   } catch (err) {
-    return res.status(401).json({ error: 'InvalidRefreshToken' });
+    if (err.status === 401) {
+      res.clearCookie(REFRESH_COOKIE_NAME, { path: '/' });
+      return res.status(401).json({ error: err.code });
+    }
+    console.error('refresh error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
   }
 });
 
-router.post('/logout', async (_req, res) => {
+router.post('/logout', async (req, res) => {
+  try {
+    await revokeRefreshSession(req.cookies?.[REFRESH_COOKIE_NAME], 'logout');
+  } catch (err) {
+    // Still clear the cookie; the token expires on its own
+    console.error('logout revoke error', err);
+  }
   res.clearCookie(REFRESH_COOKIE_NAME, { path: '/' });
   return res.json({ ok: true });
 });
 
-router.post('/change-password', async (req, res) => {
+router.post('/change-password', forbidWhileImpersonating, requireUser, async (req, res) => {
   try {
-    const token = parseBearer(req);
-    if (!token) return res.status(401).json({ error: 'Unauthorized' });
-    const payload = verifyAccessToken(token);
-    if (!payload) return res.status(401).json({ error: 'Unauthorized' });
-
     const parsed = ChangePasswordSchema.safeParse(req.body);
     if (!parsed.success) {
       return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
     }
 
-    const user = await getUserAuthById(Number(payload.sub));
+    const user = await getUserAuthById(req.user.id);
     if (!user) return res.status(401).json({ error: 'Unauthorized' });
 
     const ok = await verifyPassword(parsed.data.current_password, user.password_hash);
@@ -261,7 +477,8 @@ router.post('/change-password', async (req, res) => {
     const new_hash = await hashPassword(parsed.data.new_password);
     await updateUserPassword(user.id, new_hash);
 
-    // Invalidate refresh token to force re-login after password change
+    // Revoke every refresh token (all devices) to force re-login after password change
+    await revokeAllRefreshTokens(user.id, 'password_changed');
     res.clearCookie(REFRESH_COOKIE_NAME, { path: '/' });
     return res.json({ ok: true });
   } catch (err) {
@@ -270,24 +487,613 @@ router.post('/change-password', async (req, res) => {
   }
 });
 
+// -------------------- Email verification --------------------
+router.post('/verify-email', async (req, res) => {
+  try {
+    const parsed = VerifyEmailSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    let payload;
+    try {
+      payload = verifyEmailVerificationToken(parsed.data.token);
+    } catch (_e) {
+      return res.status(400).json({ error: 'InvalidVerificationToken', message: 'Verification link is invalid or has expired' });
+    }
+    // No match when the email changed since the link was sent
+    const { affectedRows } = await markEmailVerified(Number(payload.sub), payload.email);
+    if (!affectedRows) {
+      return res.status(400).json({ error: 'InvalidVerificationToken', message: 'Verification link is invalid or has expired' });
+    }
+    const user = await getUserById(Number(payload.sub));
+    return res.json({ ok: true, user });
+  } catch (err) {
+    console.error('verify email error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+router.post('/verify-email/resend', requireUser, async (req, res) => {
+  try {
+    const user = await getUserById(req.user.id);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+    if (user.email_verified_at) return res.status(409).json({ error: 'AlreadyVerified' });
+
+    const allowed = await claimEmailVerificationSend(user.id, EMAIL_VERIFICATION_RESEND_SECONDS);
+    if (!allowed) {
+      res.set('Retry-After', String(EMAIL_VERIFICATION_RESEND_SECONDS));
+      return res.status(429).json({
+        error: 'TooManyRequests',
+        message: `Please wait ${EMAIL_VERIFICATION_RESEND_SECONDS} seconds before requesting another email`,
+      });
+    }
+    await sendVerificationEmail(req, user);
+    return res.status(202).json({ ok: true });
+  } catch (err) {
+    console.error('resend verification error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Change the login email; the new address starts unverified and gets a verification link
+router.post('/change-email', forbidWhileImpersonating, requireUser, async (req, res) => {
+  try {
+    const parsed = ChangeEmailSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const user = await getUserAuthById(req.user.id);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const ok = await verifyPassword(parsed.data.password, user.password_hash);
+    if (!ok) return res.status(401).json({ error: 'InvalidCurrentPassword' });
+
+    const new_email = parsed.data.new_email;
+    if (new_email.toLowerCase() === String(user.email).toLowerCase()) {
+      return res.status(400).json({ error: 'ValidationError', message: 'New email must be different from current email' });
+    }
+    const existing = await getUserByEmail(new_email);
+    if (existing) {
+      return res.status(409).json({ error: 'EmailTaken', message: 'Email already registered' });
+    }
+    try {
+      await updateUserEmail(user.id, new_email);
+    } catch (e) {
+      if (e && e.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'EmailTaken', message: 'Email already registered' });
+      }
+      throw e;
+    }
+    // Sign-in links sent to the previous address stop working
+    await revokeOneTimeTokens(user.id, TOKEN_PURPOSES.MAGIC_LINK);
+
+    (async () => {
+      await claimEmailVerificationSend(user.id, 0);
+      await sendVerificationEmail(req, { id: user.id, email: new_email, name: user.name });
+      // Let the previous address know, in case the change was not made by its owner
+      await sendMail({
+        to: user.email,
+        subject: 'Your HeyHR email address was changed',
+        text: `The email address for your HeyHR account was changed to ${new_email}. If you did not do this, reset your password and contact support.`,
+      });
+    })().catch((e) => console.error('change email notification error', e));
+
+    const updated = await getUserById(user.id);
+    return res.json({ ok: true, user: updated });
+  } catch (err) {
+    console.error('change email error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// -------------------- Two-factor authentication (recruiters) --------------------
+
+// Enrolment accepts a normal access token, or the `mfa_token` from a login that requires setup
+function requireMfaEnrollment(req, res, next) {
+  const setupToken = req.body?.mfa_token;
+  if (!setupToken) {
+    return requireUser(req, res, () => {
+      if (!mfaAvailableFor(req.user)) {
+        return res.status(403).json({ error: 'Forbidden', message: 'Two-factor authentication is available for recruiter accounts' });
+      }
+      return next();
+    });
+  }
+  try {
+    const payload = verifyMfaToken(String(setupToken));
+    if (payload.purpose !== 'setup') return res.status(401).json({ error: 'InvalidMfaToken' });
+    req.user = { id: Number(payload.sub), role: payload.role, sid: null };
+    req.mfaSetup = true;
+    return next();
+  } catch (_e) {
+    return res.status(401).json({ error: 'InvalidMfaToken' });
+  }
+}
+
+router.get('/mfa', requireUser, async (req, res) => {
+  try {
+    const mfa = mfaAvailableFor(req.user) ? await getUserMfa(req.user.id) : null;
+    const enabled = !!mfa?.enabled_at;
+    return res.json({
+      available: mfaAvailableFor(req.user),
+      enabled,
+      required: mfaAvailableFor(req.user) && MFA_REQUIRED_FOR_RECRUITERS,
+      recovery_codes_remaining: enabled ? await countUnusedRecoveryCodes(req.user.id) : 0,
+    });
+  } catch (err) {
+    console.error('mfa status error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Start enrolment: returns the secret and an otpauth:// URI to show as a QR code
+router.post('/mfa/setup', forbidWhileImpersonating, requireMfaEnrollment, async (req, res) => {
+  try {
+    const existing = await getUserMfa(req.user.id);
+    if (existing?.enabled_at) return res.status(409).json({ error: 'MfaAlreadyEnabled' });
+    const user = await getUserById(req.user.id);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+
+    const secret = generateTotpSecret();
+    await upsertPendingUserMfa(user.id, encryptSecret(secret));
+    return res.status(201).json({ secret, otpauth_url: totpProvisioningUri({ secret, account: user.email }) });
+  } catch (err) {
+    console.error('mfa setup error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Finish enrolment with a code from the app; recovery codes are only shown here
+router.post('/mfa/enable', forbidWhileImpersonating, requireMfaEnrollment, async (req, res) => {
+  try {
+    const parsed = MfaCodeSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const mfa = await getUserMfa(req.user.id);
+    if (!mfa) return res.status(409).json({ error: 'MfaNotSetUp', message: 'Call /auth/mfa/setup first' });
+    if (mfa.enabled_at) return res.status(409).json({ error: 'MfaAlreadyEnabled' });
+
+    const step = verifyTotp(decryptSecret(mfa.secret_enc), parsed.data.code);
+    if (step === null) return res.status(401).json({ error: 'InvalidMfaCode' });
+    const { affectedRows } = await enableUserMfa(req.user.id, step);
+    if (!affectedRows) return res.status(409).json({ error: 'MfaAlreadyEnabled' });
+
+    const recovery_codes = generateRecoveryCodes();
+    await replaceRecoveryCodes(req.user.id, recovery_codes.map(hashRecoveryCode));
+
+    // Enforced enrolment during login: finish signing in
+    if (req.mfaSetup) {
+      const user = await getUserById(req.user.id);
+      const accessToken = await signInAndSetCookies(req, res, user);
+      return res.json({ ok: true, recovery_codes, accessToken, user });
+    }
+    return res.json({ ok: true, recovery_codes });
+  } catch (err) {
+    console.error('mfa enable error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+router.post('/mfa/disable', forbidWhileImpersonating, requireUser, async (req, res) => {
+  try {
+    if (MFA_REQUIRED_FOR_RECRUITERS && mfaAvailableFor(req.user)) {
+      return res.status(409).json({ error: 'MfaRequired', message: 'Two-factor authentication is required for recruiters' });
+    }
+    const parsed = MfaDisableSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const user = await getUserAuthById(req.user.id);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+    const ok = await verifyPassword(parsed.data.password, user.password_hash);
+    if (!ok) return res.status(401).json({ error: 'InvalidCurrentPassword' });
+
+    const mfa = await getUserMfa(req.user.id);
+    if (!mfa?.enabled_at) return res.status(409).json({ error: 'MfaNotEnabled' });
+    if (!(await verifySecondFactor(mfa, parsed.data))) return res.status(401).json({ error: 'InvalidMfaCode' });
+
+    await deleteUserMfa(req.user.id);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('mfa disable error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Replace all recovery codes (the old ones stop working)
+router.post('/mfa/recovery-codes', forbidWhileImpersonating, requireUser, async (req, res) => {
+  try {
+    const parsed = MfaCodeSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const mfa = await getUserMfa(req.user.id);
+    if (!mfa?.enabled_at) return res.status(409).json({ error: 'MfaNotEnabled' });
+    if (!(await verifySecondFactor(mfa, { code: parsed.data.code }))) return res.status(401).json({ error: 'InvalidMfaCode' });
+
+    const recovery_codes = generateRecoveryCodes();
+    await replaceRecoveryCodes(req.user.id, recovery_codes.map(hashRecoveryCode));
+    return res.json({ recovery_codes });
+  } catch (err) {
+    console.error('mfa recovery codes error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// -------------------- Password reset --------------------
+// Always answers the same way so the endpoint cannot be used to probe which emails are registered;
+// the lookup and the email are done after the response is sent.
+router.post('/forgot-password', async (req, res) => {
+  const parsed = ForgotPasswordSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+  }
+  res.status(202).json({ ok: true, message: 'If the email is registered, a reset link has been sent' });
+
+  (async () => {
+    const user = await getUserByEmail(parsed.data.email);
+    if (!user) return;
+    // Only the most recent link stays valid
+    await revokeOneTimeTokens(user.id, TOKEN_PURPOSES.PASSWORD_RESET);
+    const { token } = await issueOneTimeToken(user.id, TOKEN_PURPOSES.PASSWORD_RESET, PASSWORD_RESET_TTL_MINUTES);
+    const link = appUrl(PASSWORD_RESET_PATH, { token });
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your HeyHR password',
+      text: [
+        `Hi${user.name ? ` ${user.name}` : ''},`,
+        '',
+        'Someone (hopefully you) asked to reset the password for your HeyHR account.',
+        `Open this link within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new password:`,
+        link,
+        '',
+        'If you did not ask for this, you can ignore this email; your password will not change.',
+      ].join('\n'),
+    });
+  })().catch((e) => console.error('forgot password error', e));
+});
+
+router.post('/reset-password', async (req, res) => {
+  try {
+    const parsed = ResetPasswordSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const userId = await redeemOneTimeToken(TOKEN_PURPOSES.PASSWORD_RESET, parsed.data.token);
+    if (!userId) {
+      return res.status(400).json({ error: 'InvalidResetToken', message: 'Reset link is invalid or has expired' });
+    }
+
+    const new_hash = await hashPassword(parsed.data.new_password);
+    await updateUserPassword(userId, new_hash);
+    await revokeOneTimeTokens(userId, TOKEN_PURPOSES.PASSWORD_RESET);
+    // Proving control of the mailbox lifts a brute-force lockout
+    const owner = await getUserById(userId);
+    if (owner) await unlockAccount(owner.email);
+    // Sign out every device; the user logs in with the new password
+    await revokeAllRefreshTokens(userId, 'password_reset');
+    res.clearCookie(REFRESH_COOKIE_NAME, { path: '/' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('reset password error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// -------------------- Magic link sign-in --------------------
+// Passwordless login: a single-use link by email. Throttled like /auth/login and answers the same
+// whether or not the email is registered.
+router.post('/magic-link', async (req, res) => {
+  try {
+    const parsed = MagicLinkSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const { email } = parsed.data;
+    const blocked = await checkLoginAllowed({ ip: req.ip, email });
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(blocked.status).json(blocked.body);
+    }
+    res.status(202).json({ ok: true, message: 'If the email is registered, a sign-in link has been sent' });
+
+    (async () => {
+      const user = await getUserByEmail(email);
+      if (!user || isSuspended(user)) return;
+      // At most one email per MAGIC_LINK_RESEND_SECONDS; the previous link stays valid meanwhile
+      if (await hasRecentOneTimeToken(user.id, TOKEN_PURPOSES.MAGIC_LINK, MAGIC_LINK_RESEND_SECONDS)) return;
+      await revokeOneTimeTokens(user.id, TOKEN_PURPOSES.MAGIC_LINK);
+      const { token } = await issueOneTimeToken(user.id, TOKEN_PURPOSES.MAGIC_LINK, MAGIC_LINK_TTL_MINUTES);
+      const link = appUrl(MAGIC_LINK_PATH, { token });
+      await sendMail({
+        to: user.email,
+        subject: 'Your HeyHR sign-in link',
+        text: [
+          `Hi${user.name ? ` ${user.name}` : ''},`,
+          '',
+          `Open this link within ${MAGIC_LINK_TTL_MINUTES} minutes to sign in to HeyHR:`,
+          link,
+          '',
+          'The link works once. If you did not ask for it, you can ignore this email.',
+        ].join('\n'),
+      });
+    })().catch((e) => console.error('magic link email error', e));
+  } catch (err) {
+    console.error('magic link error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+router.post('/magic-link/verify', async (req, res) => {
+  try {
+    const parsed = MagicLinkVerifySchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    // The account is unknown until the token is redeemed, so only the IP is checked here
+    const blocked = await checkLoginAllowed({ ip: req.ip });
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(blocked.status).json(blocked.body);
+    }
+
+    const userId = await redeemOneTimeToken(TOKEN_PURPOSES.MAGIC_LINK, parsed.data.token);
+    let user = userId ? await getUserById(userId) : null;
+    if (!user) {
+      await recordLoginFailure({ ip: req.ip });
+      return res.status(400).json({ error: 'InvalidMagicLink', message: 'Sign-in link is invalid or has expired' });
+    }
+    await recordLoginSuccess({ email: user.email });
+    if (isSuspended(user)) return res.status(403).json(accountSuspendedBody());
+    // Opening the link proves control of the mailbox
+    if (!user.email_verified_at) {
+      await markEmailVerified(user.id, user.email);
+      user = await getUserById(user.id);
+    }
+
+    // The link replaces the password only; two-factor authentication still applies
+    const mfaStep = await mfaLoginStep(user);
+    if (mfaStep) return res.json(mfaStep);
+
+    const accessToken = await signInAndSetCookies(req, res, user);
+    return res.json({ accessToken, user });
+  } catch (err) {
+    console.error('magic link verify error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// -------------------- Account deletion and data export --------------------
+
+// Machine-readable copy of the user's data (JSON, with uploaded avatars base64-encoded)
+router.get('/me/export', forbidWhileImpersonating, requireUser, async (req, res) => {
+  try {
+    const data = await getUserDataExport(req.user.id);
+    if (!data.user) return res.status(401).json({ error: 'Unauthorized' });
+    const files = await readAvatarFiles(req.user.id);
+    const exported_at = new Date().toISOString();
+    res.set('Content-Disposition', `attachment; filename="heyhr-export-${req.user.id}-${exported_at.slice(0, 10)}.json"`);
+    return res.json({ format: 'heyhr-export', version: 1, exported_at, ...data, files });
+  } catch (err) {
+    console.error('export account error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Schedule deletion after the grace period and sign out everywhere; signing in again and
+// POST /auth/me/cancel-deletion keeps the account
+router.delete('/me', forbidWhileImpersonating, requireUser, async (req, res) => {
+  try {
+    const parsed = DeleteAccountSchema.safeParse(req.body ?? {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const user = await getUserAuthById(req.user.id);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+    if (user.deletion_scheduled_at) {
+      return res.status(409).json({ error: 'DeletionScheduled', deletion_scheduled_at: user.deletion_scheduled_at });
+    }
+    if (user.has_password) {
+      if (!parsed.data.password) return res.status(400).json({ error: 'ValidationError', message: 'password is required' });
+      const ok = await verifyPassword(parsed.data.password, user.password_hash);
+      if (!ok) return res.status(401).json({ error: 'InvalidCurrentPassword' });
+    }
+
+    const deletion_scheduled_at = deletionDate();
+    await scheduleAccountDeletion(user.id, deletion_scheduled_at);
+    await revokeAllRefreshTokens(user.id, 'account_deletion');
+    res.clearCookie(REFRESH_COOKIE_NAME, { path: '/' });
+
+    sendMail({
+      to: user.email,
+      subject: 'Your HeyHR account will be deleted',
+      text: [
+        `Hi${user.name ? ` ${user.name}` : ''},`,
+        '',
+        `Your HeyHR account is scheduled for deletion on ${deletion_scheduled_at.toISOString()} (in ${ACCOUNT_DELETION_GRACE_DAYS} days).`,
+        'Until then you can sign in and cancel the deletion. Afterwards your personal data is erased and cannot be recovered.',
+      ].join('\n'),
+    }).catch((e) => console.error('account deletion email error', e));
+
+    return res.status(202).json({ ok: true, deletion_scheduled_at });
+  } catch (err) {
+    console.error('delete account error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+router.post('/me/cancel-deletion', forbidWhileImpersonating, requireUser, async (req, res) => {
+  try {
+    const { affectedRows } = await cancelAccountDeletion(req.user.id);
+    if (!affectedRows) return res.status(409).json({ error: 'NoDeletionScheduled' });
+    const user = await getUserById(req.user.id);
+    return res.json({ ok: true, user });
+  } catch (err) {
+    console.error('cancel account deletion error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// -------------------- Sessions --------------------
+// A session is one login on one device (a refresh token family); revoking it stops further refreshes.
+// Already issued access tokens stay valid until they expire (ACCESS_TOKEN_TTL).
+router.get('/sessions', requireUser, async (req, res) => {
+  try {
+    const rows = await listActiveUserSessions(req.user.id);
+    const sessions = rows.map((s) => ({ ...s, current: s.id === req.user.sid }));
+    return res.json({ sessions });
+  } catch (err) {
+    console.error('list sessions error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Sign out everywhere else: revoke every session except the one making the request
+router.post('/sessions/revoke-others', forbidWhileImpersonating, requireUser, async (req, res) => {
+  try {
+    const current = req.user.sid ? await getUserSessionById(req.user.sid) : null;
+    if (!current || current.user_id !== req.user.id) {
+      return res.status(400).json({ error: 'UnknownSession', message: 'Sign in again to manage sessions' });
+    }
+    await revokeAllRefreshTokens(req.user.id, 'session_revoked', { exceptFamilyId: current.family_id });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('revoke other sessions error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+router.delete('/sessions/:id', forbidWhileImpersonating, requireUser, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'InvalidId' });
+    const session = await getActiveUserSession(id, req.user.id);
+    if (!session) return res.status(404).json({ error: 'NotFound' });
+    await revokeRefreshTokenFamily(session.family_id, 'session_revoked');
+    if (session.id === req.user.sid) res.clearCookie(REFRESH_COOKIE_NAME, { path: '/' });
+    return res.status(204).end();
+  } catch (err) {
+    console.error('revoke session error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// -------------------- Linked identities --------------------
+router.get('/identities', requireUser, async (req, res) => {
+  try {
+    const identities = await listIdentitiesByUser(req.user.id);
+    return res.json({ identities });
+  } catch (err) {
+    console.error('list identities error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Returns the URL to send the browser to; the OAuth callback links the identity to the
+// signed-in user (the browser must still hold this user's refresh cookie)
+router.post('/identities/:provider/link', forbidWhileImpersonating, requireUser, async (req, res) => {
+  try {
+    const provider = getOAuthProvider(req.params.provider);
+    if (!provider) return res.status(400).json({ error: 'UnsupportedProvider' });
+    const redirect_uri = String(req.body?.redirect_uri || '');
+    if (!redirect_uri) return res.status(400).json({ error: 'MissingRedirectURI' });
+    if (!isAllowedRedirect(req, redirect_uri)) return res.status(400).json({ error: 'InvalidRedirectURI' });
+
+    const link_token = signOAuthLinkToken({ sub: req.user.id, provider: provider.name });
+    const params = new URLSearchParams({ redirect_uri, link_token });
+    return res.json({ url: `${apiBaseUrl(req)}${req.baseUrl}/oauth/${provider.name}?${params.toString()}` });
+  } catch (err) {
+    console.error('link identity error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+router.delete('/identities/:provider', forbidWhileImpersonating, requireUser, async (req, res) => {
+  try {
+    const provider = String(req.params.provider || '').toLowerCase();
+    const user = await getUserAuthById(req.user.id);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+    const identities = await listIdentitiesByUser(user.id);
+    if (!identities.some((i) => i.provider === provider)) return res.status(404).json({ error: 'NotFound' });
+    // Keep at least one way to sign in
+    if (!user.has_password && identities.length <= 1) {
+      return res.status(409).json({
+        error: 'LastSignInMethod',
+        message: 'Set a password (via forgot password) or link another provider before unlinking',
+      });
+    }
+    await deleteIdentity(user.id, provider);
+    return res.status(204).end();
+  } catch (err) {
+    console.error('unlink identity error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
 // -------------------- OAuth Routes --------------------
+// Providers enabled on this deployment (for rendering sign-in buttons)
+router.get('/oauth/providers', (_req, res) => {
+  return res.json({ providers: listOAuthProviders() });
+});
+
+// Finish an OAuth sign-in: trade the `code` from the redirect for the token pair, or for the
+// mfa_token of the second step (recruiters with two-factor authentication, like /auth/login)
+router.post('/oauth/exchange', async (req, res) => {
+  try {
+    const parsed = OAuthExchangeSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const userId = await redeemOneTimeToken(TOKEN_PURPOSES.OAUTH_EXCHANGE, parsed.data.code);
+    const user = userId ? await getUserById(userId) : null;
+    if (!user) return res.status(400).json({ error: 'InvalidExchangeCode' });
+    if (isSuspended(user)) return res.status(403).json(accountSuspendedBody());
+    const mfaStep = await mfaLoginStep(user);
+    if (mfaStep) return res.json(mfaStep);
+    const accessToken = await signInAndSetCookies(req, res, user);
+    return res.json({ accessToken, user });
+  } catch (err) {
+    console.error('oauth exchange error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
 // Start OAuth flow: GET /auth/oauth/:provider?redirect_uri=...
 router.get('/oauth/:provider', async (req, res) => {
   try {
-    const provider = String(req.params.provider || '').toLowerCase();
-    if (!SUPPORTED_PROVIDERS.includes(provider)) {
-      return res.status(400).json({ error: 'UnsupportedProvider' });
-    }
+    const provider = getOAuthProvider(req.params.provider);
+    if (!provider) return res.status(400).json({ error: 'UnsupportedProvider' });
     const redirect_uri = String(req.query.redirect_uri || '');
     if (!redirect_uri) return res.status(400).json({ error: 'MissingRedirectURI' });
+    if (!isAllowedRedirect(req, redirect_uri)) return res.status(400).json({ error: 'InvalidRedirectURI' });
+    // Role for accounts created by this sign-in (existing accounts keep theirs)
+    const roleParsed = RoleEnum.default('CANDIDATE').safeParse(req.query.role ? String(req.query.role).toUpperCase() : undefined);
+    if (!roleParsed.success) return res.status(400).json({ error: 'InvalidRole' });
 
-    const callbackUrl = `${API_BASE_URL.replace(/\/$/, '')}/auth/oauth/${provider}/callback`;
+    // Linking flow started from POST /auth/identities/:provider/link
+    const link_token = req.query.link_token ? String(req.query.link_token) : null;
+    if (link_token) {
+      try {
+        if (verifyOAuthLinkToken(link_token).provider !== provider.name) throw new Error('provider mismatch');
+      } catch (_e) {
+        return res.status(400).json({ error: 'InvalidLinkToken' });
+      }
+    }
+
+    // The nonce doubles as the OIDC id_token nonce; the PKCE verifier is only kept in an httpOnly cookie
     const nonce = crypto.randomBytes(16).toString('hex');
-    const statePayload = { n: nonce, r: redirect_uri };
-    const state = Buffer.from(JSON.stringify(statePayload)).toString('base64url');
-    res.cookie(`oauth_${provider}_nonce`, nonce, { httpOnly: true, sameSite: 'lax', path: `/` });
+    const state = signOAuthState({ n: nonce, r: redirect_uri, role: roleParsed.data, l: link_token });
+    const pkce = provider.pkce ? createPkcePair() : null;
 
-    const authUrl = buildProviderAuthUrl(provider, state, callbackUrl);
+    const authUrl = await provider.authorizationUrl({
+      state,
+      nonce,
+      callbackUrl: oauthCallbackUrl(req, provider.name),
+      codeChallenge: pkce?.challenge,
+    });
+    res.cookie(`oauth_${provider.name}_nonce`, nonce, { httpOnly: true, sameSite: 'lax', path: `/` });
+    if (pkce) res.cookie(`oauth_${provider.name}_pkce`, pkce.verifier, { httpOnly: true, sameSite: 'lax', path: `/` });
     return res.redirect(authUrl);
   } catch (err) {
     console.error('oauth start error', err);
@@ -298,57 +1104,149 @@ router.get('/oauth/:provider', async (req, res) => {
 
 // OAuth callback: GET /auth/oauth/:provider/callback
 router.get('/oauth/:provider/callback', async (req, res) => {
-  const provider = String(req.params.provider || '').toLowerCase();
-  if (!SUPPORTED_PROVIDERS.includes(provider)) {
-    return res.status(400).json({ error: 'UnsupportedProvider' });
-  }
+  const oauthProvider = getOAuthProvider(req.params.provider);
+  if (!oauthProvider) return res.status(400).json({ error: 'UnsupportedProvider' });
+  const provider = oauthProvider.name;
   try {
     const { code, state } = req.query;
     if (!code || !state) return res.status(400).json({ error: 'MissingCodeOrState' });
 
-    const decoded = JSON.parse(Buffer.from(String(state), 'base64url').toString());
+    let decoded;
+    try {
+      decoded = verifyOAuthState(String(state));
+    } catch (_e) {
+      return res.status(400).json({ error: 'InvalidState' });
+    }
     const nonceCookie = req.cookies?.[`oauth_${provider}_nonce`];
     if (!nonceCookie || nonceCookie !== decoded.n) {
       return res.status(400).json({ error: 'InvalidState' });
     }
     const redirect_uri = decoded.r;
-    if (!redirect_uri) return res.status(400).json({ error: 'MissingRedirectURI' });
+    if (!redirect_uri || !isAllowedRedirect(req, redirect_uri)) return res.status(400).json({ error: 'InvalidRedirectURI' });
 
-    const callbackUrl = `${API_BASE_URL.replace(/\/$/, '')}/auth/oauth/${provider}/callback`;
-    const tokens = await exchangeCodeForToken(provider, String(code), callbackUrl);
-    const profile = await fetchUserInfo(provider, tokens);
-    if (!profile.email) {
-      // Can't proceed without email mapping to account
+    const codeVerifier = req.cookies?.[`oauth_${provider}_pkce`];
+    if (oauthProvider.pkce && !codeVerifier) return res.status(400).json({ error: 'InvalidState' });
+
+    const callbackUrl = oauthCallbackUrl(req, provider);
+    const tokens = await oauthProvider.exchangeCode({ code: String(code), callbackUrl, codeVerifier });
+    const profile = await oauthProvider.fetchProfile(tokens, { nonce: decoded.n });
+    res.clearCookie(`oauth_${provider}_nonce`, { path: '/' });
+    res.clearCookie(`oauth_${provider}_pkce`, { path: '/' });
+
+    const redirectWith = (params) => {
       const url = new URL(redirect_uri);
-      url.searchParams.set('login', 'failed');
-      url.searchParams.set('reason', 'no_email');
-      res.clearCookie(`oauth_${provider}_nonce`, { path: '/' });
+      for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
       return res.redirect(url.toString());
+    };
+    const fail = (reason) => redirectWith({ login: 'failed', reason });
+    if (!profile.provider_id) return fail('no_provider_id');
+    // Any IdP can claim email_verified for any address; only providers configured as trusted vouch for it
+    const emailTrusted = !!(oauthProvider.trustEmailVerified && profile.email_verified);
+
+    const identity = await getIdentity(provider, profile.provider_id);
+
+    // Explicit linking: the link token and the browser's session must belong to the same user
+    if (decoded.l) {
+      let linkUserId = null;
+      try {
+        const link = verifyOAuthLinkToken(decoded.l);
+        if (link.provider === provider) linkUserId = Number(link.sub);
+      } catch (_e) {
+        linkUserId = null;
+      }
+      const sessionUserId = await getRefreshTokenUserId(req.cookies?.[REFRESH_COOKIE_NAME]);
+      if (!linkUserId || sessionUserId !== linkUserId) return fail('link_not_authorized');
+      if (identity && identity.user_id !== linkUserId) return fail('identity_in_use');
+      if (identity) {
+        await touchIdentity(identity.id, profile);
+      } else {
+        try {
+          await createIdentity({ user_id: linkUserId, provider, provider_user_id: profile.provider_id, ...profile });
+        } catch (e) {
+          if (e && e.code === 'ER_DUP_ENTRY') return fail('provider_already_linked');
+          throw e;
+        }
+      }
+      return redirectWith({ login: 'linked', provider });
     }
 
-    let user = await getUserByEmail(profile.email);
-    if (!user) {
-      // Create user with random password; default role CANDIDATE
-      const randomPass = `oauth:${provider}:${profile.provider_id}:${crypto.randomBytes(8).toString('hex')}`;
-      const password_hash = await hashPassword(randomPass);
-      const { id } = await createUser({ email: profile.email, name: profile.name || null, phone: null, password_hash, role: 'CANDIDATE' });
-      user = await getUserById(id);
+    // Sign in by linked identity first, so changing the account email doesn't lock the user out
+    let user = null;
+    let created = false;
+    if (identity) {
+      user = await getUserById(identity.user_id);
+      await touchIdentity(identity.id, profile);
+    } else {
+      if (!profile.email) return fail('no_email');
+      const existing = await getUserByEmail(profile.email);
+      if (existing) {
+        // Only auto-link when a trusted provider vouches for the email; otherwise anyone could claim it
+        if (!emailTrusted) return fail('link_required');
+        try {
+          await createIdentity({ user_id: existing.id, provider, provider_user_id: profile.provider_id, ...profile });
+        } catch (e) {
+          // The account already has a different identity of this provider
+          if (e && e.code === 'ER_DUP_ENTRY') return fail('provider_already_linked');
+          throw e;
+        }
+        user = existing;
+      } else {
+        // Create user with random password and the role chosen when the flow started
+        const role = RoleEnum.catch('CANDIDATE').parse(decoded.role);
+        const randomPass = `oauth:${provider}:${profile.provider_id}:${crypto.randomBytes(8).toString('hex')}`;
+        const password_hash = await hashPassword(randomPass);
+        const { id } = await createUser({
+          email: profile.email,
+          name: profile.name || null,
+          phone: null,
+          password_hash,
+          role,
+          has_password: false,
+          onboarding_incomplete: true,
+        });
+        await createIdentity({ user_id: id, provider, provider_user_id: profile.provider_id, ...profile });
+        await createProfileShell(id, role, profile);
+        user = await getUserById(id);
+        created = true;
+      }
+    }
+    if (!user) return fail('exception');
+    if (isSuspended(user)) return fail('account_suspended');
+    // The provider confirmed the user controls this address (no-op if the account email differs)
+    if (profile.email && emailTrusted && !user.email_verified_at) {
+      await markEmailVerified(user.id, profile.email);
     }
 
-    const accessToken = signInAndSetCookies(res, user);
-    res.clearCookie(`oauth_${provider}_nonce`, { path: '/' });
+    // Tokens never travel in the URL: the app trades this short-lived, single-use code
+    // for the access token + refresh cookie via POST /auth/oauth/exchange
+    const { token: exchangeCode } = await issueOneTimeToken(
+      user.id,
+      TOKEN_PURPOSES.OAUTH_EXCHANGE,
+      OAUTH_EXCHANGE_CODE_TTL_SECONDS / 60
+    );
+    // Recruiters with two-factor authentication get their mfa_token from the exchange and
+    // finish via POST /auth/login/mfa (or enrolment); the label only tells the app what comes next
+    const mfaStep = await mfaLoginStep(user);
+    if (mfaStep) {
+      return redirectWith({ login: mfaStep.mfa_required ? 'mfa_required' : 'mfa_setup_required', code: exchangeCode });
+    }
 
-    // Redirect back to app; app can call /auth/refresh to retrieve tokens
     const url = new URL(redirect_uri);
     url.searchParams.set('login', 'success');
-    // Optionally include accessToken for immediate use
-    url.searchParams.set('accessToken', accessToken);
+    url.searchParams.set('code', exchangeCode);
+    if (created) url.searchParams.set('new_account', 'true');
+    if (user.onboarding_incomplete) url.searchParams.set('onboarding', 'incomplete');
     return res.redirect(url.toString());
   } catch (err) {
     console.error('oauth callback error', err);
-    const urlStr = String(req.query?.state ? (() => {
-      try { return JSON.parse(Buffer.from(String(req.query.state), 'base64url').toString()).r || ''; } catch { return ''; }
-    })() : '');
+    const urlStr = (() => {
+      try {
+        const r = verifyOAuthState(String(req.query?.state || '')).r;
+        return r && isAllowedRedirect(req, r) ? r : '';
+      } catch {
+        return '';
+      }
+    })();
     if (urlStr) {
       const url = new URL(urlStr);
       url.searchParams.set('login', 'failed');
@@ -0,0 +1,71 @@
+import express from 'express';
+import crypto from 'crypto';
+import {
+  listUpcomingInterviewsForUser,
+  upsertCalendarFeedToken,
+  getUserByCalendarFeedToken,
+  deleteCalendarFeedToken,
+} from '../db.js';
+import { requireUser, forbidWhileImpersonating } from '../utils/auth.js';
+import { buildCalendar, buildInterviewEvent } from '../utils/ics.js';
+
+const router = express.Router();
+
+const API_BASE_URL = process.env.API_BASE_URL || '';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function feedUrls(req, token) {
+  const host = req.get('x-forwarded-host') ?? req.get('host');
+  const protocol = (req.get('x-forwarded-proto') ?? req.protocol) || 'http';
+  const base = API_BASE_URL ? API_BASE_URL.replace(/\/$/, '') : `${protocol}://${host}`;
+  const url = `${base}${req.baseUrl}/feed/${token}.ics`;
+  return { url, webcal_url: url.replace(/^https?:\/\//, 'webcal://') };
+}
+
+// Create or rotate the current user's feed token. The token is only shown here;
+// rotating invalidates previously shared feed URLs.
+router.post('/feed', forbidWhileImpersonating, requireUser, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString('base64url');
+    await upsertCalendarFeedToken(req.user.id, hashToken(token));
+    return res.status(201).json(feedUrls(req, token));
+  } catch (err) {
+    console.error('calendar feed create error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+router.delete('/feed', requireUser, async (req, res) => {
+  try {
+    await deleteCalendarFeedToken(req.user.id);
+    return res.status(204).end();
+  } catch (err) {
+    console.error('calendar feed delete error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Public (token-authenticated) feed of upcoming interviews for calendar subscriptions
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await getUserByCalendarFeedToken(hashToken(String(req.params.token || '')));
+    if (!user) return res.status(404).json({ error: 'NotFound' });
+    const interviews = await listUpcomingInterviewsForUser(user);
+    const now = new Date();
+    const includeNotes = user.role === 'RECRUITER';
+    const ics = buildCalendar({
+      method: 'PUBLISH',
+      name: 'HeyHR interviews',
+      events: interviews.map((i) => buildInterviewEvent(i, { now, includeNotes })),
+    });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    return res.send(ics);
+  } catch (err) {
+    console.error('calendar feed error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+export default router;
@@ -11,6 +11,15 @@ import {
   createApplication,
   listApplicationsByCandidate,
   getApplicationDetail,
+  // Interviews
+  getInterviewById,
+  listInterviewsByApplication,
+  updateInterview,
+  listAvailabilityByJob,
+  listBusyIntervalsByRecruiter,
+  bookInterviewSlot,
+  DEFAULT_INTERVIEW_DURATION,
+  getInterviewCalendarEntry,
   // Notifications
   listNotificationsByUser,
   getNotificationById,
@@ -18,32 +27,23 @@ import {
   createNotification,
   countApplicationsByJob,
   listApplicationsByJob,
+  completeOnboarding,
+  createJobReport,
 } from '../db.js';
-import { verifyAccessToken } from '../utils/jwt.js';
+import { requireRole, requireOwnership } from '../utils/auth.js';
+import { generateSlots } from '../utils/slots.js';
+import { buildInterviewInvite } from '../utils/ics.js';
+import { hasVerifiedEmailFor, emailNotVerifiedBody } from '../utils/emailVerification.js';
+import { jobSchedulingRecruiterId, jobNotificationRecipients } from '../utils/companies.js';
+import { handleUpload } from '../utils/uploads.js';
+import { Boolish } from '../utils/validation.js';
 import multer from 'multer';
 import fs from 'fs';
 import path from 'path';
 
 const router = express.Router();
 
-function parseBearer(req) {
-  const auth = req.headers['authorization'];
-  if (!auth || !auth.startsWith('Bearer ')) return null;
-  return auth.slice('Bearer '.length);
-}
-
-function requireCandidate(req, res, next) {
-  try {
-    const token = parseBearer(req);
-    if (!token) return res.status(401).json({ error: 'Unauthorized' });
-    const payload = verifyAccessToken(token);
-    if (!payload || payload.role !== 'CANDIDATE') return res.status(403).json({ error: 'Forbidden' });
-    req.user = { id: Number(payload.sub), role: payload.role };
-    return next();
-  } catch (_e) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-}
+const requireCandidate = requireRole('CANDIDATE');
 
 const DateStr = z
   .string()
@@ -118,6 +118,8 @@ router.patch('/me', requireCandidate, async (req, res) => {
     if (Object.prototype.hasOwnProperty.call(data, 'name')) userPatch.name = data.name ?? null;
     if (Object.prototype.hasOwnProperty.call(data, 'phone')) userPatch.phone = data.phone ?? null;
     if (Object.keys(userPatch).length > 0) await updateUserFields(req.user.id, userPatch);
+    // Saving the profile finishes onboarding for OAuth sign-ups
+    await completeOnboarding(req.user.id);
 
     const user = await getUserById(req.user.id);
     const profile = await getCandidateProfile(req.user.id);
@@ -143,21 +145,24 @@ const avatarStorage = multer.diskStorage({
   },
 });
 
+const AVATAR_TYPES = ['image/png', 'image/jpeg', 'image/jpg', 'image/webp'];
+const AVATAR_MAX_BYTES = 5 * 1024 * 1024;
+
 const avatarFileFilter = (_req, file, cb) => {
-  const allowed = ['image/png', 'image/jpeg', 'image/jpg', 'image/webp'];
-  if (!allowed.includes(file.mimetype)) {
+  if (!AVATAR_TYPES.includes(file.mimetype)) {
     return cb(Object.assign(new Error('UnsupportedMediaType'), { status: 415 }));
   }
   cb(null, true);
 };
 
-const uploadAvatar = multer({
+const avatarUpload = multer({
   storage: avatarStorage,
   fileFilter: avatarFileFilter,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  limits: { fileSize: AVATAR_MAX_BYTES },
 });
+const uploadAvatar = handleUpload(avatarUpload.single('avatar'), { maxBytes: AVATAR_MAX_BYTES, supported: AVATAR_TYPES.join(', ') });
 
-router.post('/me/avatar', requireCandidate, uploadAvatar.single('avatar'), async (req, res) => {
+router.post('/me/avatar', requireCandidate, uploadAvatar, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'BadRequest', message: 'avatar file is required' });
@@ -241,6 +246,34 @@ router.get('/jobs/:id', async (req, res) => {
   }
 });
 
+const JobReportSchema = z.object({
+  reason: z.enum(['SPAM', 'SCAM', 'OFFENSIVE', 'DISCRIMINATORY', 'MISLEADING', 'OTHER']),
+  details: z.string().max(2000).optional(),
+});
+
+// Report a published job to the admins (one report per candidate per job)
+router.post('/jobs/:id/report', requireCandidate, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'InvalidId' });
+    const parsed = JobReportSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+
+    const job = await getJobById(id);
+    if (!job || job.status !== 'PUBLISHED') return res.status(404).json({ error: 'NotFound' });
+    const report = await createJobReport({ job_id: id, reporter_id: req.user.id, ...parsed.data });
+    if (!report) {
+      return res.status(409).json({ error: 'AlreadyReported', message: 'You already reported this job' });
+    }
+    return res.status(201).json({ id: report.id });
+  } catch (err) {
+    console.error('candidate report job error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
 // ---- Applications ----
 
 const AppStatus = z.enum(['APPLIED', 'PASSED', 'FAILED']);
@@ -264,6 +297,9 @@ router.post('/applications', requireCandidate, async (req, res) => {
 
     const job = await getJobById(job_id);
     if (!job || job.status !== 'PUBLISHED') return res.status(404).json({ error: 'NotFound' });
+    if (!(await hasVerifiedEmailFor('apply', req.user.id))) {
+      return res.status(403).json(emailNotVerifiedBody('apply'));
+    }
 
     try {
       const { id } = await createApplication({
@@ -289,8 +325,9 @@ router.post('/applications', requireCandidate, async (req, res) => {
               data: { job_id, application_id: id, path: `/candidate/applications/${id}` },
             })
           );
-          // Recruiter notification
-          if (job.recruiter_id) {
+          // Recruiter notification (current members only: it lists the latest applicants)
+          const recipients = await jobNotificationRecipients(job);
+          if (recipients.length) {
             // Include dynamic count of applications for this job, fallback to generic message on error
             let msg;
             try {
@@ -315,15 +352,17 @@ router.post('/applications', requireCandidate, async (req, res) => {
                 avatar_url: a.profile?.avatar_url ?? null,
               }));
             } catch {}
-            tasks.push(
-              createNotification({
-                user_id: job.recruiter_id,
-                type: 'APPLICATION',
-                title: 'New application',
-                message: msg,
-                data: { job_id, application_id: id, candidate_id: req.user.id, path: `/recruiter/jobs/${job.id}/applications`, recent_applicants },
-              })
-            );
+            for (const user_id of recipients) {
+              tasks.push(
+                createNotification({
+                  user_id,
+                  type: 'APPLICATION',
+                  title: 'New application',
+                  message: msg,
+                  data: { job_id, application_id: id, candidate_id: req.user.id, path: `/recruiter/jobs/${job.id}/applications`, recent_applicants },
+                })
+              );
+            }
           }
           await Promise.allSettled(tasks);
         } catch (notifyErr) {
@@ -364,31 +403,210 @@ router.get('/applications', requireCandidate, async (req, res) => {
   }
 });
 
+// Loads the application detail of :id into req.resource; it must belong to the current candidate
+const ownApplication = requireOwnership(getApplicationDetail, {
+  isOwner: (detail, user) => detail.application.candidate_id === user.id,
+});
+
+// Loads notification :id into req.resource; it must belong to the current candidate
+const ownNotification = requireOwnership(getNotificationById);
+
 // View an application detail (owned by the current candidate)
-router.get('/applications/:id', requireCandidate, async (req, res) => {
+router.get('/applications/:id', requireCandidate, ownApplication, async (req, res) => {
   try {
-    const id = Number(req.params.id);
-    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'InvalidId' });
-    const detail = await getApplicationDetail(id);
-    if (!detail) return res.status(404).json({ error: 'NotFound' });
-    if (detail.application.candidate_id !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
-    return res.json(detail);
+    return res.json(req.resource);
   } catch (err) {
     console.error('candidate get application detail error', err);
     return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
   }
 });
 
-// ---- Notifications ----
+// ---- Interviews ----
 
-// Helper: parse boolean-like query values
-const Boolish = z.preprocess((v) => {
-  if (v === undefined) return undefined;
-  const s = String(v).toLowerCase();
-  if (s === 'true' || s === '1' || s === 'yes') return true;
-  if (s === 'false' || s === '0' || s === 'no') return false;
-  return v;
-}, z.boolean().optional());
+// List interviews for one of the candidate's applications
+router.get('/applications/:id/interviews', requireCandidate, ownApplication, async (req, res) => {
+  try {
+    const detail = req.resource;
+    const interviews = await listInterviewsByApplication(detail.application.id);
+    // Internal recruiter notes are not shown to candidates
+    return res.json({ interviews: interviews.map(({ notes, ...rest }) => rest) });
+  } catch (err) {
+    console.error('candidate list interviews error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// iCalendar invite (REQUEST, or CANCEL once cancelled); same UID across reschedules
+router.get('/applications/:id/interviews/:interviewId/invite.ics', requireCandidate, ownApplication, async (req, res) => {
+  try {
+    const detail = req.resource;
+    const interviewId = Number(req.params.interviewId);
+    if (!Number.isInteger(interviewId) || interviewId <= 0) return res.status(400).json({ error: 'InvalidId' });
+    const entry = await getInterviewCalendarEntry(interviewId);
+    if (!entry || entry.application_id !== detail.application.id) return res.status(404).json({ error: 'NotFound' });
+    res.set('Content-Type', 'text/calendar; charset=utf-8; method=' + (entry.status === 'CANCELLED' ? 'CANCEL' : 'REQUEST'));
+    res.set('Content-Disposition', `attachment; filename="interview-${entry.id}.ics"`);
+    return res.send(buildInterviewInvite(entry));
+  } catch (err) {
+    console.error('candidate interview invite error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+const InterviewResponseSchema = z.object({
+  reason: z.string().max(512).optional(),
+});
+
+// Confirm or decline an interview; the recruiter is notified either way
+function respondToInterview(status) {
+  return async (req, res) => {
+    try {
+      const detail = req.resource;
+      const interviewId = Number(req.params.interviewId);
+      if (!Number.isInteger(interviewId) || interviewId <= 0) return res.status(400).json({ error: 'InvalidId' });
+      const current = await getInterviewById(interviewId);
+      if (!current || current.application_id !== detail.application.id) return res.status(404).json({ error: 'NotFound' });
+
+      const parsed = InterviewResponseSchema.safeParse(req.body ?? {});
+      if (!parsed.success) {
+        return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+      }
+      if (['CANCELLED', 'COMPLETED'].includes(current.status)) {
+        return res.status(409).json({ error: 'InterviewClosed', message: `Interview is ${current.status}` });
+      }
+
+      if (current.status !== status) {
+        await updateInterview(current.id, {
+          status,
+          decline_reason: status === 'DECLINED' ? parsed.data.reason ?? null : null,
+        });
+        const who = detail.candidate.name || detail.candidate.email;
+        for (const user_id of await jobNotificationRecipients(detail.job)) {
+          createNotification({
+            user_id,
+            type: 'INTERVIEW',
+            title: status === 'CONFIRMED' ? 'Interview confirmed' : 'Interview declined',
+            message: status === 'CONFIRMED'
+              ? `${who} confirmed the interview for ${detail.job.title}.`
+              : `${who} declined the interview for ${detail.job.title}.${parsed.data.reason ? ` Reason: ${parsed.data.reason}` : ''}`,
+            data: {
+              job_id: detail.job.id,
+              application_id: detail.application.id,
+              interview_id: current.id,
+              status,
+              path: `/recruiter/applications/${detail.application.id}/interviews/${current.id}`,
+            },
+          }).catch((err) => {
+            console.error('Failed to create interview response notification:', err);
+          });
+        }
+      }
+      const { notes, ...interview } = await getInterviewById(current.id);
+      return res.json({ interview });
+    } catch (err) {
+      console.error('candidate respond to interview error', err);
+      return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+    }
+  };
+}
+
+router.post('/applications/:id/interviews/:interviewId/confirm', requireCandidate, ownApplication, respondToInterview('CONFIRMED'));
+router.post('/applications/:id/interviews/:interviewId/decline', requireCandidate, ownApplication, respondToInterview('DECLINED'));
+
+// ---- Self-scheduling ----
+
+// Only shortlisted (PASSED) applications may pick an interview slot
+function ensureShortlisted(detail, res) {
+  if (detail.application.status !== 'PASSED') {
+    res.status(403).json({ error: 'NotShortlisted', message: 'Interview slots are available once your application is shortlisted.' });
+    return false;
+  }
+  return true;
+}
+
+// List free interview slots for an application's job
+router.get('/applications/:id/slots', requireCandidate, ownApplication, async (req, res) => {
+  try {
+    const detail = req.resource;
+    if (!ensureShortlisted(detail, res)) return;
+    const duration_minutes = detail.job.interview_duration || DEFAULT_INTERVIEW_DURATION;
+    const recruiter_id = await jobSchedulingRecruiterId(detail.job);
+    if (!recruiter_id) return res.json({ duration_minutes, slots: [] });
+    const [windows, busy] = await Promise.all([
+      listAvailabilityByJob(detail.job.id, { upcoming: true }),
+      listBusyIntervalsByRecruiter(recruiter_id),
+    ]);
+    // Availability ids are recruiter-internal
+    const slots = generateSlots(windows, duration_minutes, busy).map(({ starts_at, ends_at }) => ({ starts_at, ends_at }));
+    return res.json({ duration_minutes, slots });
+  } catch (err) {
+    console.error('candidate list slots error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+const BookSlotSchema = z.object({
+  starts_at: z.coerce.date(),
+});
+
+// Book a slot: creates a SCHEDULED interview; 409 if the slot was taken meanwhile
+router.post('/applications/:id/slots/book', requireCandidate, ownApplication, async (req, res) => {
+  try {
+    const detail = req.resource;
+    if (!ensureShortlisted(detail, res)) return;
+    const parsed = BookSlotSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+
+    let id;
+    try {
+      ({ id } = await bookInterviewSlot({
+        application_id: detail.application.id,
+        starts_at: parsed.data.starts_at,
+        created_by: req.user.id,
+      }));
+    } catch (e) {
+      if (e?.status === 409) return res.status(409).json({ error: e.code, message: e.message });
+      if (e?.status === 404) return res.status(404).json({ error: 'NotFound' });
+      throw e;
+    }
+
+    const { notes, ...interview } = await getInterviewById(id);
+    const when = parsed.data.starts_at.toISOString();
+    const data = { job_id: detail.job.id, application_id: detail.application.id, interview_id: id, scheduled_at: interview.scheduled_at, status: interview.status };
+    const tasks = [
+      createNotification({
+        user_id: req.user.id,
+        type: 'INTERVIEW',
+        title: 'Interview scheduled',
+        message: `Your interview for ${detail.job.title} is scheduled at ${when}.`,
+        data: { ...data, path: `/candidate/applications/${detail.application.id}/interviews` },
+      }),
+    ];
+    for (const user_id of await jobNotificationRecipients(detail.job)) {
+      tasks.push(
+        createNotification({
+          user_id,
+          type: 'INTERVIEW',
+          title: 'Interview booked',
+          message: `${detail.candidate.name || detail.candidate.email} booked an interview for ${detail.job.title} at ${when}.`,
+          data: { ...data, path: `/recruiter/applications/${detail.application.id}/interviews/${id}` },
+        })
+      );
+    }
+    Promise.allSettled(tasks).then((results) => {
+      results.filter((r) => r.status === 'rejected').forEach((r) => console.error('Failed to create booking notification:', r.reason));
+    });
+
+    return res.status(201).json({ id, interview });
+  } catch (err) {
+    console.error('candidate book slot error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// ---- Notifications ----
 
 // List notifications for the current candidate
 router.get('/notifications', requireCandidate, async (req, res) => {
@@ -411,14 +629,9 @@ router.get('/notifications', requireCandidate, async (req, res) => {
 });
 
 // View a notification (must belong to current candidate)
-router.get('/notifications/:id', requireCandidate, async (req, res) => {
+router.get('/notifications/:id', requireCandidate, ownNotification, async (req, res) => {
   try {
-    const id = Number(req.params.id);
-    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'InvalidId' });
-    const notification = await getNotificationById(id);
-    if (!notification) return res.status(404).json({ error: 'NotFound' });
-    if (notification.user_id !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
-    return res.json({ notification });
+    return res.json({ notification: req.resource });
   } catch (err) {
     console.error('candidate get notification error', err);
     return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
@@ -426,15 +639,10 @@ router.get('/notifications/:id', requireCandidate, async (req, res) => {
 });
 
 // Mark a notification as read
-router.post('/notifications/:id/read', requireCandidate, async (req, res) => {
+router.post('/notifications/:id/read', requireCandidate, ownNotification, async (req, res) => {
   try {
-    const id = Number(req.params.id);
-    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'InvalidId' });
-    const notification = await getNotificationById(id);
-    if (!notification) return res.status(404).json({ error: 'NotFound' });
-    if (notification.user_id !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
-    await markNotificationRead(id);
-    const updated = await getNotificationById(id);
+    await markNotificationRead(req.resource.id);
+    const updated = await getNotificationById(req.resource.id);
     return res.json({ notification: updated });
   } catch (err) {
     console.error('candidate mark notification read error', err);
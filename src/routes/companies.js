@@ -0,0 +1,401 @@
+import express from 'express';
+import { z } from 'zod';
+import crypto from 'crypto';
+import {
+  getUserById,
+  getCompanyById,
+  createCompany,
+  updateCompany,
+  listCompaniesForUser,
+  getCompanyMember,
+  listCompanyMembers,
+  changeCompanyMember,
+  createCompanyInvitation,
+  getCompanyInvitationById,
+  listPendingCompanyInvitations,
+  getPendingCompanyInvitationByHash,
+  revokeCompanyInvitations,
+  acceptCompanyInvitation,
+  getUserByEmail,
+  createNotification,
+  getRetentionPolicy,
+  saveRetentionPolicy,
+  deleteRetentionPolicy,
+} from '../db.js';
+import { requireRole } from '../utils/auth.js';
+import { sendMail } from '../utils/mailer.js';
+import { COMPANY_ROLES, roleCan, roleAtLeast } from '../utils/companies.js';
+import { audit } from '../utils/audit.js';
+import { appUrl } from '../utils/appUrl.js';
+import { retentionReport } from '../utils/retention.js';
+
+const router = express.Router();
+
+const COMPANY_INVITATION_PATH = process.env.COMPANY_INVITATION_PATH || '/company-invitation';
+const COMPANY_INVITATION_TTL_DAYS = Number(process.env.COMPANY_INVITATION_TTL_DAYS || 7);
+
+const requireRecruiter = requireRole('RECRUITER');
+
+const CompanyRole = z.enum(COMPANY_ROLES);
+
+const CompanySchema = z.object({
+  name: z.string().min(1).max(191),
+});
+
+const MemberPatchSchema = z.object({
+  role: CompanyRole,
+});
+
+const InvitationSchema = z.object({
+  email: z.string().email().max(191),
+  role: CompanyRole.default('RECRUITER'),
+});
+
+const AcceptInvitationSchema = z.object({
+  token: z.string().min(1),
+});
+
+// Days to keep each kind of application data; null falls back to the global rule.
+// Read notifications belong to users, so only the global rule (PUT /admin/retention) covers them.
+const RetentionDays = z.number().int().min(1).max(3650).nullable().optional();
+const CompanyRetentionSchema = z.object({
+  failed_applications_days: RetentionDays,
+  closed_job_applications_days: RetentionDays,
+});
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const invitationLink = (token) => appUrl(COMPANY_INVITATION_PATH, { token });
+
+// Load the company and the caller's role, checking `permission`; sends the error response and returns null otherwise.
+// Non-members get 404 so company ids can't be probed.
+async function loadCompany(req, res, permission) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) { res.status(400).json({ error: 'InvalidId' }); return null; }
+  const [company, member] = await Promise.all([getCompanyById(id), getCompanyMember(id, req.user.id)]);
+  if (!company || !member) { res.status(404).json({ error: 'NotFound' }); return null; }
+  if (!roleCan(member.role, permission)) { res.status(403).json({ error: 'Forbidden' }); return null; }
+  return { company, role: member.role };
+}
+
+// Load a member of the (already authorized) company
+async function loadMember(req, res, company) {
+  const userId = Number(req.params.userId);
+  if (!Number.isInteger(userId) || userId <= 0) { res.status(400).json({ error: 'InvalidId' }); return null; }
+  const member = await getCompanyMember(company.id, userId);
+  if (!member) { res.status(404).json({ error: 'NotFound' }); return null; }
+  return member;
+}
+
+// -------------------- Companies --------------------
+
+// Companies of the current recruiter, with their role in each
+router.get('/', requireRecruiter, async (req, res) => {
+  try {
+    const companies = await listCompaniesForUser(req.user.id);
+    return res.json({ companies });
+  } catch (err) {
+    console.error('list companies error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Create a company; the creator becomes its OWNER
+router.post('/', requireRecruiter, async (req, res) => {
+  try {
+    const parsed = CompanySchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const { id } = await createCompany({ name: parsed.data.name, created_by: req.user.id });
+    const company = await getCompanyById(id);
+    return res.status(201).json({ id, company: { ...company, role: 'OWNER' } });
+  } catch (err) {
+    console.error('create company error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Accept an emailed invitation; the signed-in recruiter's email must match the invited address
+router.post('/invitations/accept', requireRecruiter, async (req, res) => {
+  try {
+    const parsed = AcceptInvitationSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const invitation = await getPendingCompanyInvitationByHash(hashToken(parsed.data.token));
+    if (!invitation) {
+      return res.status(400).json({ error: 'InvalidInvitation', message: 'Invitation is invalid, expired or already used' });
+    }
+    const user = await getUserById(req.user.id);
+    if (!user) return res.status(401).json({ error: 'Unauthorized' });
+    if (String(user.email).toLowerCase() !== String(invitation.email).toLowerCase()) {
+      return res.status(403).json({ error: 'InvitationEmailMismatch', message: 'Sign in with the invited email address' });
+    }
+    const ok = await acceptCompanyInvitation(invitation.id, user.id);
+    if (!ok) {
+      return res.status(400).json({ error: 'InvalidInvitation', message: 'Invitation is invalid, expired or already used' });
+    }
+    const member = await getCompanyMember(invitation.company_id, user.id);
+    const company = await getCompanyById(invitation.company_id);
+
+    if (invitation.invited_by) {
+      createNotification({
+        user_id: invitation.invited_by,
+        type: 'COMPANY',
+        title: 'Invitation accepted',
+        message: `${user.name || user.email} joined ${company.name} as ${member.role}.`,
+        data: { company_id: company.id, user_id: user.id, role: member.role },
+      }).catch((e) => console.error('invitation accepted notification error', e));
+    }
+    return res.json({ company: { ...company, role: member.role } });
+  } catch (err) {
+    console.error('accept invitation error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+router.get('/:id', requireRecruiter, async (req, res) => {
+  try {
+    const ctx = await loadCompany(req, res, 'company:read');
+    if (!ctx) return;
+    return res.json({ company: { ...ctx.company, role: ctx.role } });
+  } catch (err) {
+    console.error('get company error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+router.patch('/:id', requireRecruiter, async (req, res) => {
+  try {
+    const ctx = await loadCompany(req, res, 'company:update');
+    if (!ctx) return;
+    const parsed = CompanySchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    await updateCompany(ctx.company.id, parsed.data);
+    const company = await getCompanyById(ctx.company.id);
+    return res.json({ company: { ...company, role: ctx.role } });
+  } catch (err) {
+    console.error('update company error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// -------------------- Members --------------------
+
+router.get('/:id/members', requireRecruiter, async (req, res) => {
+  try {
+    const ctx = await loadCompany(req, res, 'company:read');
+    if (!ctx) return;
+    const members = await listCompanyMembers(ctx.company.id);
+    return res.json({ members });
+  } catch (err) {
+    console.error('list company members error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Change a member's role. Nobody can manage a role above their own, and only owners manage owners.
+router.patch('/:id/members/:userId', requireRecruiter, async (req, res) => {
+  try {
+    const ctx = await loadCompany(req, res, 'members:manage');
+    if (!ctx) return;
+    const member = await loadMember(req, res, ctx.company);
+    if (!member) return;
+    const parsed = MemberPatchSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const { role } = parsed.data;
+    if (!roleAtLeast(ctx.role, member.role) || !roleAtLeast(ctx.role, role)) {
+      return res.status(403).json({ error: 'Forbidden', message: 'You cannot manage this role' });
+    }
+    try {
+      await changeCompanyMember(ctx.company.id, member.user_id, role);
+    } catch (e) {
+      if (e?.status === 409) return res.status(409).json({ error: e.code, message: e.message });
+      if (e?.status === 404) return res.status(404).json({ error: 'NotFound' });
+      throw e;
+    }
+    return res.json({ member: { ...member, role } });
+  } catch (err) {
+    console.error('update company member error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Remove a member, or leave the company (any member may remove themselves)
+router.delete('/:id/members/:userId', requireRecruiter, async (req, res) => {
+  try {
+    const self = Number(req.params.userId) === req.user.id;
+    const ctx = await loadCompany(req, res, self ? 'company:read' : 'members:manage');
+    if (!ctx) return;
+    const member = await loadMember(req, res, ctx.company);
+    if (!member) return;
+    if (!self && !roleAtLeast(ctx.role, member.role)) {
+      return res.status(403).json({ error: 'Forbidden', message: 'You cannot manage this role' });
+    }
+    try {
+      await changeCompanyMember(ctx.company.id, member.user_id, null);
+    } catch (e) {
+      if (e?.status === 409) return res.status(409).json({ error: e.code, message: e.message });
+      if (e?.status === 404) return res.status(404).json({ error: 'NotFound' });
+      throw e;
+    }
+    return res.status(204).end();
+  } catch (err) {
+    console.error('remove company member error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// -------------------- Invitations --------------------
+
+// Invite someone by email. A new invitation for the same address replaces the open one.
+router.post('/:id/invitations', requireRecruiter, async (req, res) => {
+  try {
+    const ctx = await loadCompany(req, res, 'members:manage');
+    if (!ctx) return;
+    const parsed = InvitationSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const email = parsed.data.email.toLowerCase();
+    const { role } = parsed.data;
+    if (!roleAtLeast(ctx.role, role)) {
+      return res.status(403).json({ error: 'Forbidden', message: 'You cannot invite with this role' });
+    }
+    const existing = await getUserByEmail(email);
+    if (existing && (await getCompanyMember(ctx.company.id, existing.id))) {
+      return res.status(409).json({ error: 'AlreadyMember', message: 'This user is already a member' });
+    }
+
+    await revokeCompanyInvitations(ctx.company.id, { email });
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expires_at = new Date(Date.now() + COMPANY_INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+    const { id } = await createCompanyInvitation({
+      company_id: ctx.company.id,
+      email,
+      role,
+      token_hash: hashToken(token),
+      invited_by: req.user.id,
+      expires_at,
+    });
+
+    const inviter = await getUserById(req.user.id);
+    sendMail({
+      to: email,
+      subject: `Join ${ctx.company.name} on HeyHR`,
+      text: [
+        'Hi,',
+        '',
+        `${inviter?.name || inviter?.email || 'A colleague'} invited you to join ${ctx.company.name} on HeyHR as ${role}.`,
+        `Sign in (or create a recruiter account) with this email address and open this link within ${COMPANY_INVITATION_TTL_DAYS} days:`,
+        invitationLink(token),
+        '',
+        'If you were not expecting this, you can ignore this email.',
+      ].join('\n'),
+    }).catch((e) => console.error('company invitation email error', e));
+
+    return res.status(201).json({ invitation: { id, company_id: ctx.company.id, email, role, expires_at } });
+  } catch (err) {
+    console.error('create company invitation error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+router.get('/:id/invitations', requireRecruiter, async (req, res) => {
+  try {
+    const ctx = await loadCompany(req, res, 'members:manage');
+    if (!ctx) return;
+    const invitations = await listPendingCompanyInvitations(ctx.company.id);
+    return res.json({ invitations });
+  } catch (err) {
+    console.error('list company invitations error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+router.delete('/:id/invitations/:invitationId', requireRecruiter, async (req, res) => {
+  try {
+    const ctx = await loadCompany(req, res, 'members:manage');
+    if (!ctx) return;
+    const invitationId = Number(req.params.invitationId);
+    if (!Number.isInteger(invitationId) || invitationId <= 0) return res.status(400).json({ error: 'InvalidId' });
+    const invitation = await getCompanyInvitationById(invitationId);
+    if (!invitation || invitation.company_id !== ctx.company.id) return res.status(404).json({ error: 'NotFound' });
+    await revokeCompanyInvitations(ctx.company.id, { id: invitation.id });
+    return res.status(204).end();
+  } catch (err) {
+    console.error('revoke company invitation error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// -------------------- Data retention --------------------
+
+const APPLICATION_RETENTION_FIELDS = ['failed_applications_days', 'closed_job_applications_days'];
+
+// The company's override, the global rule and the resulting periods in days (null = kept)
+router.get('/:id/retention', requireRecruiter, async (req, res) => {
+  try {
+    const ctx = await loadCompany(req, res, 'company:read');
+    if (!ctx) return;
+    const [policy, global] = await Promise.all([getRetentionPolicy(ctx.company.id), getRetentionPolicy(null)]);
+    const effective = {};
+    for (const field of APPLICATION_RETENTION_FIELDS) effective[field] = policy?.[field] ?? global?.[field] ?? null;
+    return res.json({ policy, global, effective });
+  } catch (err) {
+    console.error('get company retention error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Replace the company's override; omitted or null fields use the global rule
+router.put('/:id/retention', requireRecruiter, async (req, res) => {
+  try {
+    const ctx = await loadCompany(req, res, 'company:update');
+    if (!ctx) return;
+    const parsed = CompanyRetentionSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const policy = await saveRetentionPolicy(ctx.company.id, parsed.data, req.user.id);
+    audit(req, 'retention.update', { details: { company_id: ctx.company.id, after: parsed.data } });
+    return res.json({ policy });
+  } catch (err) {
+    console.error('update company retention error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Drop the override so the global rule applies
+router.delete('/:id/retention', requireRecruiter, async (req, res) => {
+  try {
+    const ctx = await loadCompany(req, res, 'company:update');
+    if (!ctx) return;
+    const { affectedRows } = await deleteRetentionPolicy(ctx.company.id);
+    if (affectedRows > 0) audit(req, 'retention.reset', { details: { company_id: ctx.company.id } });
+    return res.status(204).end();
+  } catch (err) {
+    console.error('delete company retention error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Dry run: the company's applications the next sweep would anonymize
+router.get('/:id/retention/report', requireRecruiter, async (req, res) => {
+  try {
+    const ctx = await loadCompany(req, res, 'company:read');
+    if (!ctx) return;
+    const report = await retentionReport({ company_id: ctx.company.id });
+    return res.json({ report });
+  } catch (err) {
+    console.error('company retention report error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+export default router;
@@ -1,37 +1,45 @@
 import express from 'express';
 import { z } from 'zod';
-import { verifyAccessToken } from '../utils/jwt.js';
+import multer from 'multer';
+import { requireRole, requireScope } from '../utils/auth.js';
+import { extractJobFieldsFromFile, detectJobImportFormat, listJobImportFormats } from '../utils/jobImport.js';
+import { handleUpload } from '../utils/uploads.js';
+import { Boolish } from '../utils/validation.js';
+import {
+  JOB_STATUSES,
+  recruiterCanTransitionJob,
+  publishTargetFor,
+  invalidTransitionBody,
+  isModerationLocked,
+  moderationLockedBody,
+} from '../utils/jobStatus.js';
+import { hasVerifiedEmailFor, emailNotVerifiedBody } from '../utils/emailVerification.js';
+import { canAccessJob, resolveJobCompany, jobSchedulingRecruiterId } from '../utils/companies.js';
 import { 
   createJob, 
   getJobById, 
-  updateJob, 
-  listJobsByRecruiter, 
+  updateJobWithTransition,
+  listJobsForMember, 
   deleteJob, 
   createNotification,
+  transitionJobStatus,
   closeJob,
   reopenJob,
+  createAvailability,
+  getAvailabilityById,
+  listAvailabilityByJob,
+  updateAvailability,
+  deleteAvailability,
+  listBusyIntervalsByRecruiter,
+  assignJobRecruiter,
+  DEFAULT_INTERVIEW_DURATION,
 } from '../db.js';
+import { generateSlots, MIN_INTERVIEW_MINUTES, MAX_AVAILABILITY_WINDOW_DAYS } from '../utils/slots.js';
 
 const router = express.Router();
 
-function parseBearer(req) {
-  const auth = req.headers['authorization'];
-  if (!auth || !auth.startsWith('Bearer ')) return null;
-  return auth.slice('Bearer '.length);
-}
-
-function requireRecruiter(req, res, next) {
-  try {
-    const token = parseBearer(req);
-    if (!token) return res.status(401).json({ error: 'Unauthorized' });
-    const payload = verifyAccessToken(token);
-    if (!payload || payload.role !== 'RECRUITER') return res.status(403).json({ error: 'Forbidden' });
-    req.user = { id: Number(payload.sub), role: payload.role };
-    return next();
-  } catch (_e) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-}
+// Recruiter session or API key (scopes checked per route)
+const requireRecruiter = requireRole('RECRUITER', { apiKey: true });
 
 const JobType = z.enum(['FULL_TIME', 'PART_TIME', 'CONTRACT', 'INTERNSHIP', 'TEMPORARY', 'FREELANCE']);
 
@@ -41,26 +49,31 @@ const DateStr = z
   .optional()
   .nullable();
 
+// Free text or a list of bullet points (stored as a JSON array either way)
+const TextOrList = z.union([z.string(), z.array(z.string().min(1))]).optional().nullable();
+
 const SkillItem = z.object({
   name: z.string().min(1),
   weight: z.number().int().min(0).max(100),
 });
 
 const JobCreateSchema = z.object({
+  // Owning company; defaults to the recruiter's only company
+  company_id: z.number().int().positive().optional(),
   title: z.string().min(1),
   company_name: z.string().min(1).optional().nullable(),
   location: z.string().min(1).optional().nullable(),
   remote_flexible: z.boolean().optional().default(false),
   job_type: JobType.optional().nullable(),
   salary: z.number().int().nonnegative().optional().nullable(),
-  interview_duration: z.number().int().nonnegative().optional().nullable(),
+  interview_duration: z.number().int().min(MIN_INTERVIEW_MINUTES).optional().nullable(),
   commencement_date: DateStr,
   intro: z.string().optional().nullable(),
   description: z.string().optional().nullable(),
   benefits: z.string().optional().nullable(),
-  responsibilities: z.string().optional().nullable(),
-  requirements: z.string().optional().nullable(),
-  qualifications: z.string().optional().nullable(),
+  responsibilities: TextOrList,
+  requirements: TextOrList,
+  qualifications: TextOrList,
   other_details: z.string().optional().nullable(),
   skills_soft: z.array(SkillItem).optional().nullable(),
   skills_technical: z.array(SkillItem).optional().nullable(),
@@ -72,6 +85,7 @@ const JobCreateSchema = z.object({
   shortlist: z.number().int().nonnegative().optional().nullable(),
   auto_offer: z.boolean().optional().default(false),
   // Require explicit status on create: only DRAFT or PUBLISHED allowed at creation time
+  // (PUBLISHED goes to PENDING_REVIEW when the review queue is on)
   status: z.enum(['DRAFT', 'PUBLISHED']),
 });
 
@@ -83,14 +97,14 @@ const JobUpdateDraftSchema = z.object({
   remote_flexible: z.boolean().optional(),
   job_type: JobType.optional().nullable(),
   salary: z.number().int().nonnegative().optional().nullable(),
-  interview_duration: z.number().int().nonnegative().optional().nullable(),
+  interview_duration: z.number().int().min(MIN_INTERVIEW_MINUTES).optional().nullable(),
   commencement_date: DateStr,
   intro: z.string().optional().nullable(),
   description: z.string().optional().nullable(),
   benefits: z.string().optional().nullable(),
-  responsibilities: z.string().optional().nullable(),
-  requirements: z.string().optional().nullable(),
-  qualifications: z.string().optional().nullable(),
+  responsibilities: TextOrList,
+  requirements: TextOrList,
+  qualifications: TextOrList,
   other_details: z.string().optional().nullable(),
   skills_soft: z.array(SkillItem).optional().nullable(),
   skills_technical: z.array(SkillItem).optional().nullable(),
@@ -104,13 +118,23 @@ const JobUpdateDraftSchema = z.object({
   // status is intentionally omitted here; use a publish endpoint to change it
 });
 
-router.post('/', requireRecruiter, async (req, res) => {
+// Build `{ path, url }` for a job, honoring proxy headers
+function jobLinks(req, id) {
+  const path = `${req.baseUrl}/${id}`;
+  const host = req.get('x-forwarded-host') ?? req.get('host');
+  const protocol = (req.get('x-forwarded-proto') ?? req.protocol) || 'http';
+  const url = host ? `${protocol}://${host}${path}` : path;
+  return { path, url };
+}
+
+router.post('/', requireRecruiter, requireScope('jobs:write'), async (req, res) => {
   try {
     // coerce numeric fields from strings if any
     const body = {
       ...req.body,
       salary: req.body.salary !== undefined ? Number(req.body.salary) : undefined,
       interview_duration: req.body.interview_duration !== undefined ? Number(req.body.interview_duration) : undefined,
+      company_id: req.body.company_id !== undefined ? Number(req.body.company_id) : undefined,
       // backward compatibility: accept old auto_close and map to auto_offer
       auto_offer: req.body.auto_offer ?? req.body.auto_close,
       skills_soft: Array.isArray(req.body.skills_soft)
@@ -129,15 +153,20 @@ router.post('/', requireRecruiter, async (req, res) => {
     }
 
     const data = parsed.data;
+    const target = await resolveJobCompany(req.user.id, data.company_id);
+    if (!target.company) return res.status(target.status).json(target.body);
+    if (data.status === 'PUBLISHED' && !(await hasVerifiedEmailFor('publish', req.user.id))) {
+      return res.status(403).json(emailNotVerifiedBody('publish'));
+    }
     const { id } = await createJob({
       ...data,
+      status: data.status === 'PUBLISHED' ? publishTargetFor('DRAFT') : data.status,
+      company_id: target.company.id,
+      company_name: data.company_name ?? target.company.name,
       recruiter_id: req.user.id,
     });
     const job = await getJobById(id);
-    const path = `${req.baseUrl}/${id}`;
-    const host = req.get('x-forwarded-host') ?? req.get('host');
-    const protocol = (req.get('x-forwarded-proto') ?? req.protocol) || 'http';
-    const url = host ? `${protocol}://${host}${path}` : path;
+    const { path, url } = jobLinks(req, id);
     // Fire-and-forget notification if created as PUBLISHED
     (async () => {
       try {
@@ -146,7 +175,7 @@ router.post('/', requireRecruiter, async (req, res) => {
             user_id: req.user.id,
             type: 'JOB',
             title: 'Job published',
-            message: `Your job "${job.title}" was approved and published.`,
+            message: `Your job "${job.title}" was published.`,
             data: { job_id: id, path },
           });
         }
@@ -161,16 +190,118 @@ router.post('/', requireRecruiter, async (req, res) => {
   }
 });
 
-// List jobs created by the authenticated recruiter
-router.get('/', requireRecruiter, async (req, res) => {
+// ---- Import job description (PDF, DOCX, HTML, plain text) ----
+
+const JOB_IMPORT_MAX_BYTES = 10 * 1024 * 1024;
+
+// Keep uploads in memory: the file is only parsed, never stored
+const jobDescriptionUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    // An explicit /import/:format only overrides generic types (e.g. application/octet-stream), never a conflicting one
+    const detected = detectJobImportFormat({ mimetype: file.mimetype, originalname: file.originalname });
+    const generic = !file.mimetype || file.mimetype === 'application/octet-stream';
+    const ok = req.params.format ? (detected ? detected.name === req.params.format : generic) : !!detected;
+    if (!ok) {
+      return cb(Object.assign(new Error('UnsupportedMediaType'), { status: 415 }));
+    }
+    cb(null, true);
+  },
+  limits: { fileSize: JOB_IMPORT_MAX_BYTES },
+});
+const uploadJobDescription = handleUpload(jobDescriptionUpload.single('file'), {
+  maxBytes: JOB_IMPORT_MAX_BYTES,
+  supported: (req) => (req.params.format ? req.params.format : listJobImportFormats().join(', ')),
+});
+
+// An unknown /import/:format is a 404, before any upload is read
+function checkImportFormat(req, res, next) {
+  const { format } = req.params;
+  if (format && !listJobImportFormats().includes(format)) {
+    return res.status(404).json({ error: 'NotFound', message: `Unknown import format: ${format}` });
+  }
+  return next();
+}
+
+const ImportTextSchema = z.object({
+  text: z.string().min(1).max(500000),
+  format: z.enum(['html', 'txt']).optional().default('txt'),
+});
+
+// Parse a JD into a suggested JobCreateSchema payload.
+// Either multipart/form-data with field "file", or JSON `{ text, format: 'html'|'txt' }` for pasted content.
+// `save=true` (query or body field) also stores the suggestion as a DRAFT.
+async function importJobDescription(req, res) {
+  try {
+    const format = req.params.format;
+    const saveParsed = Boolish.safeParse(req.query.save ?? req.body?.save);
+    if (!saveParsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: saveParsed.error.flatten() });
+    }
+
+    let source;
+    if (req.file) {
+      source = { buffer: req.file.buffer, mimetype: req.file.mimetype, originalname: req.file.originalname, format };
+    } else {
+      const parsedText = ImportTextSchema.safeParse({ text: req.body?.text, format: format ?? req.body?.format });
+      if (!parsedText.success) {
+        return res.status(400).json({ error: 'ValidationError', message: 'file or text is required', issues: parsedText.error.flatten() });
+      }
+      source = { buffer: Buffer.from(parsedText.data.text, 'utf8'), format: parsedText.data.format };
+    }
+
+    const result = await extractJobFieldsFromFile(source);
+    if (!saveParsed.data) {
+      return res.json(result);
+    }
+
+    const companyId = req.query.company_id ?? req.body?.company_id;
+    const parsed = JobCreateSchema.safeParse({
+      ...result.suggested,
+      company_id: companyId !== undefined ? Number(companyId) : undefined,
+      status: 'DRAFT',
+    });
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten(), ...result });
+    }
+    const target = await resolveJobCompany(req.user.id, parsed.data.company_id);
+    if (!target.company) return res.status(target.status).json(target.body);
+    const { id } = await createJob({
+      ...parsed.data,
+      company_id: target.company.id,
+      company_name: parsed.data.company_name ?? target.company.name,
+      recruiter_id: req.user.id,
+    });
+    const job = await getJobById(id);
+    const { path, url } = jobLinks(req, id);
+    return res.status(201).json({ id, job, path, url, ...result });
+  } catch (err) {
+    if (err?.status === 415) {
+      return res.status(415).json({ error: 'UnsupportedMediaType', message: `Supported formats: ${listJobImportFormats().join(', ')}` });
+    }
+    if (err?.status === 422) {
+      return res.status(422).json({ error: err.message, message: 'Could not read text from the document' });
+    }
+    console.error('import job description error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+}
+
+router.post('/import', requireRecruiter, requireScope('jobs:write'), uploadJobDescription, importJobDescription);
+router.post('/import/:format', requireRecruiter, requireScope('jobs:write'), checkImportFormat, uploadJobDescription, importJobDescription);
+
+// List jobs of the companies the authenticated recruiter belongs to
+router.get('/', requireRecruiter, requireScope('jobs:read'), async (req, res) => {
   try {
     const body = {
+      company_id: req.query.company_id !== undefined ? Number(req.query.company_id) : undefined,
       status: req.query.status,
       limit: req.query.limit !== undefined ? Number(req.query.limit) : undefined,
       offset: req.query.offset !== undefined ? Number(req.query.offset) : undefined,
     };
     const ListQuerySchema = z.object({
-      status: z.enum(['DRAFT', 'PUBLISHED']).optional(),
+      company_id: z.number().int().positive().optional(),
+      status: z.enum(JOB_STATUSES).optional(),
       limit: z.number().int().positive().max(200).optional(),
       offset: z.number().int().min(0).optional(),
     });
@@ -178,7 +309,7 @@ router.get('/', requireRecruiter, async (req, res) => {
     if (!parsed.success) {
       return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
     }
-    const jobs = await listJobsByRecruiter(req.user.id, parsed.data);
+    const jobs = await listJobsForMember(req.user.id, parsed.data);
     return res.json({ jobs });
   } catch (err) {
     console.error('list jobs error', err);
@@ -186,24 +317,36 @@ router.get('/', requireRecruiter, async (req, res) => {
   }
 });
 
-// Update job (partial). Status can be updated regardless of current status.
-router.patch('/:id', requireRecruiter, async (req, res) => {
+// Update job (partial). Status changes must follow the job lifecycle transition table.
+router.patch('/:id', requireRecruiter, requireScope('jobs:write'), async (req, res) => {
   try {
     const id = Number(req.params.id);
     if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'InvalidId' });
 
     const current = await getJobById(id);
     if (!current) return res.status(404).json({ error: 'NotFound' });
-    if (current.recruiter_id !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
+    if (!(await canAccessJob(req.user.id, current, 'jobs:write'))) return res.status(403).json({ error: 'Forbidden' });
     
     // Handle status updates separately since they're not in the schema
     let statusUpdate = null;
     if (req.body.status !== undefined) {
       // Validate status value
-      if (!['DRAFT', 'PUBLISHED'].includes(req.body.status)) {
+      if (!JOB_STATUSES.includes(req.body.status)) {
         return res.status(400).json({ error: 'ValidationError', message: 'Invalid status value' });
       }
-      statusUpdate = req.body.status;
+      const target = req.body.status === 'PUBLISHED' ? publishTargetFor(current.status, current) : req.body.status;
+      if (target !== current.status) {
+        if (target === 'PUBLISHED' && isModerationLocked(current)) {
+          return res.status(409).json(moderationLockedBody(current));
+        }
+        if (!recruiterCanTransitionJob(current.status, target, current)) {
+          return res.status(409).json(invalidTransitionBody(current.status, target));
+        }
+        if ((target === 'PUBLISHED' || target === 'PENDING_REVIEW') && !(await hasVerifiedEmailFor('publish', req.user.id))) {
+          return res.status(403).json(emailNotVerifiedBody('publish'));
+        }
+        statusUpdate = target;
+      }
     }
     
     // For non-draft jobs, only allow status updates
@@ -211,18 +354,10 @@ router.patch('/:id', requireRecruiter, async (req, res) => {
       return res.status(409).json({ error: 'NotDraft', message: 'Only status can be updated for non-draft jobs' });
     }
 
-    // Prepare data for update
+    // Prepare field updates (status is applied separately as a guarded transition)
     let updateData = {};
-    
-    // If we're only updating status
-    if (statusUpdate && Object.keys(req.body).length === 1) {
-      updateData = { status: statusUpdate };
-    } 
-    // If we're updating other fields (with or without status)
-    else {
-      // Remove status from body for schema validation
-      const { status, ...bodyWithoutStatus } = req.body;
-      
+    const { status, ...bodyWithoutStatus } = req.body;
+    if (Object.keys(bodyWithoutStatus).length > 0) {
       // Coerce numeric fields and skill weights similar to create
       const body = {
         ...bodyWithoutStatus,
@@ -245,17 +380,17 @@ router.patch('/:id', requireRecruiter, async (req, res) => {
       if (!parsed.success) {
         return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
       }
-
       updateData = parsed.data;
-      
-      // Add status back if it was provided
-      if (statusUpdate) {
-        updateData.status = statusUpdate;
-      }
     }
 
-    const result = await updateJob(id, updateData);
-    if (result.affectedRows === 0) return res.status(200).json({ id, job: current });
+    // Edits and the status change are saved together, and only if nobody changed the status meanwhile
+    const result = await updateJobWithTransition(id, updateData, current.status, statusUpdate);
+    if (!result.applied) {
+      if (!result.status) return res.status(404).json({ error: 'NotFound' });
+      if (statusUpdate) return res.status(409).json(invalidTransitionBody(result.status, statusUpdate));
+      return res.status(409).json({ error: 'NotDraft', message: 'Only status can be updated for non-draft jobs' });
+    }
+    if (!result.changed) return res.status(200).json({ id, job: current });
     const job = await getJobById(id);
     return res.json({ id, job });
   } catch (err) {
@@ -264,34 +399,51 @@ router.patch('/:id', requireRecruiter, async (req, res) => {
   }
 });
 
-// Publish a draft job (transition to PUBLISHED)
-router.post('/:id/publish', requireRecruiter, async (req, res) => {
+// Publish a draft job (transition DRAFT -> PUBLISHED, or DRAFT -> PENDING_REVIEW with the review queue on)
+router.post('/:id/publish', requireRecruiter, requireScope('jobs:write'), async (req, res) => {
   try {
     const id = Number(req.params.id);
     if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'InvalidId' });
 
     const current = await getJobById(id);
     if (!current) return res.status(404).json({ error: 'NotFound' });
-    if (current.recruiter_id !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
+    if (!(await canAccessJob(req.user.id, current, 'jobs:write'))) return res.status(403).json({ error: 'Forbidden' });
     if (current.status === 'PUBLISHED') {
       return res.json({ id, job: current });
     }
+    if (current.status === 'PENDING_REVIEW') {
+      return res.status(202).json({ id, job: current });
+    }
+    // Closed jobs go back live through /reopen, not /publish
     if (current.status !== 'DRAFT') {
-      return res.status(409).json({ error: 'NotDraft', message: 'Only drafts can be published' });
+      return res.status(409).json(invalidTransitionBody(current.status, 'PUBLISHED'));
+    }
+    if (!(await hasVerifiedEmailFor('publish', req.user.id))) {
+      return res.status(403).json(emailNotVerifiedBody('publish'));
     }
 
-    await updateJob(id, { status: 'PUBLISHED' });
+    const target = publishTargetFor('DRAFT', current);
+    const ok = await transitionJobStatus(id, 'DRAFT', target);
+    if (!ok) {
+      const latest = await getJobById(id);
+      if (latest?.status !== target) {
+        return res.status(409).json(invalidTransitionBody(latest?.status ?? current.status, target));
+      }
+    }
     const job = await getJobById(id);
+    // Waiting for an admin; the recruiter is notified on approval (routes/admin.js)
+    if (target === 'PENDING_REVIEW') return res.status(202).json({ id, job });
+
     const path = `${req.baseUrl}/${id}`;
 
-    // Notify recruiter about approval/publish (fire-and-forget)
+    // Notify recruiter about publish (fire-and-forget)
     (async () => {
       try {
         await createNotification({
           user_id: req.user.id,
           type: 'JOB',
           title: 'Job published',
-          message: `Your job "${job.title}" was approved and published.`,
+          message: `Your job "${job.title}" was published.`,
           data: { job_id: id, path },
         });
       } catch (notifyErr) {
@@ -306,21 +458,26 @@ router.post('/:id/publish', requireRecruiter, async (req, res) => {
   }
 });
 
-// Close a job
-router.post('/:id/close', requireRecruiter, async (req, res) => {
+// Close a published job (transition PUBLISHED -> CLOSED)
+router.post('/:id/close', requireRecruiter, requireScope('jobs:write'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'InvalidId' });
     const job = await getJobById(id);
     if (!job) {
       return res.status(404).json({ error: 'NotFound', message: 'Job not found' });
     }
-    if (job.recruiter_id !== req.user.id) {
-      return res.status(403).json({ error: 'Forbidden', message: 'You do not own this job' });
+    if (!(await canAccessJob(req.user.id, job, 'jobs:write'))) {
+      return res.status(403).json({ error: 'Forbidden', message: 'You cannot manage this job' });
     }
     if (job.status !== 'PUBLISHED') {
-      return res.status(400).json({ error: 'BadRequest', message: 'Only PUBLISHED jobs can be closed' });
+      return res.status(409).json(invalidTransitionBody(job.status, 'CLOSED'));
+    }
+    const ok = await closeJob(id);
+    if (!ok) {
+      const latest = await getJobById(id);
+      return res.status(409).json(invalidTransitionBody(latest?.status ?? job.status, 'CLOSED'));
     }
-    await closeJob(id);
     return res.status(204).send();
   } catch (err) {
     console.error('close job error', err);
@@ -328,21 +485,30 @@ router.post('/:id/close', requireRecruiter, async (req, res) => {
   }
 });
 
-// Re-open a job
-router.post('/:id/reopen', requireRecruiter, async (req, res) => {
+// Re-open a closed job (transition CLOSED -> PUBLISHED)
+router.post('/:id/reopen', requireRecruiter, requireScope('jobs:write'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'InvalidId' });
     const job = await getJobById(id);
     if (!job) {
       return res.status(404).json({ error: 'NotFound', message: 'Job not found' });
     }
-    if (job.recruiter_id !== req.user.id) {
-      return res.status(403).json({ error: 'Forbidden', message: 'You do not own this job' });
+    if (!(await canAccessJob(req.user.id, job, 'jobs:write'))) {
+      return res.status(403).json({ error: 'Forbidden', message: 'You cannot manage this job' });
+    }
+    if (job.status !== 'CLOSED') {
+      return res.status(409).json(invalidTransitionBody(job.status, 'PUBLISHED'));
     }
-    if (job.status !== 'DRAFT') {
-      return res.status(400).json({ error: 'BadRequest', message: 'Only DRAFT jobs can be re-opened' });
+    if (isModerationLocked(job)) return res.status(409).json(moderationLockedBody(job));
+    if (!(await hasVerifiedEmailFor('publish', req.user.id))) {
+      return res.status(403).json(emailNotVerifiedBody('publish'));
+    }
+    const ok = await reopenJob(id);
+    if (!ok) {
+      const latest = await getJobById(id);
+      return res.status(409).json(invalidTransitionBody(latest?.status ?? job.status, 'PUBLISHED'));
     }
-    await reopenJob(id);
     return res.status(204).send();
   } catch (err) {
     console.error('reopen job error', err);
@@ -350,15 +516,142 @@ router.post('/:id/reopen', requireRecruiter, async (req, res) => {
   }
 });
 
+// ---- Interview availability (candidate self-scheduling) ----
+
+const AvailabilitySchema = z
+  .object({
+    starts_at: z.coerce.date(),
+    ends_at: z.coerce.date(),
+  })
+  .refine((d) => d.ends_at > d.starts_at, { path: ['ends_at'], message: 'ends_at must be after starts_at' })
+  .refine((d) => d.ends_at - d.starts_at <= MAX_AVAILABILITY_WINDOW_DAYS * 24 * 60 * 60 * 1000, {
+    path: ['ends_at'],
+    message: `A window can span at most ${MAX_AVAILABILITY_WINDOW_DAYS} days`,
+  });
+
+// Load a job the recruiter may act on (company permission), or send the error response and return null
+async function loadOwnedJob(req, res, permission = 'jobs:write') {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) { res.status(400).json({ error: 'InvalidId' }); return null; }
+  const job = await getJobById(id);
+  if (!job) { res.status(404).json({ error: 'NotFound' }); return null; }
+  if (!(await canAccessJob(req.user.id, job, permission))) { res.status(403).json({ error: 'Forbidden' }); return null; }
+  return job;
+}
+
+// Load an availability window of the (already authorized) job
+async function loadAvailability(req, res, job) {
+  const availabilityId = Number(req.params.availabilityId);
+  if (!Number.isInteger(availabilityId) || availabilityId <= 0) { res.status(400).json({ error: 'InvalidId' }); return null; }
+  const window = await getAvailabilityById(availabilityId);
+  if (!window || window.job_id !== job.id) { res.status(404).json({ error: 'NotFound' }); return null; }
+  return window;
+}
+
+// List availability windows for a job
+router.get('/:id/availability', requireRecruiter, requireScope('jobs:read'), async (req, res) => {
+  try {
+    const job = await loadOwnedJob(req, res, 'jobs:read');
+    if (!job) return;
+    const availability = await listAvailabilityByJob(job.id);
+    return res.json({ availability });
+  } catch (err) {
+    console.error('list availability error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Preview the free slots candidates would see (after removing already-booked interviews)
+router.get('/:id/availability/slots', requireRecruiter, requireScope('jobs:read'), async (req, res) => {
+  try {
+    const job = await loadOwnedJob(req, res, 'jobs:read');
+    if (!job) return;
+    const duration_minutes = job.interview_duration || DEFAULT_INTERVIEW_DURATION;
+    // Candidates book against the calendar of the job's recruiter (none once they left the company)
+    const recruiter_id = await jobSchedulingRecruiterId(job);
+    if (!recruiter_id) return res.json({ duration_minutes, slots: [] });
+    const [windows, busy] = await Promise.all([
+      listAvailabilityByJob(job.id, { upcoming: true }),
+      listBusyIntervalsByRecruiter(recruiter_id),
+    ]);
+    const slots = generateSlots(windows, duration_minutes, busy);
+    return res.json({ duration_minutes, slots });
+  } catch (err) {
+    console.error('list availability slots error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+router.post('/:id/availability', requireRecruiter, requireScope('jobs:write'), async (req, res) => {
+  try {
+    const job = await loadOwnedJob(req, res);
+    if (!job) return;
+    const parsed = AvailabilitySchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    // A job whose recruiter left the company is taken over by whoever opens interview slots for it
+    let recruiter_id = await jobSchedulingRecruiterId(job);
+    if (!recruiter_id) {
+      await assignJobRecruiter(job.id, req.user.id, job.recruiter_id);
+      recruiter_id = req.user.id;
+    }
+    const { id } = await createAvailability({ ...parsed.data, job_id: job.id, recruiter_id });
+    const availability = await getAvailabilityById(id);
+    return res.status(201).json({ id, availability });
+  } catch (err) {
+    console.error('create availability error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+router.patch('/:id/availability/:availabilityId', requireRecruiter, requireScope('jobs:write'), async (req, res) => {
+  try {
+    const job = await loadOwnedJob(req, res);
+    if (!job) return;
+    const current = await loadAvailability(req, res, job);
+    if (!current) return;
+    // Validate the merged window so a partial update cannot invert it
+    const parsed = AvailabilitySchema.safeParse({
+      starts_at: req.body?.starts_at ?? current.starts_at,
+      ends_at: req.body?.ends_at ?? current.ends_at,
+    });
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    // Already-booked interviews are kept even if the window no longer covers them
+    await updateAvailability(current.id, parsed.data);
+    const availability = await getAvailabilityById(current.id);
+    return res.json({ availability });
+  } catch (err) {
+    console.error('update availability error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+router.delete('/:id/availability/:availabilityId', requireRecruiter, requireScope('jobs:write'), async (req, res) => {
+  try {
+    const job = await loadOwnedJob(req, res);
+    if (!job) return;
+    const current = await loadAvailability(req, res, job);
+    if (!current) return;
+    await deleteAvailability(current.id);
+    return res.status(204).end();
+  } catch (err) {
+    console.error('delete availability error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
 // Delete a job (any status)
-router.delete('/:id', requireRecruiter, async (req, res) => {
+router.delete('/:id', requireRecruiter, requireScope('jobs:write'), async (req, res) => {
   try {
     const id = Number(req.params.id);
     if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'InvalidId' });
 
     const current = await getJobById(id);
     if (!current) return res.status(404).json({ error: 'NotFound' });
-    if (current.recruiter_id !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
+    if (!(await canAccessJob(req.user.id, current, 'jobs:write'))) return res.status(403).json({ error: 'Forbidden' });
     // Removed status restriction to allow deleting jobs of any status
 
     await deleteJob(id);
@@ -12,34 +12,32 @@ import {
   countApplicationsByJob,
   countApplicationsByRecruiter,
   countApplicationsByRecruiterWithStatus,
+  // Interviews
+  createInterview,
+  getInterviewById,
+  listInterviewsByApplication,
+  updateInterview,
+  deleteInterview,
+  getInterviewCalendarEntry,
   // Notifications
   listNotificationsByUser,
   getNotificationById,
   markNotificationRead,
   createNotification,
+  completeOnboarding,
 } from '../db.js';
-import { verifyAccessToken } from '../utils/jwt.js';
+import { requireRole, requireScope, requireOwnership } from '../utils/auth.js';
+import { buildInterviewInvite } from '../utils/ics.js';
+import { canAccessJob } from '../utils/companies.js';
+import { Boolish } from '../utils/validation.js';
 
 const router = express.Router();
 
-function parseBearer(req) {
-  const auth = req.headers['authorization'];
-  if (!auth || !auth.startsWith('Bearer ')) return null;
-  return auth.slice('Bearer '.length);
-}
+// Recruiter session or API key (scopes checked per route)
+const requireRecruiter = requireRole('RECRUITER', { apiKey: true });
 
-function requireRecruiter(req, res, next) {
-  try {
-    const token = parseBearer(req);
-    if (!token) return res.status(401).json({ error: 'Unauthorized' });
-    const payload = verifyAccessToken(token);
-    if (!payload || payload.role !== 'RECRUITER') return res.status(403).json({ error: 'Forbidden' });
-    req.user = { id: Number(payload.sub), role: payload.role };
-    return next();
-  } catch (_e) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-}
+// Loads notification :id into req.resource; it must belong to the current recruiter
+const ownNotification = requireOwnership(getNotificationById);
 
 const ProfilePatchSchema = z.object({
   first_name: z.string().min(1).max(191).optional(),
@@ -54,7 +52,7 @@ const ProfilePatchSchema = z.object({
 });
 
 // Private: current recruiter's profile (includes private fields)
-router.get('/me', requireRecruiter, async (req, res) => {
+router.get('/me', requireRecruiter, requireScope('profile:read'), async (req, res) => {
   try {
     const user = await getUserById(req.user.id);
     if (!user || user.role !== 'RECRUITER') return res.status(403).json({ error: 'Forbidden' });
@@ -67,7 +65,7 @@ router.get('/me', requireRecruiter, async (req, res) => {
 });
 
 // Private: update current recruiter's profile
-router.patch('/me', requireRecruiter, async (req, res) => {
+router.patch('/me', requireRecruiter, requireScope('profile:write'), async (req, res) => {
   try {
     const parsed = ProfilePatchSchema.safeParse(req.body);
     if (!parsed.success) {
@@ -86,6 +84,8 @@ router.patch('/me', requireRecruiter, async (req, res) => {
     };
 
     await upsertRecruiterProfile(req.user.id, merged);
+    // Saving the profile finishes onboarding for OAuth sign-ups
+    await completeOnboarding(req.user.id);
     const profile = await getRecruiterProfile(req.user.id);
     return res.json({ ok: true, profile });
   } catch (err) {
@@ -121,8 +121,8 @@ router.get('/:id/jobs', async (req, res) => {
   }
 });
 
-// Get application count for all jobs owned by the recruiter
-router.get('/applications/count', requireRecruiter, async (req, res) => {
+// Get application count for all jobs of the recruiter's companies
+router.get('/applications/count', requireRecruiter, requireScope('applications:read'), async (req, res) => {
   try {
     // Check if detailed counts by status are requested
     const withStatus = req.query.withStatus === 'true' || req.query.withStatus === '1';
@@ -172,15 +172,15 @@ export default router;
 
 const AppStatus = z.enum(['APPLIED', 'PASSED', 'FAILED']);
 
-// List applications for a specific job owned by the recruiter
-router.get('/jobs/:id/applications', requireRecruiter, async (req, res) => {
+// List applications for a specific job of the recruiter's company
+router.get('/jobs/:id/applications', requireRecruiter, requireScope('applications:read'), async (req, res) => {
   try {
     const jobId = Number(req.params.id);
     if (!Number.isInteger(jobId) || jobId <= 0) return res.status(400).json({ error: 'InvalidId' });
 
     const job = await getJobById(jobId);
     if (!job) return res.status(404).json({ error: 'NotFound' });
-    if (job.recruiter_id !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
+    if (!(await canAccessJob(req.user.id, job, 'applications:read'))) return res.status(403).json({ error: 'Forbidden' });
 
     const Query = z.object({
       status: AppStatus.optional(),
@@ -200,15 +200,14 @@ router.get('/jobs/:id/applications', requireRecruiter, async (req, res) => {
   }
 });
 
-// View a specific application (must belong to a job owned by the recruiter)
-router.get('/applications/:id', requireRecruiter, async (req, res) => {
+// Loads the application detail of :id into req.resource; its job must allow `permission` for the recruiter
+const companyApplication = (permission) =>
+  requireOwnership(getApplicationDetail, { isOwner: (detail, user) => canAccessJob(user.id, detail.job, permission) });
+
+// View a specific application (must belong to a job of the recruiter's company)
+router.get('/applications/:id', requireRecruiter, requireScope('applications:read'), companyApplication('applications:read'), async (req, res) => {
   try {
-    const id = Number(req.params.id);
-    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'InvalidId' });
-    const detail = await getApplicationDetail(id);
-    if (!detail) return res.status(404).json({ error: 'NotFound' });
-    if (detail.job.recruiter_id !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
-    return res.json(detail);
+    return res.json(req.resource);
   } catch (err) {
     console.error('recruiter get application detail error', err);
     return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
@@ -216,14 +215,10 @@ router.get('/applications/:id', requireRecruiter, async (req, res) => {
 });
 
 // Update application (status, score, tags, notes)
-router.patch('/applications/:id', requireRecruiter, async (req, res) => {
+router.patch('/applications/:id', requireRecruiter, requireScope('applications:write'), companyApplication('applications:write'), async (req, res) => {
   try {
-    const id = Number(req.params.id);
-    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'InvalidId' });
-
-    const detail = await getApplicationDetail(id);
-    if (!detail) return res.status(404).json({ error: 'NotFound' });
-    if (detail.job.recruiter_id !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
+    const detail = req.resource;
+    const id = detail.application.id;
 
     const PatchSchema = z.object({
       status: AppStatus.optional(),
@@ -264,15 +259,15 @@ router.patch('/applications/:id', requireRecruiter, async (req, res) => {
   }
 });
 
-// Get application count for a specific job owned by the recruiter
-router.get('/jobs/:id/applications/count', requireRecruiter, async (req, res) => {
+// Get application count for a specific job of the recruiter's company
+router.get('/jobs/:id/applications/count', requireRecruiter, requireScope('applications:read'), async (req, res) => {
   try {
     const jobId = Number(req.params.id);
     if (!Number.isInteger(jobId) || jobId <= 0) return res.status(400).json({ error: 'InvalidId' });
 
     const job = await getJobById(jobId);
     if (!job) return res.status(404).json({ error: 'NotFound' });
-    if (job.recruiter_id !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
+    if (!(await canAccessJob(req.user.id, job, 'applications:read'))) return res.status(403).json({ error: 'Forbidden' });
 
     const count = await countApplicationsByJob(jobId);
     return res.json({ count });
@@ -282,19 +277,195 @@ router.get('/jobs/:id/applications/count', requireRecruiter, async (req, res) =>
   }
 });
 
-// ---- Notifications (Recruiter) ----
+// ---------------- Interviews (Recruiter) ----------------
+
+const InterviewStatus = z.enum(['SCHEDULED', 'CONFIRMED', 'DECLINED', 'CANCELLED', 'COMPLETED']);
+
+const Interviewer = z.object({
+  name: z.string().min(1).max(191),
+  email: z.string().email().optional(),
+});
+
+const InterviewCreateSchema = z.object({
+  scheduled_at: z.coerce.date(),
+  duration_minutes: z.coerce.number().int().positive().max(24 * 60).optional(),
+  meeting_url: z.string().url().max(512).optional().nullable(),
+  location: z.string().min(1).max(191).optional().nullable(),
+  interviewers: z.array(Interviewer).optional().nullable(),
+  notes: z.string().max(20000).optional().nullable(),
+});
+
+const InterviewPatchSchema = InterviewCreateSchema.partial().extend({
+  // Recruiters can cancel or complete; confirm/decline is the candidate's call
+  status: z.enum(['SCHEDULED', 'CANCELLED', 'COMPLETED']).optional(),
+});
+
+// Notify the candidate about an interview change (fire-and-forget)
+function notifyCandidateOfInterview(detail, interview, { title, message }) {
+  createNotification({
+    user_id: detail.application.candidate_id,
+    type: 'INTERVIEW',
+    title,
+    message,
+    data: {
+      job_id: detail.job.id,
+      application_id: detail.application.id,
+      interview_id: interview.id,
+      scheduled_at: interview.scheduled_at,
+      status: interview.status,
+      path: `/candidate/applications/${detail.application.id}/interviews`,
+      ics_path: `/candidate/applications/${detail.application.id}/interviews/${interview.id}/invite.ics`,
+    },
+  }).catch((err) => {
+    console.error('Failed to create interview notification:', err);
+  });
+}
+
+// Load an interview belonging to the (already authorized) application
+async function loadInterview(req, res, detail) {
+  const interviewId = Number(req.params.interviewId);
+  if (!Number.isInteger(interviewId) || interviewId <= 0) { res.status(400).json({ error: 'InvalidId' }); return null; }
+  const interview = await getInterviewById(interviewId);
+  if (!interview || interview.application_id !== detail.application.id) { res.status(404).json({ error: 'NotFound' }); return null; }
+  return interview;
+}
+
+// List interviews for an application
+router.get('/applications/:id/interviews', requireRecruiter, requireScope('applications:read'), companyApplication('applications:read'), async (req, res) => {
+  try {
+    const detail = req.resource;
+    const Query = z.object({ status: InterviewStatus.optional() });
+    const parsed = Query.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const interviews = await listInterviewsByApplication(detail.application.id, parsed.data);
+    return res.json({ interviews });
+  } catch (err) {
+    console.error('recruiter list interviews error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Schedule an interview (duration defaults to the job's interview_duration)
+router.post('/applications/:id/interviews', requireRecruiter, requireScope('applications:write'), companyApplication('applications:write'), async (req, res) => {
+  try {
+    const detail = req.resource;
+    const parsed = InterviewCreateSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    const { id } = await createInterview({
+      ...parsed.data,
+      application_id: detail.application.id,
+      created_by: req.user.id,
+    });
+    const interview = await getInterviewById(id);
+    notifyCandidateOfInterview(detail, interview, {
+      title: 'Interview scheduled',
+      message: `Your interview for ${detail.job.title} is scheduled at ${parsed.data.scheduled_at.toISOString()}.`,
+    });
+    return res.status(201).json({ id, interview });
+  } catch (err) {
+    console.error('recruiter create interview error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+router.get('/applications/:id/interviews/:interviewId', requireRecruiter, requireScope('applications:read'), companyApplication('applications:read'), async (req, res) => {
+  try {
+    const detail = req.resource;
+    const interview = await loadInterview(req, res, detail);
+    if (!interview) return;
+    return res.json({ interview });
+  } catch (err) {
+    console.error('recruiter get interview error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// iCalendar invite (REQUEST, or CANCEL once cancelled); same UID across reschedules
+router.get('/applications/:id/interviews/:interviewId/invite.ics', requireRecruiter, requireScope('applications:read'), companyApplication('applications:read'), async (req, res) => {
+  try {
+    const detail = req.resource;
+    const interview = await loadInterview(req, res, detail);
+    if (!interview) return;
+    const entry = await getInterviewCalendarEntry(interview.id);
+    res.set('Content-Type', 'text/calendar; charset=utf-8; method=' + (entry.status === 'CANCELLED' ? 'CANCEL' : 'REQUEST'));
+    res.set('Content-Disposition', `attachment; filename="interview-${entry.id}.ics"`);
+    return res.send(buildInterviewInvite(entry, { includeNotes: true }));
+  } catch (err) {
+    console.error('recruiter interview invite error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// Update/reschedule an interview. Rescheduling resets the candidate's response to SCHEDULED.
+router.patch('/applications/:id/interviews/:interviewId', requireRecruiter, requireScope('applications:write'), companyApplication('applications:write'), async (req, res) => {
+  try {
+    const detail = req.resource;
+    const current = await loadInterview(req, res, detail);
+    if (!current) return;
+    const parsed = InterviewPatchSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'ValidationError', issues: parsed.error.flatten() });
+    }
+    if (['CANCELLED', 'COMPLETED'].includes(current.status) && parsed.data.status !== 'SCHEDULED') {
+      return res.status(409).json({ error: 'InterviewClosed', message: `Interview is ${current.status}` });
+    }
+
+    const patch = { ...parsed.data };
+    const rescheduled = patch.scheduled_at && patch.scheduled_at.getTime() !== new Date(current.scheduled_at).getTime();
+    if (rescheduled && !patch.status) patch.status = 'SCHEDULED';
+    if (patch.status === 'SCHEDULED') patch.decline_reason = null;
+
+    const result = await updateInterview(current.id, patch);
+    if (result.affectedRows === 0) return res.json({ interview: current });
+    const interview = await getInterviewById(current.id);
 
-// Helper to parse boolean-like values
-const Boolish = z.preprocess((v) => {
-  if (v === undefined) return undefined;
-  const s = String(v).toLowerCase();
-  if (s === 'true' || s === '1' || s === 'yes') return true;
-  if (s === 'false' || s === '0' || s === 'no') return false;
-  return v;
-}, z.boolean().optional());
+    if (interview.status === 'CANCELLED' && current.status !== 'CANCELLED') {
+      notifyCandidateOfInterview(detail, interview, {
+        title: 'Interview cancelled',
+        message: `Your interview for ${detail.job.title} has been cancelled.`,
+      });
+    } else if (interview.status !== 'COMPLETED') {
+      notifyCandidateOfInterview(detail, interview, {
+        title: rescheduled ? 'Interview rescheduled' : 'Interview updated',
+        message: rescheduled
+          ? `Your interview for ${detail.job.title} has been moved to ${patch.scheduled_at.toISOString()}.`
+          : `The details of your interview for ${detail.job.title} have been updated.`,
+      });
+    }
+    return res.json({ interview });
+  } catch (err) {
+    console.error('recruiter patch interview error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+router.delete('/applications/:id/interviews/:interviewId', requireRecruiter, requireScope('applications:write'), companyApplication('applications:write'), async (req, res) => {
+  try {
+    const detail = req.resource;
+    const interview = await loadInterview(req, res, detail);
+    if (!interview) return;
+    await deleteInterview(interview.id);
+    if (['SCHEDULED', 'CONFIRMED'].includes(interview.status)) {
+      notifyCandidateOfInterview(detail, { ...interview, status: 'CANCELLED' }, {
+        title: 'Interview cancelled',
+        message: `Your interview for ${detail.job.title} has been cancelled.`,
+      });
+    }
+    return res.status(204).end();
+  } catch (err) {
+    console.error('recruiter delete interview error', err);
+    return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+  }
+});
+
+// ---- Notifications (Recruiter) ----
 
 // List notifications for current recruiter
-router.get('/notifications', requireRecruiter, async (req, res) => {
+router.get('/notifications', requireRecruiter, requireScope('notifications:read'), async (req, res) => {
   try {
     const Query = z.object({
       unread_only: Boolish,
@@ -314,14 +485,9 @@ router.get('/notifications', requireRecruiter, async (req, res) => {
 });
 
 // View a notification
-router.get('/notifications/:id', requireRecruiter, async (req, res) => {
+router.get('/notifications/:id', requireRecruiter, requireScope('notifications:read'), ownNotification, async (req, res) => {
   try {
-    const id = Number(req.params.id);
-    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'InvalidId' });
-    const notification = await getNotificationById(id);
-    if (!notification) return res.status(404).json({ error: 'NotFound' });
-    if (notification.user_id !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
-    return res.json({ notification });
+    return res.json({ notification: req.resource });
   } catch (err) {
     console.error('recruiter get notification error', err);
     return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
@@ -329,15 +495,10 @@ router.get('/notifications/:id', requireRecruiter, async (req, res) => {
 });
 
 // Mark as read
-router.post('/notifications/:id/read', requireRecruiter, async (req, res) => {
+router.post('/notifications/:id/read', requireRecruiter, requireScope('notifications:write'), ownNotification, async (req, res) => {
   try {
-    const id = Number(req.params.id);
-    if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'InvalidId' });
-    const notification = await getNotificationById(id);
-    if (!notification) return res.status(404).json({ error: 'NotFound' });
-    if (notification.user_id !== req.user.id) return res.status(403).json({ error: 'Forbidden' });
-    await markNotificationRead(id);
-    const updated = await getNotificationById(id);
+    await markNotificationRead(req.resource.id);
+    const updated = await getNotificationById(req.resource.id);
     return res.json({ notification: updated });
   } catch (err) {
     console.error('recruiter mark notification read error', err);
@@ -7,13 +7,32 @@ import authRouter from './routes/auth.js';
 import jobsRouter from './routes/jobs.js';
 import candidateRouter from './routes/candidate.js';
 import recruiterRouter from './routes/recruiter.js';
+import calendarRouter from './routes/calendar.js';
+import companiesRouter from './routes/companies.js';
+import apiKeysRouter from './routes/apiKeys.js';
+import adminRouter from './routes/admin.js';
+import { authenticate } from './utils/auth.js';
+import { startAccountDeletionSweeper } from './utils/accountDeletion.js';
+import { startRetentionSweeper } from './utils/retention.js';
+import { migrateUp, assertSchemaCurrent } from './utils/migrations.js';
+import { assertAppBaseUrl } from './utils/appUrl.js';
+import { assertMailTransport } from './utils/mailer.js';
 
 const app = express();
 
+// Behind a reverse proxy set TRUST_PROXY (e.g. 1) so req.ip is the client address (session list)
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trust) ? Number(trust) : trust === 'true' ? true : trust);
+}
+
 // CORS + JSON + Cookies
 app.use(cors({ origin: true, credentials: true }));
 app.use(express.json({ limit: '1mb' }));
 app.use(cookieParser());
+// Resolve the bearer credential (access token, impersonation token or API key) into req.user;
+// suspended accounts are refused on every route, the routers' guards do the rest
+app.use(authenticate);
 
 // Serve frontend (SPA) from /web
 app.use(express.static('web'));
@@ -26,8 +45,12 @@ app.get('/health', (_req, res) => res.json({ ok: true }));
 app.use('/auth', authRouter);
 // New mounts for role-specific paths
 app.use('/recruiter/jobs', jobsRouter); // alias for recruiter management
+app.use('/recruiter/companies', companiesRouter); // companies, members and invitations
+app.use('/recruiter/api-keys', apiKeysRouter); // recruiter API keys for integrations
 app.use('/recruiter', recruiterRouter); // recruiter profiles (public/private)
 app.use('/candidate', candidateRouter); // public candidate endpoints
+app.use('/calendar', calendarRouter); // interview calendar feeds (.ics)
+app.use('/admin', adminRouter); // platform administration and moderation (Admin auth)
 
 // Error handler
 // eslint-disable-next-line no-unused-vars
@@ -40,15 +63,28 @@ app.use((err, _req, res, _next) => {
 const PORT = Number(process.env.PORT || 3000);
 
 async function start() {
+  // Email links carry live tokens and must not be built from the request's Host header
+  assertAppBaseUrl();
+  // Password resets, magic links and verification emails must actually be delivered
+  assertMailTransport();
   const DB_OPTIONAL = String(process.env.DB_OPTIONAL || 'false') === 'true';
   const SKIP_DB = String(process.env.SKIP_DB || 'false') === 'true';
+  const MIGRATE_ON_START = String(process.env.MIGRATE_ON_START || 'false') === 'true';
   if (SKIP_DB) {
     console.warn('[startup] SKIP_DB=true - skipping database initialization');
   } else {
     try {
       await initDB();
+      if (MIGRATE_ON_START) await migrateUp();
+      // Never serve on a schema the code doesn't expect (pending, edited or unknown migrations)
+      await assertSchemaCurrent();
+      // Anonymize accounts whose deletion grace period has ended (DELETE /auth/me)
+      startAccountDeletionSweeper();
+      // Anonymize applications and notifications past their retention period (utils/retention.js)
+      startRetentionSweeper();
     } catch (e) {
-      if (DB_OPTIONAL) {
+      // DB_OPTIONAL covers an unreachable database, not a reachable one with the wrong schema
+      if (DB_OPTIONAL && e?.code !== 'SCHEMA_OUT_OF_DATE') {
         console.warn('[startup] DB not available. Continuing because DB_OPTIONAL=true. Reason:', e?.message || e);
       } else {
         throw e;
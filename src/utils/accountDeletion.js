@@ -0,0 +1,89 @@
+// Account deletion (DELETE /auth/me) and personal data export (GET /auth/me/export).
+// Deletion is scheduled ACCOUNT_DELETION_GRACE_DAYS ahead so it can be cancelled; a sweeper in
+// each server process anonymizes accounts whose grace period has ended (db.anonymizeUser) and
+// removes their uploaded avatar files.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { listAccountsDueForDeletion, anonymizeUser } from '../db.js';
+import { hashPassword } from './password.js';
+
+export const ACCOUNT_DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS || 30);
+const ACCOUNT_DELETION_SWEEP_MINUTES = Number(process.env.ACCOUNT_DELETION_SWEEP_MINUTES || 60);
+
+// Same directory as the upload route in routes/candidate.js; files are named `<user id>-<timestamp>.<ext>`
+const AVATARS_DIR = path.join(process.cwd(), 'web', 'uploads', 'avatars');
+
+const CONTENT_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.webp': 'image/webp' };
+
+export function deletionDate(from = new Date()) {
+  return new Date(from.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+}
+
+async function listAvatarFiles(user_id) {
+  let names;
+  try {
+    names = await fs.readdir(AVATARS_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  return names.filter((name) => name.startsWith(`${user_id}-`));
+}
+
+// Every avatar the user uploaded (current and replaced ones), base64-encoded for the export archive
+export async function readAvatarFiles(user_id) {
+  const files = [];
+  for (const name of await listAvatarFiles(user_id)) {
+    const data = await fs.readFile(path.join(AVATARS_DIR, name));
+    files.push({
+      path: `/uploads/avatars/${name}`,
+      content_type: CONTENT_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream',
+      size: data.length,
+      data_base64: data.toString('base64'),
+    });
+  }
+  return files;
+}
+
+async function removeAvatarFiles(user_id) {
+  for (const name of await listAvatarFiles(user_id)) {
+    await fs.rm(path.join(AVATARS_DIR, name), { force: true });
+  }
+}
+
+// Anonymize one account now; false if it was already deleted
+export async function purgeAccount(user_id) {
+  const password_hash = await hashPassword(crypto.randomBytes(32).toString('hex'));
+  const result = await anonymizeUser(user_id, { password_hash });
+  if (!result) return false;
+  await removeAvatarFiles(user_id);
+  return true;
+}
+
+// Anonymize every account whose grace period has ended; returns how many were purged
+export async function purgeDueAccounts() {
+  let purged = 0;
+  for (const id of await listAccountsDueForDeletion()) {
+    try {
+      if (await purgeAccount(id)) purged += 1;
+    } catch (err) {
+      console.error('account purge error', id, err);
+    }
+  }
+  return purged;
+}
+
+export function startAccountDeletionSweeper() {
+  const run = () => {
+    purgeDueAccounts()
+      .then((count) => {
+        if (count) console.log(`[accounts] anonymized ${count} deleted account(s)`);
+      })
+      .catch((err) => console.error('account deletion sweep error', err));
+  };
+  run();
+  const timer = setInterval(run, ACCOUNT_DELETION_SWEEP_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
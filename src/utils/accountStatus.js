@@ -0,0 +1,10 @@
+// Account suspension (set by admins, see routes/admin.js). Suspended users can't sign in
+// (routes/auth.js), and credentials issued before the suspension stop working right away
+// (checked for every request in utils/auth.js).
+
+export function accountSuspendedBody() {
+  return { error: 'AccountSuspended', message: 'This account has been suspended' };
+}
+
+export const isSuspended = (user) => !!user?.suspended_at;
+
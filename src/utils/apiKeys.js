@@ -0,0 +1,44 @@
+// Recruiter API keys for server-to-server integrations (ATS sync scripts, ...).
+// A key looks like `hhr_<prefix>_<secret>` and is sent as `Authorization: Bearer <key>` to the
+// recruiter routes (jobs.js, recruiter.js). It acts as the recruiter who created it, but only for
+// the routes its scopes cover (requireRole/requireScope in utils/auth.js); only the SHA-256 hash is stored.
+// Keys are per user: there are no company-owned keys, so company access always follows the owner's
+// current membership roles.
+import crypto from 'crypto';
+import { getActiveApiKeyByHash, touchApiKey } from '../db.js';
+
+export const API_KEY_PREFIX = 'hhr_';
+
+// Scopes are independent: `jobs:write` does not include `jobs:read`
+export const API_KEY_SCOPES = [
+  'jobs:read',
+  'jobs:write',
+  'applications:read',
+  'applications:write',
+  'profile:read',
+  'profile:write',
+  'notifications:read',
+  'notifications:write',
+];
+
+export const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// New key; `key` is shown to the user once, `prefix` identifies it in listings
+export function generateApiKey() {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `${API_KEY_PREFIX}${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix: `${API_KEY_PREFIX}${prefix}`, key_hash: hashApiKey(key) };
+}
+
+/**
+ * Resolve a presented key to { id, user_id, scopes, role, suspended_at } (the owner's account
+ * state, checked by utils/auth.js), recording its use. Null for unknown, revoked or expired keys.
+ */
+export async function authenticateApiKey(key, req) {
+  const row = await getActiveApiKeyByHash(hashApiKey(key));
+  if (!row) return null;
+  touchApiKey(row.id, req.ip).catch((e) => console.error('api key touch error', e));
+  return { id: row.id, user_id: row.user_id, scopes: row.scopes || [], role: row.role, suspended_at: row.suspended_at };
+}
@@ -0,0 +1,34 @@
+// Links to the frontend in emails (email verification, password reset, magic links, company
+// invitations). They carry live tokens, so their origin is never taken from the request's Host
+// header, which a caller can forge to have a victim's token mailed out pointing at their own site.
+// APP_BASE_URL is required outside development (checked at startup by assertAppBaseUrl); in
+// development it defaults to this server on localhost.
+export const IS_DEVELOPMENT = ['development', 'test'].includes(process.env.NODE_ENV);
+
+const APP_BASE_URL = (process.env.APP_BASE_URL || '').replace(/\/$/, '');
+
+// Throws unless email links have a configured, absolute http(s) origin
+export function assertAppBaseUrl() {
+  if (!APP_BASE_URL) {
+    if (IS_DEVELOPMENT) return;
+    throw new Error('APP_BASE_URL must be set (frontend origin for links in emails); set NODE_ENV=development for local defaults');
+  }
+  let url;
+  try {
+    url = new URL(APP_BASE_URL);
+  } catch {
+    throw new Error(`APP_BASE_URL is not a valid URL: ${APP_BASE_URL}`);
+  }
+  if (!/^https?:$/.test(url.protocol)) throw new Error(`APP_BASE_URL must be an http(s) URL: ${APP_BASE_URL}`);
+}
+
+export function appBaseUrl() {
+  return APP_BASE_URL || `http://localhost:${Number(process.env.PORT || 3000)}`;
+}
+
+// Absolute frontend URL for `pathname` with `params` as the query string
+export function appUrl(pathname, params = {}) {
+  const url = new URL(`${appBaseUrl()}${pathname}`);
+  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+  return url.toString();
+}
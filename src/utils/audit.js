@@ -0,0 +1,21 @@
+// Audit trail (audit_log): admin actions and every request made while impersonating.
+// Writes are fire-and-forget so auditing never fails the request it describes.
+import { createAuditLogEntry } from '../db.js';
+
+/**
+ * Record `action` by the signed-in actor (req.user unless `actor_id` is given).
+ * extra: { actor_id?, subject_user_id?, status_code?, details? }
+ */
+export function audit(req, action, extra = {}) {
+  createAuditLogEntry({
+    actor_id: extra.actor_id ?? req.user?.id,
+    subject_user_id: extra.subject_user_id,
+    action,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    status_code: extra.status_code,
+    ip: req.ip,
+    user_agent: req.get('user-agent'),
+    details: extra.details,
+  }).catch((e) => console.error('audit log error', action, e));
+}
@@ -0,0 +1,166 @@
+// Request authentication and route guards shared by all routers.
+//
+// `authenticate` runs app-wide (server.js) and resolves the bearer credential once per request:
+// - an access token (JWT),
+// - an admin impersonation token (access token with an `act` claim, see utils/impersonation.js),
+// - a recruiter API key (`hhr_...`, see utils/apiKeys.js).
+// It loads the account's current state, so deleted accounts and stale roles are caught here and
+// suspended accounts get 403 AccountSuspended on every route. The result is `req.user`
+// ({ id, role, sid, apiKey, impersonator }) or null; invalid credentials are left to the guards,
+// so public routes keep working with a stale token.
+import { getUserAccountStatus } from '../db.js';
+import { verifyAccessToken } from './jwt.js';
+import { isApiKey, authenticateApiKey } from './apiKeys.js';
+import { isSuspended, accountSuspendedBody } from './accountStatus.js';
+import { isActiveImpersonator, isBlockedWhileImpersonating, auditImpersonatedRequest } from './impersonation.js';
+
+const UNAUTHORIZED = { error: 'Unauthorized' };
+const INVALID_API_KEY = { error: 'InvalidApiKey', message: 'API key is invalid, expired or revoked' };
+const IMPERSONATION_FORBIDDEN = { error: 'ImpersonationForbidden', message: 'Not allowed while impersonating a user' };
+
+export function parseBearer(req) {
+  const auth = req.headers['authorization'];
+  if (!auth || !auth.startsWith('Bearer ')) return null;
+  return auth.slice('Bearer '.length);
+}
+
+// Where authenticate gets account state from; createAuthenticate() takes replacements (tests)
+const DEFAULT_SOURCES = {
+  loadAccount: getUserAccountStatus,
+  loadApiKey: authenticateApiKey,
+  isImpersonator: isActiveImpersonator,
+  auditImpersonation: auditImpersonatedRequest,
+};
+
+// { user } for a usable API key, else { error } (the 401 body)
+async function resolveApiKey(token, req, sources) {
+  const apiKey = await sources.loadApiKey(token, req);
+  // Keys only act for recruiters; one left behind by a role change stops working
+  if (!apiKey || apiKey.role !== 'RECRUITER') return { error: INVALID_API_KEY };
+  return {
+    user: { id: apiKey.user_id, role: apiKey.role, sid: null, apiKey: { id: apiKey.id, scopes: apiKey.scopes }, impersonator: null },
+    account: apiKey,
+  };
+}
+
+// { user, account } for a valid access token whose account (and impersonating admin) still exists, else { error }
+async function resolveAccessToken(token, sources) {
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch (_e) {
+    return { error: UNAUTHORIZED };
+  }
+  const id = Number(payload.sub);
+  const account = await sources.loadAccount(id);
+  // Anonymized accounts (utils/accountDeletion.js) keep their row but can't be used
+  if (!account || account.deleted_at) return { error: UNAUTHORIZED };
+  let impersonator = null;
+  if (payload.act) {
+    const actorId = Number(payload.act.sub);
+    if (!(await sources.isImpersonator(actorId))) return { error: UNAUTHORIZED };
+    impersonator = { id: actorId };
+  }
+  // The role comes from the account, not the token, so role changes apply right away
+  return {
+    user: { id, role: account.role, sid: payload.sid ? Number(payload.sid) : null, apiKey: null, impersonator },
+    account,
+  };
+}
+
+/**
+ * App-wide middleware: sets req.user (null when there is no usable credential, with the 401 body
+ * for the guards in req.authError). Rejects suspended accounts and actions blocked while impersonating.
+ * `sources` overrides how accounts, API keys and impersonators are looked up (see DEFAULT_SOURCES).
+ */
+export function createAuthenticate(sources = {}) {
+  const lookup = { ...DEFAULT_SOURCES, ...sources };
+  return async function authenticate(req, res, next) {
+    req.user = null;
+    req.authError = null;
+    const token = parseBearer(req);
+    if (!token) return next();
+    try {
+      const { user, account, error } = isApiKey(token)
+        ? await resolveApiKey(token, req, lookup)
+        : await resolveAccessToken(token, lookup);
+      if (error) {
+        req.authError = error;
+        return next();
+      }
+      if (isSuspended(account)) return res.status(403).json(accountSuspendedBody());
+      req.user = user;
+      if (user.impersonator) {
+        lookup.auditImpersonation(req, res, user.impersonator.id, user.id);
+        if (isBlockedWhileImpersonating(req.method, req.path)) {
+          return res.status(403).json(IMPERSONATION_FORBIDDEN);
+        }
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+export const authenticate = createAuthenticate();
+
+/**
+ * Guard: a signed-in user with one of `roles` (any role when empty).
+ * API keys are only accepted where `apiKey: true`; combine with requireScope on those routes.
+ */
+export function requireRole(roles = [], { apiKey = false } = {}) {
+  const allowed = Array.isArray(roles) ? roles : [roles];
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json(req.authError || UNAUTHORIZED);
+    if (req.user.apiKey && !apiKey) return res.status(401).json(UNAUTHORIZED);
+    if (allowed.length && !allowed.includes(req.user.role)) return res.status(403).json({ error: 'Forbidden' });
+    return next();
+  };
+}
+
+// Any signed-in user (session or impersonation token, not an API key)
+export const requireUser = requireRole();
+
+// Guard after requireRole: API-key requests need `scope`; signed-in users always pass
+export function requireScope(scope) {
+  return (req, res, next) => {
+    const apiKey = req.user?.apiKey;
+    if (apiKey && !apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ error: 'InsufficientScope', message: `API key lacks the ${scope} scope`, scope });
+    }
+    return next();
+  };
+}
+
+// Guard for account security actions (credentials, MFA, sessions, API keys, feeds, deletion) that an
+// impersonating admin must not take on the user's behalf; backs up the path list in utils/impersonation.js
+export function forbidWhileImpersonating(req, res, next) {
+  if (req.user?.impersonator) return res.status(403).json(IMPERSONATION_FORBIDDEN);
+  return next();
+}
+
+const ownedByUser = (resource, user) => resource.user_id === user.id;
+
+/**
+ * Guard after requireRole: loads the resource named by req.params[param] with `loadResource(id, req)`
+ * and checks `isOwner(resource, req.user)` (may be async, e.g. company membership; defaults to
+ * `resource.user_id === user.id`). Answers 400 InvalidId, 404 NotFound or 403 Forbidden, and
+ * otherwise puts the resource on req.resource.
+ */
+export function requireOwnership(loadResource, { param = 'id', isOwner = ownedByUser } = {}) {
+  return async (req, res, next) => {
+    try {
+      const id = Number(req.params[param]);
+      if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'InvalidId' });
+      const resource = await loadResource(id, req);
+      if (!resource) return res.status(404).json({ error: 'NotFound' });
+      if (!(await isOwner(resource, req.user))) return res.status(403).json({ error: 'Forbidden' });
+      req.resource = resource;
+      return next();
+    } catch (err) {
+      console.error('ownership check error', err);
+      return res.status(500).json({ error: 'ServerError', message: 'Unexpected error' });
+    }
+  };
+}
@@ -0,0 +1,101 @@
+// Company tenancy: member roles, what each role may do, and job access checks.
+//
+//   OWNER      everything, including promoting to / demoting from OWNER
+//   ADMIN      manage the company profile, members and invitations (except owners)
+//   RECRUITER  create and run jobs, applications, interviews and availability
+//   VIEWER     read-only access to the company's jobs and applications
+import { getCompanyMember, ensureDefaultCompany, getCompanyById, listCompanyMemberIds } from '../db.js';
+
+export const COMPANY_ROLES = ['OWNER', 'ADMIN', 'RECRUITER', 'VIEWER'];
+
+const ROLE_RANK = { VIEWER: 1, RECRUITER: 2, ADMIN: 3, OWNER: 4 };
+
+// Permission -> lowest role that has it
+const PERMISSIONS = {
+  'company:read': 'VIEWER',
+  'jobs:read': 'VIEWER',
+  'applications:read': 'VIEWER',
+  'jobs:write': 'RECRUITER',
+  'applications:write': 'RECRUITER',
+  'company:update': 'ADMIN',
+  'members:manage': 'ADMIN',
+};
+
+export function roleCan(role, permission) {
+  const needed = PERMISSIONS[permission];
+  if (!needed) throw new Error(`Unknown company permission: ${permission}`);
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[needed];
+}
+
+export function roleAtLeast(role, other) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[other];
+}
+
+// Roles that have `permission`
+export function rolesWith(permission) {
+  return COMPANY_ROLES.filter((role) => roleCan(role, permission));
+}
+
+// The user's role in the company, or null when not a member
+export async function companyRoleFor(company_id, user_id) {
+  if (!company_id) return null;
+  const member = await getCompanyMember(company_id, user_id);
+  return member ? member.role : null;
+}
+
+/**
+ * Whether the user may act on the job with `permission` ('jobs:read', 'jobs:write',
+ * 'applications:read', 'applications:write'). Jobs not yet moved into a company
+ * stay with the recruiter who created them.
+ */
+export async function canAccessJob(user_id, job, permission) {
+  if (!job) return false;
+  if (!job.company_id) return job.recruiter_id === user_id;
+  const role = await companyRoleFor(job.company_id, user_id);
+  return !!role && roleCan(role, permission);
+}
+
+/**
+ * The recruiter whose calendar a job's interviews go into: the job's recruiter while they can
+ * still run the company's jobs, otherwise null. Jobs outside a company keep their recruiter.
+ */
+export async function jobSchedulingRecruiterId(job) {
+  if (!job?.recruiter_id) return null;
+  if (!job.company_id) return job.recruiter_id;
+  const role = await companyRoleFor(job.company_id, job.recruiter_id);
+  return role && roleCan(role, 'jobs:write') ? job.recruiter_id : null;
+}
+
+/**
+ * Who gets notified about a job's applications and interviews: the scheduling recruiter, or when
+ * there is none every member who can run the company's jobs. Never someone who left the company.
+ */
+export async function jobNotificationRecipients(job) {
+  const recruiter_id = await jobSchedulingRecruiterId(job);
+  if (recruiter_id) return [recruiter_id];
+  if (!job?.company_id) return [];
+  return listCompanyMemberIds(job.company_id, rolesWith('jobs:write'));
+}
+
+/**
+ * Pick the company a new job is created in. With `company_id` the user must be allowed to
+ * post there; without it, their only company is used (created on first use).
+ * Returns { company } or { status, body } to send.
+ */
+export async function resolveJobCompany(user_id, company_id) {
+  if (company_id) {
+    const role = await companyRoleFor(company_id, user_id);
+    if (!role || !roleCan(role, 'jobs:write')) {
+      return { status: 403, body: { error: 'Forbidden', message: 'You cannot post jobs for this company' } };
+    }
+    return { company: await getCompanyById(company_id) };
+  }
+  const company = await ensureDefaultCompany(user_id);
+  if (!company) {
+    return {
+      status: 400,
+      body: { error: 'CompanyRequired', message: 'You belong to several companies; pass company_id' },
+    };
+  }
+  return { company };
+}
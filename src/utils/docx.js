@@ -0,0 +1,19 @@
+// Word (.docx) -> text. mammoth is loaded lazily, like pdf-parse, only when a .docx is imported.
+export async function docxToText(buffer) {
+  let mammoth;
+  try {
+    const mod = await import('mammoth');
+    mammoth = mod.default || mod;
+  } catch (e) {
+    console.error('Failed to load mammoth', e);
+    const err = new Error('DocxParseImportError');
+    err.cause = e;
+    throw err;
+  }
+  try {
+    const { value } = await mammoth.extractRawText({ buffer });
+    return value;
+  } catch (e) {
+    throw Object.assign(new Error('UnreadableDocx'), { status: 422, cause: e });
+  }
+}
@@ -0,0 +1,44 @@
+// Email verification policy. EMAIL_VERIFICATION_REQUIRED_FOR lists the actions that need a
+// verified address: `publish` (recruiters publishing/reopening jobs) and `apply` (candidates
+// applying). Set it to an empty value to disable the checks. Unset, both are required only when
+// the verification email can reach the user: with a delivering mail transport, or in development
+// (the console transport prints the link); otherwise new accounts could never publish or apply.
+import { getUserById } from '../db.js';
+import { IS_DEVELOPMENT } from './appUrl.js';
+import { mailDelivers } from './mailer.js';
+
+let requiredFor;
+
+// Resolved on first use, once every mail transport is registered
+function requiredActions() {
+  if (!requiredFor) {
+    const configured = process.env.EMAIL_VERIFICATION_REQUIRED_FOR ?? (mailDelivers() || IS_DEVELOPMENT ? 'publish,apply' : '');
+    requiredFor = new Set(
+      configured
+        .split(',')
+        .map((s) => s.trim().toLowerCase())
+        .filter(Boolean)
+    );
+  }
+  return requiredFor;
+}
+
+export function verificationRequiredFor(action) {
+  return requiredActions().has(action);
+}
+
+// true when the policy allows `action` for this user
+export async function hasVerifiedEmailFor(action, userId) {
+  if (!verificationRequiredFor(action)) return true;
+  const user = await getUserById(userId);
+  return !!user?.email_verified_at;
+}
+
+const ACTION_LABELS = { publish: 'publish jobs', apply: 'apply to jobs' };
+
+export function emailNotVerifiedBody(action) {
+  return {
+    error: 'EmailNotVerified',
+    message: `Verify your email address to ${ACTION_LABELS[action] || action}`,
+  };
+}
@@ -0,0 +1,92 @@
+// Minimal HTML -> text conversion for job descriptions pasted from career sites.
+// Block elements become line breaks and list items become bullets, so the
+// line/section heuristics in jobExtract.js see the same shape as a PDF.
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  bull: '•',
+  hellip: '…',
+  rsquo: '’',
+  lsquo: '‘',
+  rdquo: '”',
+  ldquo: '“',
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+    if (code[0] === '#') {
+      const n = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : m;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? m;
+  });
+}
+
+// Non-content elements, dropped with everything up to their closing tag
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'head']);
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'ul', 'ol', 'table', 'tr', 'dl', 'dt', 'dd', 'blockquote', 'pre', 'hr',
+]);
+const TAG_NAME = /^(\/?)([a-z][a-z0-9]*)/i;
+
+// Text that replaces a tag: list items become bullet lines, line breaks and block boundaries
+// newlines, table cells spaces; any other tag is inline formatting and disappears
+function tagReplacement(closing, name) {
+  if (name === 'li') return closing ? '' : '\n• ';
+  if (name === 'br' || BLOCK_TAGS.has(name)) return '\n';
+  if (name === 'td' || name === 'th') return ' ';
+  return '';
+}
+
+// Single left-to-right pass (regexes over unclosed tags go quadratic on hostile input).
+// A `<` without a later `>` is kept as text; an unclosed comment or script drops the rest.
+function stripTags(html) {
+  let text = '';
+  let i = 0;
+  while (i < html.length) {
+    const open = html.indexOf('<', i);
+    if (open === -1) break;
+    text += html.slice(i, open);
+    if (html.startsWith('<!--', open)) {
+      const end = html.indexOf('-->', open + 4);
+      if (end === -1) return text;
+      i = end + 3;
+      continue;
+    }
+    const close = html.indexOf('>', open + 1);
+    if (close === -1) {
+      i = open;
+      break;
+    }
+    i = close + 1;
+    const match = TAG_NAME.exec(html.slice(open + 1, close));
+    if (!match) continue;
+    const closing = match[1] === '/';
+    const name = match[2].toLowerCase();
+    if (!closing && SKIPPED_TAGS.has(name)) {
+      const end = new RegExp(`</${name}\\s*>`, 'gi');
+      end.lastIndex = i;
+      if (!end.exec(html)) return text;
+      i = end.lastIndex;
+      continue;
+    }
+    text += tagReplacement(closing, name);
+  }
+  return text + html.slice(i);
+}
+
+export function htmlToText(html) {
+  return decodeEntities(stripTags(String(html || '')))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,129 @@
+// RFC 5545 iCalendar generation for interviews (invites and per-user feeds).
+
+const PRODID = '-//HeyHR//Interviews//EN';
+const UID_DOMAIN = process.env.ICS_UID_DOMAIN || 'heyhr';
+
+// Stable per interview so reschedules update the existing calendar entry instead of duplicating it
+export function interviewUid(id) {
+  return `interview-${id}@${UID_DOMAIN}`;
+}
+
+// 20250830T090000Z
+function formatUtc(value) {
+  const d = value instanceof Date ? value : new Date(value);
+  return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// TEXT value escaping (RFC 5545 3.3.11)
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 3.1), never splitting a UTF-8 sequence
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const len = Buffer.byteLength(ch, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (size + len > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += ch;
+    size += len;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Parameter values cannot be backslash-escaped; quote them instead (RFC 5545 3.2)
+function paramValue(value) {
+  const v = String(value).replace(/"/g, "'").replace(/[\r\n]+/g, ' ');
+  return /[:;,]/.test(v) ? `"${v}"` : v;
+}
+
+const PARTSTAT = { CONFIRMED: 'ACCEPTED', DECLINED: 'DECLINED' };
+
+function attendee(email, name, { partstat = 'NEEDS-ACTION', role = 'REQ-PARTICIPANT' } = {}) {
+  const cn = name ? `;CN=${paramValue(name)}` : '';
+  return `ATTENDEE${cn};ROLE=${role};PARTSTAT=${partstat};RSVP=TRUE:mailto:${email}`;
+}
+
+/**
+ * Build the VEVENT lines for an interview.
+ * `interview` is a row from the interview calendar queries in db.js
+ * (interview columns plus job_title, company_name, candidate_*, recruiter_*).
+ */
+export function buildInterviewEvent(interview, { now = new Date(), includeNotes = false } = {}) {
+  const start = new Date(interview.scheduled_at);
+  const end = new Date(start.getTime() + Number(interview.duration_minutes || 0) * 60 * 1000);
+  const cancelled = interview.status === 'CANCELLED';
+  const candidateName = interview.candidate_name || interview.candidate_email;
+
+  const description = [
+    interview.company_name ? `${interview.job_title} at ${interview.company_name}` : interview.job_title,
+    candidateName ? `Candidate: ${candidateName}` : null,
+    interview.meeting_url ? `Join: ${interview.meeting_url}` : null,
+    includeNotes && interview.notes ? `Notes: ${interview.notes}` : null,
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${interviewUid(interview.id)}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SEQUENCE:${Number(interview.sequence || 0)}`,
+    `SUMMARY:${escapeText(`Interview: ${interview.job_title}${candidateName ? ` (${candidateName})` : ''}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+  ];
+  const location = interview.location || interview.meeting_url;
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (interview.meeting_url) lines.push(`URL:${interview.meeting_url}`);
+  if (interview.recruiter_email) {
+    const cn = interview.recruiter_name ? `;CN=${paramValue(interview.recruiter_name)}` : '';
+    lines.push(`ORGANIZER${cn}:mailto:${interview.recruiter_email}`);
+  }
+  if (interview.candidate_email) {
+    lines.push(attendee(interview.candidate_email, interview.candidate_name, { partstat: PARTSTAT[interview.status] || 'NEEDS-ACTION' }));
+  }
+  for (const person of interview.interviewers || []) {
+    if (person?.email) lines.push(attendee(person.email, person.name, { partstat: 'ACCEPTED' }));
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Wrap events into a VCALENDAR document (CRLF line endings, folded).
+ * method: 'REQUEST' | 'CANCEL' for invites; 'PUBLISH' for subscription feeds.
+ */
+export function buildCalendar({ method = 'PUBLISH', name, events = [] }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  for (const event of events) lines.push(...event);
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Single-interview invite: CANCEL once the interview is cancelled, REQUEST otherwise
+export function buildInterviewInvite(interview, opts) {
+  const method = interview.status === 'CANCELLED' ? 'CANCEL' : 'REQUEST';
+  return buildCalendar({ method, events: [buildInterviewEvent(interview, opts)] });
+}
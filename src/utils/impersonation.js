@@ -0,0 +1,43 @@
+// Admin impersonation (POST /admin/users/:id/impersonate). The token is a normal access token for
+// the target user with an `act` claim naming the admin, so every router treats the request as the
+// target's. utils/auth.js resolves these tokens and, with the helpers below, makes sure that:
+// - the admin is still an active ADMIN (otherwise the token stops working),
+// - account security actions are refused (403 ImpersonationForbidden): the routes carry the
+//   forbidWhileImpersonating guard, and authenticate also checks the paths below,
+// - every request is written to audit_log as `impersonation.request`.
+import { getUserAccountStatus } from '../db.js';
+import { audit } from './audit.js';
+
+// [method or null for any, path] the actor can't use on someone else's behalf.
+// Express matches routes case-insensitively, so the patterns must too.
+const BLOCKED_WHILE_IMPERSONATING = [
+  ['POST', /^\/auth\/change-password\/?$/i],
+  ['POST', /^\/auth\/change-email\/?$/i],
+  ['POST', /^\/auth\/mfa(\/|$)/i],
+  [null, /^\/auth\/identities\/[^/]+(\/link)?\/?$/i],
+  ['POST', /^\/auth\/sessions(\/|$)/i],
+  ['DELETE', /^\/auth\/sessions(\/|$)/i],
+  ['POST', /^\/recruiter\/api-keys\/?$/i],
+  ['POST', /^\/calendar\/feed\/?$/i],
+  ['DELETE', /^\/auth\/me\/?$/i],
+  [null, /^\/auth\/me\/(export|cancel-deletion)\/?$/i],
+  [null, /^\/admin(\/|$)/i],
+];
+
+export function isBlockedWhileImpersonating(method, path) {
+  const verb = String(method).toUpperCase();
+  return BLOCKED_WHILE_IMPERSONATING.some(([m, re]) => (!m || m === verb) && re.test(path));
+}
+
+// Impersonation tokens stop working once the admin is suspended or loses the role
+export async function isActiveImpersonator(actorId) {
+  const actor = await getUserAccountStatus(actorId);
+  return !!actor && actor.role === 'ADMIN' && !actor.suspended_at;
+}
+
+// Writes `impersonation.request` (method, path, status) once the response is sent
+export function auditImpersonatedRequest(req, res, actorId, subjectId) {
+  res.on('finish', () => {
+    audit(req, 'impersonation.request', { actor_id: actorId, subject_user_id: subjectId, status_code: res.statusCode });
+  });
+}
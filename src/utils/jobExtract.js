@@ -0,0 +1,275 @@
+// Format-agnostic job description extractor: heuristics over plain text lines.
+// Format front-ends (pdf.js, docx.js, html.js) only turn a file into text; see jobImport.js.
+
+// Helper: normalize text into trimmed non-empty lines
+function normalizeLines(text) {
+  return text
+    .replace(/\r/g, '\n')
+    .split('\n')
+    .map((l) => l.replace(/\u00A0/g, ' ').trim())
+    .filter((l) => l.length > 0);
+}
+
+// Confidence levels for how a value was found (0..1)
+const CONFIDENCE = {
+  INLINE: 0.9, // "Job Title: Foo"
+  SECTION: 0.8, // bullet list under a "Responsibilities" header
+  NEXT_LINE: 0.7, // "Job Title" header followed by the value on the next line
+  KEYWORD: 0.5, // keyword detected somewhere in the text (e.g. "full-time")
+  GUESS: 0.3, // positional heuristics (e.g. first line is probably the title)
+};
+
+// A hit records where a value came from: { value, confidence, line (1-based), text }
+function hit(lines, index, value, confidence) {
+  return { value, confidence, line: index + 1, text: lines[index] };
+}
+
+// Helper: find a value that appears on the same line as any header (e.g., "Job Title: ...")
+function getInlineValue(lines, headerRegexes) {
+  for (const rx of headerRegexes) {
+    const flags = rx.flags.replace('g', '');
+    const source = rx.source.replace(/^\^/, '');
+    const inline = new RegExp(`^(?:${source})\\s*[:\\-–]\\s*(.+)$`, flags);
+    for (let i = 0; i < lines.length; i++) {
+      const m = lines[i].match(inline);
+      if (m) return hit(lines, i, m[1].trim(), CONFIDENCE.INLINE);
+    }
+  }
+  return undefined;
+}
+
+// Helper: find a value that appears on the next line after a header-only line
+function getNextLineValue(lines, headerRegexes) {
+  for (let i = 0; i < lines.length; i++) {
+    for (const rx of headerRegexes) {
+      const m = lines[i].match(rx);
+      // Only bare headers ("Location" or "Location:"), not "Location close date: ..."
+      if (m && /^\s*:?\s*$/.test(lines[i].slice(m.index + m[0].length))) {
+        const next = lines[i + 1];
+        if (next && next.trim()) return hit(lines, i + 1, next.trim(), CONFIDENCE.NEXT_LINE);
+      }
+    }
+  }
+  return undefined;
+}
+
+// Helper: inline value first, then the line following a bare header
+function getLabeledValue(lines, headerRegexes) {
+  return getInlineValue(lines, headerRegexes) || getNextLineValue(lines, headerRegexes);
+}
+
+// Helper: find the first line matching a keyword regex (for values detected from free text)
+function findLine(lines, rx) {
+  const i = lines.findIndex((l) => rx.test(l));
+  return i >= 0 ? i : undefined;
+}
+
+function parseDateISO(s) {
+  // Accept YYYY-MM-DD or YYYY/MM/DD
+  const m = String(s).match(/(\d{4})[\/-](\d{2})[\/-](\d{2})/);
+  if (!m) return undefined;
+  const [_, y, mo, d] = m;
+  const iso = `${y}-${mo}-${d}`;
+  // Validate
+  const dt = new Date(iso);
+  if (Number.isNaN(dt.getTime())) return undefined;
+  return iso;
+}
+
+function parseInteger(str) {
+  if (!str) return undefined;
+  const m = String(str).replace(/[,\s]/g, '').match(/(\d{3,}|\d{1,2})(?:\.\d+)?/);
+  if (!m) return undefined;
+  const n = Number(m[1]);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+function parseDurationToMinutes(str) {
+  if (!str) return undefined;
+  const s = String(str);
+  const mHr = s.match(/(\d+(?:\.\d+)?)\s*(?:hours?|hrs?)\b/i);
+  const mMin = s.match(/(\d+(?:\.\d+)?)\s*(?:minutes?|mins?)\b/i);
+  if (mHr) return Math.round(Number(mHr[1]) * 60);
+  if (mMin) return Math.round(Number(mMin[1]));
+  return undefined;
+}
+
+// Apply a parser to a hit, keeping its provenance; drops the hit if parsing fails
+function mapHit(h, parse) {
+  if (!h) return undefined;
+  const value = parse(h.value);
+  return value === undefined ? undefined : { ...h, value };
+}
+
+function sectionRange(lines, startIndex) {
+  // Return [start, end) indices for a section starting at startIndex until next probable header
+  const headerLike = /^(?:[A-Z][A-Za-z\s]{0,60}|[A-Z\s]{2,60})(?:\:)?$/; // Simple heuristic
+  const labeledLike = /^[A-Z][A-Za-z\s]{0,40}:\s+\S/; // "Closing date: ..." starts a new field
+  let end = lines.length;
+  for (let i = startIndex + 1; i < lines.length; i++) {
+    const line = lines[i];
+    if (headerLike.test(line) || labeledLike.test(line) || /:\s*$/.test(line)) { // likely a new header
+      end = i;
+      break;
+    }
+  }
+  return [startIndex, end];
+}
+
+// Returns { body: string[], line } where line is the 1-based header line, or undefined
+function getSection(lines, headerRegexes) {
+  for (let i = 0; i < lines.length; i++) {
+    for (const rx of headerRegexes) {
+      if (rx.test(lines[i])) {
+        const [s, e] = sectionRange(lines, i);
+        // If the header line contains a trailing colon, drop it
+        const body = lines.slice(s + 1, e);
+        if (body.length === 0) return undefined;
+        return { body, line: i + 1, text: lines[i] };
+      }
+    }
+  }
+  return undefined;
+}
+
+function parseBulletList(sectionLines) {
+  if (!sectionLines || sectionLines.length === 0) return undefined;
+  const items = [];
+  for (const raw of sectionLines) {
+    const line = raw.replace(/^[-•*\d\)\(\s\.]+/, '').trim();
+    if (line.length > 0) items.push(line);
+  }
+  return items.length > 0 ? items : undefined;
+}
+
+function sectionHit(section, parse) {
+  if (!section) return undefined;
+  const value = parse(section.body);
+  if (value === undefined) return undefined;
+  return { value, confidence: CONFIDENCE.SECTION, line: section.line, text: section.text };
+}
+
+function guessTitle(lines) {
+  // Heuristic: first non-empty line with 2+ words and not a known header word
+  const blacklist = /^(?:job\s*title|company|company\s*name|location|job\s*type|salary|compensation|description|overview|responsibilities|requirements|qualifications)\b/i;
+  for (let i = 0; i < lines.length; i++) {
+    const l = lines[i];
+    if (!blacklist.test(l) && l.split(/\s+/).length >= 2) return hit(lines, i, l.replace(/\s+\|\s+.*$/, ''), CONFIDENCE.GUESS);
+  }
+  return undefined;
+}
+
+const JOB_TYPE_KEYWORDS = [
+  ['FULL_TIME', /FULL[\s-]?TIME/i],
+  ['PART_TIME', /PART[\s-]?TIME/i],
+  ['INTERNSHIP', /INTERNSHIP|INTERN\b/i],
+  ['CONTRACT', /CONTRACTOR?/i],
+  ['TEMPORARY', /TEMPORARY|TEMP\b/i],
+  ['FREELANCE', /FREELANCE/i],
+];
+
+// Map free text ("Full-time", "Contract") to the JobType enum
+function normalizeJobType(str) {
+  if (!str) return undefined;
+  for (const [type, rx] of JOB_TYPE_KEYWORDS) {
+    if (rx.test(str)) return type;
+  }
+  return undefined;
+}
+
+function detectJobType(lines) {
+  for (const [type, rx] of JOB_TYPE_KEYWORDS) {
+    const i = findLine(lines, rx);
+    if (i !== undefined) return hit(lines, i, type, CONFIDENCE.KEYWORD);
+  }
+  return undefined;
+}
+
+function detectRemote(lines) {
+  const remote = findLine(lines, /remote|hybrid|work\s*from\s*home/i);
+  if (remote !== undefined) return hit(lines, remote, true, CONFIDENCE.KEYWORD);
+  const onsite = findLine(lines, /onsite\s*only/i);
+  if (onsite !== undefined) return hit(lines, onsite, false, CONFIDENCE.KEYWORD);
+  return undefined;
+}
+
+function detectInternational(lines) {
+  const denied = findLine(lines, /international\s+applicants\s+not\s+(?:eligible|accepted)/i);
+  if (denied !== undefined) return hit(lines, denied, false, CONFIDENCE.KEYWORD);
+  const allowed = findLine(lines, /international\s+applicants|visa\s*sponsorship/i);
+  if (allowed !== undefined && !/not\s*eligible|not\s*accepted/i.test(lines[allowed])) {
+    return hit(lines, allowed, true, CONFIDENCE.KEYWORD);
+  }
+  return undefined;
+}
+
+function skillsHit(section) {
+  const defaultWeight = 50;
+  return sectionHit(section, (body) => {
+    const names = parseBulletList(body);
+    return names ? names.map((name) => ({ name, weight: defaultWeight })) : undefined;
+  });
+}
+
+/**
+ * Extract suggested job fields from plain text (any import format is converted to text first).
+ * Returns { suggested, fields, raw_text_preview } where `suggested` is a JobCreateSchema-compatible
+ * payload and `fields[key]` is { confidence, line, text } describing where each value came from.
+ */
+export function extractJobFieldsFromText(text) {
+  const lines = normalizeLines(String(text || ''));
+  const fullText = lines.join('\n');
+
+  const hits = {};
+
+  // Primitive fields
+  hits.title = getLabeledValue(lines, [/^job\s*title/i, /^position/i, /^role/i]) || guessTitle(lines);
+  hits.company_name = getLabeledValue(lines, [/^company(?:\s*name)?/i, /^employer/i]);
+  hits.location = getLabeledValue(lines, [/^location/i]);
+  hits.job_type = mapHit(getLabeledValue(lines, [/^job\s*type/i, /^employment\s*type/i]), normalizeJobType) || detectJobType(lines);
+  hits.salary = mapHit(getLabeledValue(lines, [/^salary/i, /^compensation/i, /^pay\b/i]), parseInteger);
+  hits.commencement_date = mapHit(getLabeledValue(lines, [/^start\s*date/i, /^commencement/i]), parseDateISO);
+  hits.interview_duration = mapHit(getLabeledValue(lines, [/^interview\s*duration/i]), parseDurationToMinutes);
+
+  // Dates (optional)
+  hits.application_start_date = mapHit(getInlineValue(lines, [/^application\s*start/i]), parseDateISO);
+  hits.application_end_date = mapHit(getInlineValue(lines, [/^application\s*end/i]), parseDateISO);
+  hits.position_close_date = mapHit(
+    getInlineValue(lines, [/^closing\s*date/i, /^application\s*deadline/i, /^close\s*date/i]),
+    parseDateISO
+  );
+
+  // Sections
+  hits.description = sectionHit(
+    getSection(lines, [/^description/i, /^overview/i, /^about\s+the\s+role/i]),
+    (body) => body.join('\n')
+  );
+  hits.responsibilities = sectionHit(getSection(lines, [/^responsibilities/i, /^duties/i, /^what\s+you\s+will\s+do/i]), parseBulletList);
+  hits.requirements = sectionHit(getSection(lines, [/^requirements/i, /^what\s+you\s+bring/i]), parseBulletList);
+  hits.qualifications = sectionHit(getSection(lines, [/^qualifications/i]), parseBulletList);
+  hits.benefits = sectionHit(getSection(lines, [/^benefits/i, /^perks/i, /^what\s+we\s+offer/i]), (body) => body.join('\n'));
+
+  // Skills (optional)
+  hits.skills_soft = skillsHit(getSection(lines, [/^soft\s*skills/i]));
+  hits.skills_technical = skillsHit(getSection(lines, [/^technical\s*skills|tech\s*skills/i]));
+  hits.skills_cognitive = skillsHit(getSection(lines, [/^cognitive\s*skills|analytical\s*skills/i]));
+
+  hits.remote_flexible = detectRemote(lines);
+  hits.allow_international = detectInternational(lines);
+
+  if (hits.description) {
+    const intro = hits.description.value.split(/\n{2,}/)[0]?.slice(0, 300);
+    if (intro) hits.intro = { ...hits.description, value: intro, confidence: CONFIDENCE.GUESS };
+  }
+
+  // Suggested payload compatible with JobCreateSchema (fields not found are omitted)
+  const suggested = { status: 'DRAFT' };
+  const fields = {};
+  for (const [key, h] of Object.entries(hits)) {
+    if (!h || h.value === undefined || h.value === '') continue;
+    suggested[key] = h.value;
+    fields[key] = { confidence: h.confidence, line: h.line, text: h.text };
+  }
+
+  return { suggested, fields, raw_text_preview: fullText.slice(0, 2000) };
+}
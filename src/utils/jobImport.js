@@ -0,0 +1,65 @@
+import path from 'path';
+import { extractJobFieldsFromText } from './jobExtract.js';
+import { pdfToText } from './pdf.js';
+import { docxToText } from './docx.js';
+import { htmlToText } from './html.js';
+
+// Text front-ends for job description import. Each format turns a buffer into plain
+// text; extraction itself is shared (jobExtract.js). Add a format with registerJobImportFormat().
+const formats = new Map();
+
+export function registerJobImportFormat(name, { mimetypes = [], extensions = [], toText }) {
+  formats.set(name, { name, mimetypes, extensions, toText });
+}
+
+registerJobImportFormat('pdf', {
+  mimetypes: ['application/pdf'],
+  extensions: ['.pdf'],
+  toText: pdfToText,
+});
+
+registerJobImportFormat('docx', {
+  mimetypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extensions: ['.docx'],
+  toText: docxToText,
+});
+
+registerJobImportFormat('html', {
+  mimetypes: ['text/html', 'application/xhtml+xml'],
+  extensions: ['.html', '.htm'],
+  toText: (buffer) => htmlToText(buffer.toString('utf8')),
+});
+
+registerJobImportFormat('txt', {
+  mimetypes: ['text/plain', 'text/markdown'],
+  extensions: ['.txt', '.text', '.md'],
+  toText: (buffer) => buffer.toString('utf8'),
+});
+
+export function listJobImportFormats() {
+  return Array.from(formats.keys());
+}
+
+// Pick a format by explicit name, then mimetype, then file extension
+export function detectJobImportFormat({ format, mimetype, originalname } = {}) {
+  if (format) return formats.get(String(format).toLowerCase()) || null;
+  const all = Array.from(formats.values());
+  const mime = String(mimetype || '').split(';')[0].trim().toLowerCase();
+  const byMime = all.find((f) => f.mimetypes.includes(mime));
+  if (byMime) return byMime;
+  const ext = path.extname(originalname || '').toLowerCase();
+  return all.find((f) => f.extensions.includes(ext)) || null;
+}
+
+/**
+ * Convert an uploaded/pasted job description to text and extract suggested job fields.
+ * Returns { format, suggested, fields, raw_text_preview }; throws { status: 415 } for unknown formats.
+ */
+export async function extractJobFieldsFromFile({ buffer, mimetype, originalname, format }) {
+  const handler = detectJobImportFormat({ format, mimetype, originalname });
+  if (!handler) {
+    throw Object.assign(new Error('UnsupportedMediaType'), { status: 415 });
+  }
+  const text = await handler.toText(buffer);
+  return { format: handler.name, ...extractJobFieldsFromText(text) };
+}
@@ -0,0 +1,67 @@
+// Job lifecycle: the single source of truth for which status changes are allowed.
+//
+//   DRAFT ──publish──> PUBLISHED ──close──> CLOSED ──archive──> ARCHIVED
+//     ^                  |   ^                 |
+//     └───unpublish──────┘   └─────reopen──────┘
+//
+// DRAFT can also be archived directly; ARCHIVED is terminal.
+//
+// With JOB_REVIEW_REQUIRED=true, publishing a draft moves it to PENDING_REVIEW instead;
+// only an admin approves it into PUBLISHED (or sends it back to DRAFT). A job an admin unpublished
+// (jobs.moderation_locked_at) always goes through review, whatever JOB_REVIEW_REQUIRED says.
+export const JOB_STATUSES = ['DRAFT', 'PENDING_REVIEW', 'PUBLISHED', 'CLOSED', 'ARCHIVED'];
+
+export const JOB_REVIEW_REQUIRED = String(process.env.JOB_REVIEW_REQUIRED || 'false') === 'true';
+
+export const JOB_STATUS_TRANSITIONS = {
+  DRAFT: ['PUBLISHED', 'PENDING_REVIEW', 'ARCHIVED'],
+  PENDING_REVIEW: ['PUBLISHED', 'DRAFT'],
+  PUBLISHED: ['DRAFT', 'CLOSED'],
+  CLOSED: ['PUBLISHED', 'ARCHIVED'],
+  ARCHIVED: [],
+};
+
+export function allowedJobTransitions(from) {
+  return JOB_STATUS_TRANSITIONS[from] || [];
+}
+
+export function canTransitionJob(from, to) {
+  return allowedJobTransitions(from).includes(to);
+}
+
+export const isModerationLocked = (job) => !!job?.moderation_locked_at;
+
+// Status a recruiter's request to publish `job` (currently in `from`) actually leads to
+export function publishTargetFor(from, job = null) {
+  return (JOB_REVIEW_REQUIRED || isModerationLocked(job)) && from === 'DRAFT' ? 'PENDING_REVIEW' : 'PUBLISHED';
+}
+
+// Transitions recruiters may make themselves on `job`: everything except admin approval,
+// PENDING_REVIEW only when the review queue is on (or the job was taken down), and never
+// straight back to PUBLISHED after a takedown
+export function recruiterCanTransitionJob(from, to, job = null) {
+  if (from === 'PENDING_REVIEW' && to === 'PUBLISHED') return false;
+  if (to === 'PENDING_REVIEW' && !JOB_REVIEW_REQUIRED && !isModerationLocked(job)) return false;
+  if (to === 'PUBLISHED' && isModerationLocked(job)) return false;
+  return canTransitionJob(from, to);
+}
+
+// 409 body for publishing a job a moderator took down
+export function moderationLockedBody(job) {
+  return {
+    error: 'ModerationLocked',
+    message: 'This job was unpublished by a moderator; submit it for review to publish it again',
+    reason: job.moderation_locked_reason || null,
+  };
+}
+
+// Standard 409 body for a rejected transition
+export function invalidTransitionBody(from, to) {
+  return {
+    error: 'InvalidTransition',
+    message: `Cannot change job status from ${from} to ${to}`,
+    from,
+    to,
+    allowed: allowedJobTransitions(from),
+  };
+}
@@ -4,18 +4,34 @@ const ACCESS_SECRET = process.env.JWT_SECRET || 'dev_access_secret_change_me';
 const REFRESH_SECRET = process.env.REFRESH_SECRET || 'dev_refresh_secret_change_me';
 const ACCESS_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
 const REFRESH_TTL = process.env.REFRESH_TOKEN_TTL || '7d';
+const EMAIL_SECRET = process.env.EMAIL_TOKEN_SECRET || ACCESS_SECRET;
+const EMAIL_VERIFICATION_TTL = process.env.EMAIL_VERIFICATION_TTL || '2d';
+const MFA_TOKEN_TTL = process.env.MFA_TOKEN_TTL || '5m';
+const IMPERSONATION_TOKEN_TTL = process.env.IMPERSONATION_TOKEN_TTL || '15m';
 
-export function signAccessToken({ sub, role }) {
-  return jwt.sign({ role, typ: 'access' }, ACCESS_SECRET, {
+// `sid` is the login session (user_sessions.id) the token was issued for, used by /auth/sessions
+export function signAccessToken({ sub, role, sid }) {
+  return jwt.sign({ role, typ: 'access', sid }, ACCESS_SECRET, {
     subject: String(sub),
     expiresIn: ACCESS_TTL,
   });
 }
 
-export function signRefreshToken({ sub, role }) {
-  return jwt.sign({ role, typ: 'refresh' }, REFRESH_SECRET, {
+// Access token for `sub` issued to the admin `act` (RFC 8693 actor claim): no session, not refreshable.
+// See utils/impersonation.js for what it may not do.
+export function signImpersonationToken({ sub, role, act }) {
+  return jwt.sign({ role, typ: 'access', act: { sub: String(act) } }, ACCESS_SECRET, {
+    subject: String(sub),
+    expiresIn: IMPERSONATION_TOKEN_TTL,
+  });
+}
+
+// `fam` groups all tokens of one login session; `jti` makes each token unique (see utils/refreshTokens.js)
+export function signRefreshToken({ sub, role, fam, jti }) {
+  return jwt.sign({ role, typ: 'refresh', fam }, REFRESH_SECRET, {
     subject: String(sub),
     expiresIn: REFRESH_TTL,
+    jwtid: jti,
   });
 }
 
@@ -31,6 +47,64 @@ export function verifyRefreshToken(token) {
   return payload;
 }
 
+// Email verification links carry the address they were sent to, so changing the email
+// again invalidates links sent for the previous address
+export function signEmailVerificationToken({ sub, email }) {
+  return jwt.sign({ email, typ: 'email_verify' }, EMAIL_SECRET, {
+    subject: String(sub),
+    expiresIn: EMAIL_VERIFICATION_TTL,
+  });
+}
+
+export function verifyEmailVerificationToken(token) {
+  const payload = jwt.verify(token, EMAIL_SECRET);
+  if (payload.typ !== 'email_verify') throw new Error('Invalid token type');
+  return payload;
+}
+
+// Short-lived token returned by /auth/login when a second factor is needed.
+// purpose: 'login' (verify a code, `cid` = challenge id) or 'setup' (enrol before first sign-in)
+export function signMfaToken({ sub, role, purpose, cid }) {
+  return jwt.sign({ role, typ: 'mfa', purpose, cid }, ACCESS_SECRET, {
+    subject: String(sub),
+    expiresIn: MFA_TOKEN_TTL,
+  });
+}
+
+export function verifyMfaToken(token) {
+  const payload = jwt.verify(token, ACCESS_SECRET);
+  if (payload.typ !== 'mfa') throw new Error('Invalid token type');
+  return payload;
+}
+
+// Authorises linking a provider identity to a signed-in user (see POST /auth/identities/:provider/link)
+export function signOAuthLinkToken({ sub, provider }) {
+  return jwt.sign({ typ: 'oauth_link', provider }, ACCESS_SECRET, {
+    subject: String(sub),
+    expiresIn: '10m',
+  });
+}
+
+export function verifyOAuthLinkToken(token) {
+  const payload = jwt.verify(token, ACCESS_SECRET);
+  if (payload.typ !== 'oauth_link') throw new Error('Invalid token type');
+  return payload;
+}
+
+// OAuth `state`: signed so the redirect target, role and link token can't be altered in transit.
+// n = nonce (also stored in a cookie), r = redirect_uri, role = role for new accounts, l = link token
+export function signOAuthState({ n, r, role, l }) {
+  return jwt.sign({ typ: 'oauth_state', n, r, role, ...(l ? { l } : {}) }, ACCESS_SECRET, {
+    expiresIn: '10m',
+  });
+}
+
+export function verifyOAuthState(token) {
+  const payload = jwt.verify(token, ACCESS_SECRET);
+  if (payload.typ !== 'oauth_state') throw new Error('Invalid token type');
+  return payload;
+}
+
 export const REFRESH_COOKIE_NAME = process.env.COOKIE_NAME || 'heyhr_refresh';
 
 export function refreshCookieOptions() {
@@ -0,0 +1,185 @@
+// Brute-force protection for password logins.
+//
+// Failed attempts are counted in sliding windows per client IP and per account (email):
+// - per IP: more than LOGIN_IP_MAX_FAILURES failures in the window -> 429 until the window slides
+// - per account: from LOGIN_DELAY_AFTER failures on, each attempt is delayed (doubling, capped);
+//   at LOGIN_LOCKOUT_THRESHOLD failures the account is locked for LOGIN_LOCKOUT_MINUTES and the
+//   owner is notified. Unknown emails are throttled the same way so responses don't reveal accounts.
+//
+// Counters live in a store: 'memory' (default, per process) or 'mysql' (shared by all PM2
+// instances), chosen with LOGIN_THROTTLE_STORE. Other stores can be added with registerThrottleStore().
+import crypto from 'crypto';
+import {
+  addThrottleEvent,
+  countThrottleEvents,
+  clearThrottleEvents,
+  pruneThrottleEvents,
+  setThrottleLock,
+  getThrottleLockRemaining,
+  deleteThrottleLock,
+} from '../db.js';
+
+const WINDOW_SECONDS = Number(process.env.LOGIN_WINDOW_MINUTES || 15) * 60;
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES || 50);
+const DELAY_AFTER = Number(process.env.LOGIN_DELAY_AFTER || 3);
+const MAX_DELAY_MS = Number(process.env.LOGIN_MAX_DELAY_MS || 8000);
+const LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 10);
+const LOCKOUT_SECONDS = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15) * 60;
+
+// -------------------- Stores --------------------
+// A store keeps timestamped failure events and lock expiries per key:
+//   hit(key), count(key, windowSeconds), clear(key), lock(key, seconds), lockRemaining(key) -> seconds, unlock(key)
+
+function createMemoryStore() {
+  const events = new Map();
+  const locks = new Map();
+  const prune = (key, windowSeconds) => {
+    const since = Date.now() - windowSeconds * 1000;
+    const list = (events.get(key) || []).filter((t) => t > since);
+    if (list.length) events.set(key, list);
+    else events.delete(key);
+    return list;
+  };
+  // Keep memory bounded: forget idle keys every few minutes
+  const sweep = setInterval(() => {
+    for (const key of events.keys()) prune(key, WINDOW_SECONDS);
+    for (const [key, until] of locks) if (until <= Date.now()) locks.delete(key);
+  }, 5 * 60 * 1000);
+  sweep.unref();
+  return {
+    async hit(key) {
+      const list = events.get(key) || [];
+      list.push(Date.now());
+      events.set(key, list);
+    },
+    async count(key, windowSeconds) {
+      return prune(key, windowSeconds).length;
+    },
+    async clear(key) {
+      events.delete(key);
+    },
+    async lock(key, seconds) {
+      locks.set(key, Date.now() + seconds * 1000);
+    },
+    async lockRemaining(key) {
+      const until = locks.get(key);
+      if (!until || until <= Date.now()) return 0;
+      return Math.ceil((until - Date.now()) / 1000);
+    },
+    async unlock(key) {
+      locks.delete(key);
+    },
+  };
+}
+
+function createMysqlStore() {
+  // Keys may contain emails; store only their hash
+  const h = (key) => crypto.createHash('sha256').update(key).digest('hex');
+  let lastPrune = 0;
+  return {
+    async hit(key) {
+      await addThrottleEvent(h(key));
+      if (Date.now() - lastPrune > 5 * 60 * 1000) {
+        lastPrune = Date.now();
+        pruneThrottleEvents(WINDOW_SECONDS).catch((e) => console.error('throttle prune error', e));
+      }
+    },
+    count: (key, windowSeconds) => countThrottleEvents(h(key), windowSeconds),
+    clear: (key) => clearThrottleEvents(h(key)),
+    lock: (key, seconds) => setThrottleLock(h(key), seconds),
+    lockRemaining: (key) => getThrottleLockRemaining(h(key)),
+    unlock: (key) => deleteThrottleLock(h(key)),
+  };
+}
+
+const storeFactories = new Map([
+  ['memory', createMemoryStore],
+  ['mysql', createMysqlStore],
+]);
+
+export function registerThrottleStore(name, factory) {
+  storeFactories.set(name, factory);
+}
+
+let store = null;
+function getStore() {
+  if (!store) {
+    const name = process.env.LOGIN_THROTTLE_STORE || 'memory';
+    const factory = storeFactories.get(name);
+    if (!factory) throw new Error(`Unknown login throttle store: ${name}`);
+    store = factory();
+  }
+  return store;
+}
+
+// -------------------- Policy --------------------
+
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+const accountKey = (email) => `account:${String(email || '').trim().toLowerCase()}`;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function delayFor(failures) {
+  if (failures < DELAY_AFTER) return 0;
+  return Math.min(250 * 2 ** (failures - DELAY_AFTER), MAX_DELAY_MS);
+}
+
+/**
+ * Call before checking the password (or magic link). Waits out the progressive delay, then returns
+ * null (go ahead) or { status, retryAfter, body } to send instead. Without an email only the IP is checked.
+ */
+export async function checkLoginAllowed({ ip, email }) {
+  const s = getStore();
+  const locked = email ? await s.lockRemaining(accountKey(email)) : 0;
+  if (locked > 0) {
+    return {
+      status: 423,
+      retryAfter: locked,
+      body: { error: 'AccountLocked', message: 'Too many failed sign-in attempts. Try again later.', retry_after: locked },
+    };
+  }
+  if ((await s.count(ipKey(ip), WINDOW_SECONDS)) >= IP_MAX_FAILURES) {
+    return {
+      status: 429,
+      retryAfter: WINDOW_SECONDS,
+      body: { error: 'TooManyAttempts', message: 'Too many failed sign-in attempts from this address', retry_after: WINDOW_SECONDS },
+    };
+  }
+  if (!email) return null;
+  const delay = delayFor(await s.count(accountKey(email), WINDOW_SECONDS));
+  if (delay) await sleep(delay);
+  return null;
+}
+
+/**
+ * Record a failed attempt. Returns true when this failure locked the account;
+ * the caller notifies the owner (if the account exists). Without an email
+ * (e.g. an unknown magic-link token) only the IP is charged.
+ */
+export async function recordLoginFailure({ ip, email }) {
+  const s = getStore();
+  await s.hit(ipKey(ip));
+  if (!email) return false;
+  await s.hit(accountKey(email));
+  const failures = await s.count(accountKey(email), WINDOW_SECONDS);
+  if (failures >= LOCKOUT_THRESHOLD) {
+    await s.lock(accountKey(email), LOCKOUT_SECONDS);
+    await s.clear(accountKey(email));
+    return true;
+  }
+  return false;
+}
+
+// A successful login resets the account's failure count (the IP window keeps sliding)
+export async function recordLoginSuccess({ email }) {
+  await getStore().clear(accountKey(email));
+}
+
+// Lift a lockout early (e.g. after a password reset)
+export async function unlockAccount(email) {
+  const s = getStore();
+  await s.unlock(accountKey(email));
+  await s.clear(accountKey(email));
+}
+
+export const LOGIN_LOCKOUT_MINUTES = LOCKOUT_SECONDS / 60;
@@ -0,0 +1,100 @@
+// Outgoing email. Transports are pluggable: register one with registerMailTransport() and
+// select it with MAIL_TRANSPORT. Built-in: 'smtp' (delivers through SMTP_URL or SMTP_HOST, the
+// default once one of them is set), 'console' (logs the whole message, default in development),
+// 'log' (logs only recipient and subject: bodies carry live reset/sign-in tokens) and 'file'
+// (writes one .eml file per message to MAIL_DIR, handy for local dev and tests).
+// Only 'smtp' (and registered transports that say so) actually delivers mail; outside development
+// the server refuses to start without one unless MAIL_TRANSPORT explicitly names another
+// (assertMailTransport), and email verification is only enforced by default when mail is delivered.
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import { IS_DEVELOPMENT } from './appUrl.js';
+
+const MAIL_FROM = process.env.MAIL_FROM || 'HeyHR <no-reply@heyhr.local>';
+const MAIL_DIR = process.env.MAIL_DIR || 'tmp/mail';
+const SMTP_URL = process.env.SMTP_URL || '';
+const SMTP_HOST = process.env.SMTP_HOST || '';
+const SMTP_CONFIGURED = !!(SMTP_URL || SMTP_HOST);
+
+const transports = new Map();
+
+// `delivers`: messages reach the recipient's mailbox (false for the logging/debug transports)
+export function registerMailTransport(name, send, { delivers = true } = {}) {
+  transports.set(name, { send, delivers });
+}
+
+registerMailTransport('console', async (message) => {
+  console.log(`[mail] to=${message.to} subject=${JSON.stringify(message.subject)}\n${message.text}`);
+}, { delivers: false });
+
+registerMailTransport('log', async (message) => {
+  console.log(`[mail] to=${message.to} subject=${JSON.stringify(message.subject)} (body not logged)`);
+}, { delivers: false });
+
+registerMailTransport('file', async (message) => {
+  await fs.mkdir(MAIL_DIR, { recursive: true });
+  const file = path.join(MAIL_DIR, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+  const eml = [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    message.text.replace(/\r?\n/g, '\r\n'),
+  ].join('\r\n');
+  await fs.writeFile(file, eml, 'utf8');
+}, { delivers: false });
+
+function smtpOptions() {
+  if (SMTP_URL) return SMTP_URL;
+  const port = Number(process.env.SMTP_PORT || 587);
+  const user = process.env.SMTP_USER || '';
+  return {
+    host: SMTP_HOST,
+    port,
+    // Implicit TLS on 465; other ports upgrade with STARTTLS when the server offers it
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: user ? { user, pass: process.env.SMTP_PASSWORD || '' } : undefined,
+  };
+}
+
+let smtpTransporter;
+registerMailTransport('smtp', async (message) => {
+  smtpTransporter ||= nodemailer.createTransport(smtpOptions());
+  await smtpTransporter.sendMail(message);
+});
+
+const transportName = () => process.env.MAIL_TRANSPORT || (SMTP_CONFIGURED ? 'smtp' : IS_DEVELOPMENT ? 'console' : 'log');
+
+// Whether sent mail reaches users (so flows that wait for an emailed link can be completed)
+export function mailDelivers() {
+  return !!transports.get(transportName())?.delivers;
+}
+
+// Startup check: throws for an unknown transport, for smtp without SMTP_URL/SMTP_HOST and, outside
+// development, when no delivering transport is configured (password resets, magic links and
+// verification emails would silently never arrive). An explicit MAIL_TRANSPORT=log|file is allowed.
+export function assertMailTransport() {
+  const name = transportName();
+  if (!transports.has(name)) throw new Error(`Unknown mail transport: ${name}`);
+  if (name === 'smtp' && !SMTP_CONFIGURED) throw new Error('MAIL_TRANSPORT=smtp needs SMTP_URL or SMTP_HOST');
+  if (mailDelivers() || IS_DEVELOPMENT) return;
+  if (!process.env.MAIL_TRANSPORT) {
+    throw new Error('No mail delivery configured: set SMTP_URL or SMTP_HOST (or MAIL_TRANSPORT=log to run without email); set NODE_ENV=development for local defaults');
+  }
+  console.warn(`[startup] MAIL_TRANSPORT=${name} does not deliver email: password resets, magic links and invitations will not reach users`);
+}
+
+/**
+ * Send a plain-text email through the configured transport.
+ * message: { to, subject, text }
+ */
+export async function sendMail({ to, subject, text }) {
+  const name = transportName();
+  const transport = transports.get(name);
+  if (!transport) throw new Error(`Unknown mail transport: ${name}`);
+  await transport.send({ from: MAIL_FROM, to, subject, text });
+}
@@ -0,0 +1,68 @@
+// Two-factor authentication (TOTP) for recruiter accounts: login challenges and code checks.
+// MFA_REQUIRED_FOR_RECRUITERS=true makes enrolment mandatory for every recruiter on this deployment.
+import crypto from 'crypto';
+import {
+  getUserMfa,
+  claimMfaStep,
+  startMfaChallenge,
+  recordMfaChallengeFailure,
+  useRecoveryCode,
+} from '../db.js';
+import { signMfaToken } from './jwt.js';
+import { verifyTotp, decryptSecret, hashRecoveryCode } from './totp.js';
+
+export const MFA_REQUIRED_FOR_RECRUITERS = String(process.env.MFA_REQUIRED_FOR_RECRUITERS || 'false') === 'true';
+// Wrong codes allowed per login challenge before the password has to be entered again
+export const MFA_MAX_ATTEMPTS = Number(process.env.MFA_MAX_ATTEMPTS || 5);
+
+export function mfaAvailableFor(user) {
+  return user?.role === 'RECRUITER';
+}
+
+/**
+ * Decide whether a password-verified login needs a second step.
+ * Returns null (sign in now) or the response body for /auth/login:
+ *   { mfa_required: true, mfa_token, methods } when TOTP is enabled,
+ *   { mfa_setup_required: true, mfa_token } when enrolment is enforced but not done yet.
+ */
+export async function mfaLoginStep(user) {
+  if (!mfaAvailableFor(user)) return null;
+  const mfa = await getUserMfa(user.id);
+  if (mfa?.enabled_at) {
+    const cid = crypto.randomUUID();
+    await startMfaChallenge(user.id, cid);
+    return {
+      mfa_required: true,
+      mfa_token: signMfaToken({ sub: user.id, role: user.role, purpose: 'login', cid }),
+      methods: ['totp', 'recovery_code'],
+    };
+  }
+  if (MFA_REQUIRED_FOR_RECRUITERS) {
+    return {
+      mfa_setup_required: true,
+      mfa_token: signMfaToken({ sub: user.id, role: user.role, purpose: 'setup' }),
+    };
+  }
+  return null;
+}
+
+/**
+ * Check a TOTP code (replay-protected) or a single-use recovery code for an enabled MFA row.
+ * Returns 'totp', 'recovery_code' or null.
+ */
+export async function verifySecondFactor(mfa, { code, recovery_code } = {}) {
+  if (!mfa?.enabled_at) return null;
+  if (code) {
+    const step = verifyTotp(decryptSecret(mfa.secret_enc), code, { afterStep: mfa.last_used_step });
+    if (step !== null && (await claimMfaStep(mfa.user_id, step))) return 'totp';
+    return null;
+  }
+  if (recovery_code) {
+    return (await useRecoveryCode(mfa.user_id, hashRecoveryCode(recovery_code))) ? 'recovery_code' : null;
+  }
+  return null;
+}
+
+export async function recordFailedChallenge(user_id, cid) {
+  await recordMfaChallengeFailure(user_id, cid, MFA_MAX_ATTEMPTS);
+}
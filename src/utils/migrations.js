@@ -0,0 +1,237 @@
+// Versioned schema migrations: db/migrations/NNNN_name.up.sql with a matching NNNN_name.down.sql,
+// applied in version order by `npm run migrate` (scripts/migrate.js). Each applied version is
+// recorded in schema_migrations with the SHA-256 of its up and down files, so editing a migration
+// after it ran is detected. The server refuses to start until every migration is applied unchanged
+// (assertSchemaCurrent in server.js); MIGRATE_ON_START=true applies pending ones at boot instead.
+//
+// MySQL can't roll back DDL: a migration that fails halfway is not recorded and may have left
+// part of its changes behind, so fix it up (or write statements that tolerate a re-run) and migrate again.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mysql from 'mysql2/promise';
+import { dbConfig, UTC_SESSION_SQL } from '../db.js';
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('../../db/migrations/', import.meta.url));
+const MIGRATION_FILE = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+// Serializes migration runs across processes (e.g. PM2 instances booting with MIGRATE_ON_START)
+const LOCK_NAME = 'heyhr_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 60;
+
+const normalize = (sql) => sql.replace(/\r\n/g, '\n');
+const checksum = (up, down) => crypto.createHash('sha256').update(normalize(up)).update('\0').update(normalize(down)).digest('hex');
+// Down files of data-only migrations may be nothing but a comment explaining why
+const hasStatements = (sql) => sql.replace(/^\s*(--|#).*$/gm, '').trim().length > 0;
+
+function schemaError(message) {
+  const err = new Error(message);
+  err.code = 'SCHEMA_OUT_OF_DATE';
+  return err;
+}
+
+// Migration files in version order: [{ version, name, up, down, checksum }]
+export async function loadMigrations() {
+  const byVersion = new Map();
+  for (const file of await fs.readdir(MIGRATIONS_DIR)) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+    const [, version, name, direction] = match;
+    const migration = byVersion.get(version) || { version, name, up: null, down: null };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has files with different names: ${migration.name}, ${name}`);
+    }
+    migration[direction] = path.join(MIGRATIONS_DIR, file);
+    byVersion.set(version, migration);
+  }
+  const migrations = [...byVersion.values()].sort((a, b) => a.version.localeCompare(b.version));
+  for (const migration of migrations) {
+    if (!migration.up || !migration.down) {
+      throw new Error(`Migration ${migration.version}_${migration.name} needs both an .up.sql and a .down.sql file`);
+    }
+    const [up, down] = await Promise.all([fs.readFile(migration.up, 'utf8'), fs.readFile(migration.down, 'utf8')]);
+    migration.checksum = checksum(up, down);
+  }
+  return migrations;
+}
+
+async function createDatabaseIfMissing({ database, ...server }) {
+  const conn = await mysql.createConnection(server);
+  try {
+    await conn.query(
+      `CREATE DATABASE IF NOT EXISTS \`${database}\` DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;`
+    );
+  } finally {
+    try { await conn.end(); } catch {}
+  }
+}
+
+// Dedicated connection that can run a whole migration file (several statements) at once
+async function connect({ createDatabase = false } = {}) {
+  const config = dbConfig();
+  if (createDatabase) await createDatabaseIfMissing(config);
+  const conn = await mysql.createConnection({ ...config, multipleStatements: true });
+  await conn.query(UTC_SESSION_SQL);
+  return conn;
+}
+
+async function ensureMigrationsTable(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(16) PRIMARY KEY,
+      name VARCHAR(191) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      execution_ms INT NULL,
+      applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+  `);
+}
+
+async function listAppliedMigrations(conn) {
+  try {
+    const [rows] = await conn.query('SELECT version, name, checksum, execution_ms, applied_at FROM schema_migrations ORDER BY version ASC');
+    return rows;
+  } catch (err) {
+    if (err.code === 'ER_NO_SUCH_TABLE') return [];
+    throw err;
+  }
+}
+
+/**
+ * Every migration with its state, plus applied versions whose files are gone:
+ * { migrations: [{ version, name, checksum, state: 'applied'|'pending'|'changed', applied_at }], missing: [row] }
+ */
+async function readStatus(conn) {
+  const [migrations, applied] = await Promise.all([loadMigrations(), listAppliedMigrations(conn)]);
+  const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+  const known = new Set(migrations.map((m) => m.version));
+  return {
+    migrations: migrations.map((m) => {
+      const row = appliedByVersion.get(m.version);
+      let state = 'pending';
+      if (row) state = row.checksum === m.checksum ? 'applied' : 'changed';
+      return { ...m, state, applied_at: row ? row.applied_at : null };
+    }),
+    missing: applied.filter((row) => !known.has(row.version)),
+  };
+}
+
+// Human-readable reasons the database doesn't match the migration files (empty when current)
+function schemaProblems({ migrations, missing }) {
+  const problems = [];
+  for (const m of migrations) {
+    if (m.state === 'pending') problems.push(`${m.version}_${m.name} is pending`);
+    if (m.state === 'changed') problems.push(`${m.version}_${m.name} was changed after it was applied (checksum mismatch)`);
+  }
+  for (const row of missing) problems.push(`${row.version}_${row.name} is applied but its files are missing (database is newer than this code?)`);
+  return problems;
+}
+
+async function withMigrationLock(conn, fn) {
+  const [[{ acquired }]] = await conn.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+  if (acquired !== 1) throw new Error('Another process is running migrations; try again once it has finished');
+  try {
+    return await fn();
+  } finally {
+    await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+  }
+}
+
+async function runFile(conn, file) {
+  const sql = await fs.readFile(file, 'utf8');
+  if (hasStatements(sql)) await conn.query(sql);
+}
+
+export async function migrationStatus() {
+  const conn = await connect();
+  try {
+    return await readStatus(conn);
+  } finally {
+    await conn.end();
+  }
+}
+
+/**
+ * Apply pending migrations in order (creating the database if needed); returns the applied ones.
+ * Refuses to run while an applied migration was changed or is missing. A database from before
+ * migrations is adopted the same way: the baseline only creates missing tables and 0002-0005 bring
+ * the existing ones up to date (they check information_schema before each change).
+ */
+export async function migrateUp({ log = console.log } = {}) {
+  const conn = await connect({ createDatabase: true });
+  try {
+    return await withMigrationLock(conn, async () => {
+      await ensureMigrationsTable(conn);
+      const status = await readStatus(conn);
+      const drift = schemaProblems({ ...status, migrations: status.migrations.filter((m) => m.state !== 'pending') });
+      if (drift.length) throw schemaError(`Refusing to migrate:\n  - ${drift.join('\n  - ')}`);
+      const pending = status.migrations.filter((m) => m.state === 'pending');
+      const applied = [];
+      for (const migration of pending) {
+        const started = Date.now();
+        await runFile(conn, migration.up);
+        const execution_ms = Date.now() - started;
+        await conn.query(
+          'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES (?, ?, ?, ?)',
+          [migration.version, migration.name, migration.checksum, execution_ms]
+        );
+        log(`[migrate] applied ${migration.version}_${migration.name} (${execution_ms} ms)`);
+        applied.push(migration);
+      }
+      return applied;
+    });
+  } finally {
+    await conn.end();
+  }
+}
+
+/**
+ * Revert the latest `steps` applied migrations with their down files; returns the reverted ones.
+ * Reverting the first migration drops every table, so it needs `force`.
+ */
+export async function migrateDown({ steps = 1, force = false, log = console.log } = {}) {
+  const conn = await connect();
+  try {
+    return await withMigrationLock(conn, async () => {
+      const status = await readStatus(conn);
+      if (status.missing.length) {
+        throw schemaError(`Refusing to migrate down:\n  - ${schemaProblems({ migrations: [], missing: status.missing }).join('\n  - ')}`);
+      }
+      const applied = status.migrations.filter((m) => m.state !== 'pending');
+      const targets = applied.slice(-steps).reverse();
+      const reverted = [];
+      for (const migration of targets) {
+        if (migration === status.migrations[0] && !force) {
+          throw new Error(`Reverting ${migration.version}_${migration.name} drops every table; pass --force to do it anyway`);
+        }
+        const started = Date.now();
+        await runFile(conn, migration.down);
+        await conn.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        log(`[migrate] reverted ${migration.version}_${migration.name} (${Date.now() - started} ms)`);
+        reverted.push(migration);
+      }
+      return reverted;
+    });
+  } finally {
+    await conn.end();
+  }
+}
+
+// Startup check: throws (code SCHEMA_OUT_OF_DATE) unless every migration is applied unchanged
+export async function assertSchemaCurrent() {
+  let conn;
+  try {
+    conn = await connect();
+  } catch (err) {
+    if (err.code === 'ER_BAD_DB_ERROR') throw schemaError(`Database ${dbConfig().database} does not exist; run \`npm run migrate\``);
+    throw err;
+  }
+  try {
+    const problems = schemaProblems(await readStatus(conn));
+    if (problems.length) {
+      throw schemaError(`Database schema is not up to date:\n  - ${problems.join('\n  - ')}\nRun \`npm run migrate\` (see \`npm run migrate:status\`).`);
+    }
+  } finally {
+    await conn.end();
+  }
+}
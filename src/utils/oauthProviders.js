@@ -0,0 +1,167 @@
+// OAuth/OIDC sign-in providers, registered by name and enabled through configuration:
+// - google:   GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET
+// - facebook: FACEBOOK_CLIENT_ID / FACEBOOK_CLIENT_SECRET
+// - any OpenID Connect issuer: OIDC_PROVIDERS=acme,okta plus OIDC_<NAME>_ISSUER, _CLIENT_ID,
+//   _CLIENT_SECRET (optional with PKCE), _SCOPE (default 'openid email profile') and
+//   _TRUST_EMAIL_VERIFIED (default false)
+//
+// A provider is { name, pkce, trustEmailVerified, authorizationUrl({ state, nonce, callbackUrl, codeChallenge }),
+// exchangeCode({ code, callbackUrl, codeVerifier }) -> tokens, fetchProfile(tokens, { nonce }) -> profile }
+// where profile is { provider_id, email, email_verified, name, first_name, last_name, avatar_url }.
+// trustEmailVerified: whether the provider's email_verified may auto-link an existing account with
+// that email and mark it verified. Only for IdPs that own or really verify the addresses they report.
+// Others can be added with registerOAuthProvider().
+import { createOidcProvider } from './oidc.js';
+
+const providers = new Map();
+
+export function registerOAuthProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+export function getOAuthProvider(name) {
+  return providers.get(String(name || '').toLowerCase()) || null;
+}
+
+export function listOAuthProviders() {
+  return [...providers.keys()];
+}
+
+const providerError = (message, detail) => Object.assign(new Error(message), { status: 400, detail });
+
+function createGoogleProvider({ clientId, clientSecret }) {
+  return {
+    name: 'google',
+    pkce: true,
+    trustEmailVerified: true,
+    authorizationUrl({ state, callbackUrl, codeChallenge }) {
+      const params = new URLSearchParams({
+        client_id: clientId,
+        redirect_uri: callbackUrl,
+        response_type: 'code',
+        scope: 'openid email profile',
+        access_type: 'offline',
+        include_granted_scopes: 'true',
+        state,
+        prompt: 'consent',
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+      });
+      return `https://accounts.google.com/o/oauth2/v2/auth?${params.toString()}`;
+    },
+    async exchangeCode({ code, callbackUrl, codeVerifier }) {
+      const params = new URLSearchParams({
+        client_id: clientId,
+        client_secret: clientSecret,
+        code,
+        code_verifier: codeVerifier,
+        grant_type: 'authorization_code',
+        redirect_uri: callbackUrl,
+      });
+      const res = await fetch('https://oauth2.googleapis.com/token', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: params.toString(),
+      });
+      if (!res.ok) throw providerError('Failed token exchange (google)', await res.text());
+      return res.json();
+    },
+    async fetchProfile(tokens) {
+      // Prefer userinfo endpoint; id_token could also be decoded, but this ensures fresh profile
+      const res = await fetch('https://www.googleapis.com/oauth2/v3/userinfo', {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+      });
+      if (!res.ok) throw providerError('Failed to fetch google userinfo', await res.text());
+      const data = await res.json();
+      return {
+        email: data.email,
+        email_verified: data.email_verified === true,
+        name: data.name,
+        first_name: data.given_name,
+        last_name: data.family_name,
+        avatar_url: data.picture,
+        provider_id: data.sub,
+      };
+    },
+  };
+}
+
+function createFacebookProvider({ clientId, clientSecret }) {
+  return {
+    name: 'facebook',
+    pkce: false,
+    trustEmailVerified: false,
+    authorizationUrl({ state, callbackUrl }) {
+      const params = new URLSearchParams({
+        client_id: clientId,
+        redirect_uri: callbackUrl,
+        response_type: 'code',
+        scope: 'public_profile,email',
+        state,
+      });
+      // Using v17 graph dialog (works with later as well)
+      return `https://www.facebook.com/v17.0/dialog/oauth?${params.toString()}`;
+    },
+    async exchangeCode({ code, callbackUrl }) {
+      const params = new URLSearchParams({
+        client_id: clientId,
+        client_secret: clientSecret,
+        code,
+        redirect_uri: callbackUrl,
+      });
+      const res = await fetch(`https://graph.facebook.com/v17.0/oauth/access_token?${params.toString()}`);
+      if (!res.ok) throw providerError('Failed token exchange (facebook)', await res.text());
+      return res.json();
+    },
+    async fetchProfile(tokens) {
+      const params = new URLSearchParams({
+        access_token: tokens.access_token,
+        fields: 'id,name,email,first_name,last_name,picture.type(large)',
+      });
+      const res = await fetch(`https://graph.facebook.com/me?${params.toString()}`);
+      if (!res.ok) throw providerError('Failed to fetch facebook userinfo', await res.text());
+      const data = await res.json();
+      // Facebook does not say whether the email was confirmed; treat it as unverified
+      return {
+        email: data.email,
+        email_verified: false,
+        name: data.name,
+        first_name: data.first_name,
+        last_name: data.last_name,
+        avatar_url: data.picture?.data?.url,
+        provider_id: data.id,
+      };
+    },
+  };
+}
+
+// -------------------- Configuration --------------------
+const env = process.env;
+
+if (env.GOOGLE_CLIENT_ID) {
+  registerOAuthProvider(createGoogleProvider({ clientId: env.GOOGLE_CLIENT_ID, clientSecret: env.GOOGLE_CLIENT_SECRET || '' }));
+}
+if (env.FACEBOOK_CLIENT_ID) {
+  registerOAuthProvider(createFacebookProvider({ clientId: env.FACEBOOK_CLIENT_ID, clientSecret: env.FACEBOOK_CLIENT_SECRET || '' }));
+}
+
+for (const raw of String(env.OIDC_PROVIDERS || '').split(',')) {
+  const name = raw.trim().toLowerCase();
+  if (!name) continue;
+  // Names end up in URLs and user_identities.provider
+  if (!/^[a-z0-9][a-z0-9_-]{0,31}$/.test(name)) throw new Error(`Invalid OIDC provider name: ${name}`);
+  const key = `OIDC_${name.toUpperCase().replace(/-/g, '_')}`;
+  const issuer = env[`${key}_ISSUER`];
+  const clientId = env[`${key}_CLIENT_ID`];
+  if (!issuer || !clientId) throw new Error(`${key}_ISSUER and ${key}_CLIENT_ID are required for OIDC provider ${name}`);
+  registerOAuthProvider(
+    createOidcProvider({
+      name,
+      issuer,
+      clientId,
+      clientSecret: env[`${key}_CLIENT_SECRET`] || undefined,
+      scope: env[`${key}_SCOPE`] || undefined,
+      trustEmailVerified: env[`${key}_TRUST_EMAIL_VERIFIED`] === 'true',
+    })
+  );
+}
@@ -0,0 +1,138 @@
+// Generic OpenID Connect provider (authorization code flow + PKCE).
+// Endpoints come from `${issuer}/.well-known/openid-configuration`; id_tokens are verified
+// against the issuer's JWKS (signature, iss, aud, exp, nonce).
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const oidcError = (message, detail) => Object.assign(new Error(message), { status: 400, detail });
+
+async function fetchJson(url, options) {
+  const res = await fetch(url, options);
+  if (!res.ok) throw oidcError(`OIDC request failed: ${url}`, await res.text());
+  return res.json();
+}
+
+// PKCE (RFC 7636): random verifier kept by us, S256 challenge sent to the IdP
+export function createPkcePair() {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+}
+
+/**
+ * Build an OIDC provider for the OAuth registry (utils/oauthProviders.js).
+ * config: { name, issuer, clientId, clientSecret?, scope?, trustEmailVerified? }
+ */
+export function createOidcProvider({ name, issuer, clientId, clientSecret, scope = 'openid email profile', trustEmailVerified = false }) {
+  const issuerUrl = issuer.replace(/\/$/, '');
+  let discovery = null;
+  let jwks = null;
+
+  async function getDiscovery() {
+    if (discovery && discovery.expires > Date.now()) return discovery.value;
+    const value = await fetchJson(`${issuerUrl}/.well-known/openid-configuration`);
+    if (String(value.issuer).replace(/\/$/, '') !== issuerUrl) {
+      throw oidcError(`OIDC discovery issuer mismatch for ${name}`);
+    }
+    discovery = { value, expires: Date.now() + CACHE_TTL_MS };
+    return value;
+  }
+
+  // Keys by kid; refetched once when an unknown kid shows up (key rotation)
+  async function getSigningKey(kid) {
+    const find = () => jwks?.keys.find((k) => (kid ? k.kid === kid : true) && (!k.use || k.use === 'sig'));
+    if (!jwks || jwks.expires <= Date.now() || !find()) {
+      const { jwks_uri } = await getDiscovery();
+      const { keys = [] } = await fetchJson(jwks_uri);
+      jwks = { keys, expires: Date.now() + CACHE_TTL_MS };
+    }
+    const jwk = find();
+    if (!jwk) throw oidcError(`No signing key ${kid || ''} for ${name}`);
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  async function verifyIdToken(idToken, { nonce }) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) throw oidcError('Invalid id_token');
+    const key = await getSigningKey(decoded.header.kid);
+    const { issuer: expectedIssuer } = await getDiscovery();
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: expectedIssuer,
+        audience: clientId,
+        clockTolerance: 60,
+      });
+    } catch (e) {
+      throw oidcError(`Invalid id_token: ${e.message}`);
+    }
+    if (nonce && claims.nonce !== nonce) throw oidcError('id_token nonce mismatch');
+    return claims;
+  }
+
+  return {
+    name,
+    pkce: true,
+    trustEmailVerified,
+
+    async authorizationUrl({ state, nonce, callbackUrl, codeChallenge }) {
+      const { authorization_endpoint } = await getDiscovery();
+      const params = new URLSearchParams({
+        client_id: clientId,
+        redirect_uri: callbackUrl,
+        response_type: 'code',
+        scope,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+      });
+      return `${authorization_endpoint}?${params.toString()}`;
+    },
+
+    async exchangeCode({ code, callbackUrl, codeVerifier }) {
+      const { token_endpoint, token_endpoint_auth_methods_supported: methods = ['client_secret_basic'] } = await getDiscovery();
+      const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: callbackUrl,
+        code_verifier: codeVerifier,
+        client_id: clientId,
+      });
+      const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+      if (clientSecret) {
+        if (methods.includes('client_secret_post') && !methods.includes('client_secret_basic')) {
+          body.set('client_secret', clientSecret);
+        } else {
+          const basic = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+          headers.Authorization = `Basic ${Buffer.from(basic).toString('base64')}`;
+        }
+      }
+      return fetchJson(token_endpoint, { method: 'POST', headers, body: body.toString() });
+    },
+
+    async fetchProfile(tokens, { nonce }) {
+      if (!tokens.id_token) throw oidcError(`No id_token from ${name}`);
+      let claims = await verifyIdToken(tokens.id_token, { nonce });
+      // Some IdPs keep email/profile claims out of the id_token; fill them from userinfo
+      const { userinfo_endpoint } = await getDiscovery();
+      if (!claims.email && userinfo_endpoint && tokens.access_token) {
+        const info = await fetchJson(userinfo_endpoint, { headers: { Authorization: `Bearer ${tokens.access_token}` } });
+        if (info.sub === claims.sub) claims = { ...info, ...claims, email: info.email, email_verified: info.email_verified };
+      }
+      return {
+        provider_id: claims.sub,
+        email: claims.email,
+        email_verified: claims.email_verified === true || claims.email_verified === 'true',
+        name: claims.name,
+        first_name: claims.given_name,
+        last_name: claims.family_name,
+        avatar_url: claims.picture,
+      };
+    },
+  };
+}
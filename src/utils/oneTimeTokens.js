@@ -0,0 +1,30 @@
+// Single-use, expiring tokens delivered by email (password reset, ...) or in a redirect
+// (OAuth exchange codes). The database only keeps their SHA-256 hash.
+import crypto from 'crypto';
+import { createOneTimeToken, consumeOneTimeToken, invalidateOneTimeTokens } from '../db.js';
+
+export const TOKEN_PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  OAUTH_EXCHANGE: 'oauth_exchange',
+  MAGIC_LINK: 'magic_link',
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export async function issueOneTimeToken(user_id, purpose, ttlMinutes) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expires_at = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  await createOneTimeToken({ user_id, purpose, token_hash: hashToken(token), expires_at });
+  return { token, expires_at };
+}
+
+// Returns the user id the token was issued for, or null when unknown, expired or already used
+export async function redeemOneTimeToken(purpose, token) {
+  if (!token) return null;
+  const row = await consumeOneTimeToken(purpose, hashToken(String(token)));
+  return row ? row.user_id : null;
+}
+
+export async function revokeOneTimeTokens(user_id, purpose) {
+  await invalidateOneTimeTokens(user_id, purpose);
+}
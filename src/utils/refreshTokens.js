@@ -0,0 +1,121 @@
+// Server-side refresh token store. Refresh JWTs are still signed/verified by utils/jwt.js,
+// but only their SHA-256 hash is persisted so a token can be rotated and revoked.
+//
+// Every login starts a token family. Each /auth/refresh revokes the presented token and
+// issues its successor in the same family. Presenting a token that was already rotated
+// means it leaked (or was replayed), so the whole family is revoked.
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import {
+  createRefreshToken,
+  getRefreshTokenByHash,
+  revokeRefreshToken,
+  setRefreshTokenReplacement,
+  revokeRefreshTokenFamily,
+  revokeRefreshTokensByUser,
+  createUserSession,
+  touchUserSession,
+  getUserById,
+} from '../db.js';
+import { signRefreshToken, verifyRefreshToken } from './jwt.js';
+
+export const hashRefreshToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshError = (code) => Object.assign(new Error(code), { status: 401, code });
+
+// Sign and persist a refresh token; starts a new family unless `family_id` is given
+export async function issueRefreshToken(user, { family_id = crypto.randomUUID() } = {}) {
+  const token = signRefreshToken({ sub: user.id, role: user.role, fam: family_id, jti: crypto.randomUUID() });
+  const { exp } = jwt.decode(token);
+  const { id } = await createRefreshToken({
+    user_id: user.id,
+    family_id,
+    token_hash: hashRefreshToken(token),
+    expires_at: new Date(exp * 1000),
+  });
+  return { id, token, family_id };
+}
+
+// Client details recorded on the session (shown by GET /auth/sessions)
+export function sessionMeta(req) {
+  return { ip: req.ip || null, user_agent: req.get('user-agent')?.slice(0, 512) || null };
+}
+
+// New login: create the session row and the first token of its family
+export async function startRefreshSession(user, meta = {}) {
+  const family_id = crypto.randomUUID();
+  const { id: session_id } = await createUserSession({ user_id: user.id, family_id, ...meta });
+  const { token } = await issueRefreshToken(user, { family_id });
+  return { token, session_id };
+}
+
+/**
+ * Exchange a refresh token for its successor.
+ * Returns { user, token, session_id }; throws { status: 401, code } with code
+ * InvalidRefreshToken (unknown/expired/revoked), RefreshTokenReused (family revoked) or
+ * AccountSuspended.
+ */
+export async function rotateRefreshToken(token, meta = {}) {
+  let payload;
+  try {
+    payload = verifyRefreshToken(token);
+  } catch (_e) {
+    throw refreshError('InvalidRefreshToken');
+  }
+  const row = await getRefreshTokenByHash(hashRefreshToken(token));
+  if (!row || row.user_id !== Number(payload.sub)) throw refreshError('InvalidRefreshToken');
+
+  if (row.revoked_at) {
+    if (row.revoked_reason === 'rotated') {
+      await revokeRefreshTokenFamily(row.family_id, 'reuse_detected');
+      throw refreshError('RefreshTokenReused');
+    }
+    throw refreshError('InvalidRefreshToken');
+  }
+
+  // Claim the token atomically; losing the race means another request already rotated it
+  const { affectedRows } = await revokeRefreshToken(row.id, 'rotated');
+  if (affectedRows === 0) {
+    await revokeRefreshTokenFamily(row.family_id, 'reuse_detected');
+    throw refreshError('RefreshTokenReused');
+  }
+
+  const user = await getUserById(row.user_id);
+  if (!user) {
+    await revokeRefreshTokenFamily(row.family_id, 'user_missing');
+    throw refreshError('InvalidRefreshToken');
+  }
+  if (user.suspended_at) {
+    await revokeRefreshTokenFamily(row.family_id, 'suspended');
+    throw refreshError('AccountSuspended');
+  }
+  const next = await issueRefreshToken(user, { family_id: row.family_id });
+  await setRefreshTokenReplacement(row.id, next.id);
+  await touchUserSession(row.family_id, meta);
+  return { user, token: next.token, session_id: row.session_id };
+}
+
+// User id of a valid, unrevoked refresh token (the browser's current session), or null
+export async function getRefreshTokenUserId(token) {
+  if (!token) return null;
+  try {
+    verifyRefreshToken(token);
+  } catch (_e) {
+    return null;
+  }
+  const row = await getRefreshTokenByHash(hashRefreshToken(token));
+  return row && !row.revoked_at ? row.user_id : null;
+}
+
+// Revoke the session (family) a refresh token belongs to. Unknown/invalid tokens are ignored.
+export async function revokeRefreshSession(token, reason = 'logout') {
+  if (!token) return;
+  const row = await getRefreshTokenByHash(hashRefreshToken(token));
+  if (row) await revokeRefreshTokenFamily(row.family_id, reason);
+}
+
+// Revoke every session of a user, optionally keeping one family (the caller's own session)
+export async function revokeAllRefreshTokens(user_id, reason, { exceptFamilyId } = {}) {
+  const { affectedRows } = await revokeRefreshTokensByUser(user_id, reason, { exceptFamilyId });
+  return affectedRows;
+}
@@ -0,0 +1,91 @@
+// Data retention: how long FAILED applications, applications to closed jobs and the payload of
+// read notifications are kept. Rules are stored in retention_policies (a global row plus optional
+// per-company overrides, see db.js); a sweeper in each server process anonymizes what is past its
+// retention period. Anonymized applications keep their status for reporting but lose the
+// candidate's cover letter, resume link and the recruiter's notes.
+import {
+  getRetentionPolicy,
+  summarizeApplicationsDueForRetention,
+  listApplicationsDueForRetention,
+  anonymizeApplications,
+  summarizeNotificationsDueForRetention,
+  clearReadNotificationData,
+} from '../db.js';
+
+const RETENTION_SWEEP_MINUTES = Number(process.env.RETENTION_SWEEP_MINUTES || 60);
+const BATCH_SIZE = 500;
+// Per rule and sweep, so a large backlog is worked off over several runs
+const MAX_BATCHES = 20;
+
+export const APPLICATION_RETENTION_RULES = ['failed_applications', 'closed_job_applications'];
+
+// Fields each rule clears
+const PURGED_FIELDS = {
+  failed_applications: ['cover_letter', 'notes', 'resume_url'],
+  closed_job_applications: ['cover_letter', 'notes', 'resume_url'],
+  read_notifications: ['data'],
+};
+
+/**
+ * Dry run: what a sweep would anonymize right now. With `company_id` only that company's
+ * applications are counted and read notifications (global rule only) are left out.
+ */
+export async function retentionReport({ company_id } = {}) {
+  const report = { generated_at: new Date().toISOString(), rules: {} };
+  for (const rule of APPLICATION_RETENTION_RULES) {
+    const companies = await summarizeApplicationsDueForRetention(rule, { company_id });
+    report.rules[rule] = {
+      fields: PURGED_FIELDS[rule],
+      total: companies.reduce((sum, c) => sum + c.count, 0),
+      companies,
+    };
+  }
+  if (!company_id) {
+    const policy = await getRetentionPolicy(null);
+    const days = policy?.read_notifications_days ?? null;
+    const due = days ? await summarizeNotificationsDueForRetention(days) : { count: 0, oldest: null };
+    report.rules.read_notifications = { fields: PURGED_FIELDS.read_notifications, retention_days: days, total: due.count, oldest: due.oldest };
+  }
+  return report;
+}
+
+// Anonymize everything past its retention period; returns counts per rule
+export async function runRetentionSweep() {
+  const result = {};
+  for (const rule of APPLICATION_RETENTION_RULES) {
+    let count = 0;
+    for (let i = 0; i < MAX_BATCHES; i += 1) {
+      const ids = await listApplicationsDueForRetention(rule, { limit: BATCH_SIZE });
+      if (!ids.length) break;
+      count += (await anonymizeApplications(ids)).affectedRows;
+      if (ids.length < BATCH_SIZE) break;
+    }
+    result[rule] = count;
+  }
+  const policy = await getRetentionPolicy(null);
+  let notifications = 0;
+  if (policy?.read_notifications_days) {
+    for (let i = 0; i < MAX_BATCHES; i += 1) {
+      const { affectedRows } = await clearReadNotificationData(policy.read_notifications_days, BATCH_SIZE);
+      notifications += affectedRows;
+      if (affectedRows < BATCH_SIZE) break;
+    }
+  }
+  result.read_notifications = notifications;
+  return result;
+}
+
+export function startRetentionSweeper() {
+  const run = () => {
+    runRetentionSweep()
+      .then((result) => {
+        const total = Object.values(result).reduce((sum, n) => sum + n, 0);
+        if (total) console.log('[retention] anonymized', result);
+      })
+      .catch((err) => console.error('retention sweep error', err));
+  };
+  run();
+  const timer = setInterval(run, RETENTION_SWEEP_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
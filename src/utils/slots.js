@@ -0,0 +1,85 @@
+// Interview slot generation from recruiter availability windows.
+// All times are handled as epoch milliseconds internally; inputs may be Dates or date strings.
+// The work is bounded whatever is stored: slots are only generated from `now` on, for at most
+// MAX_AVAILABILITY_WINDOW_DAYS per window, at least MIN_INTERVIEW_MINUTES apart, and at most
+// MAX_SLOTS are returned.
+
+export const MIN_INTERVIEW_MINUTES = 15;
+export const MAX_AVAILABILITY_WINDOW_DAYS = 31;
+export const MAX_SLOTS = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const toMs = (v) => (v instanceof Date ? v.getTime() : new Date(v).getTime());
+
+// Slot length in ms (durations below the minimum, stored before it was enforced, are raised to it), or null
+function stepMs(durationMinutes) {
+  const minutes = Number(durationMinutes);
+  if (!Number.isFinite(minutes) || minutes <= 0) return null;
+  return Math.max(minutes, MIN_INTERVIEW_MINUTES) * 60 * 1000;
+}
+
+// First slot start of the window at or after `nowMs` (slots stay aligned to the window start)
+function firstStart(wStart, step, nowMs) {
+  return wStart >= nowMs ? wStart : wStart + Math.ceil((nowMs - wStart) / step) * step;
+}
+
+// Half-open interval overlap: [aStart, aEnd) vs [bStart, bEnd)
+export function overlaps(aStart, aEnd, bStart, bEnd) {
+  return aStart < bEnd && bStart < aEnd;
+}
+
+/**
+ * Split availability windows into back-to-back slots of `durationMinutes`,
+ * dropping slots that start before `now` or overlap a busy interval.
+ * windows: [{ id, starts_at, ends_at }], busy: [{ starts_at, ends_at }]
+ * Returns the earliest `maxSlots` [{ starts_at: Date, ends_at: Date, availability_id }] sorted by start, unique by start.
+ */
+export function generateSlots(windows, durationMinutes, busy = [], { now = new Date(), maxSlots = MAX_SLOTS } = {}) {
+  const step = stepMs(durationMinutes);
+  if (!step) return [];
+  const nowMs = toMs(now);
+  const busyMs = busy.map((b) => [toMs(b.starts_at), toMs(b.ends_at)]);
+  let byStart = new Map();
+  // Once maxSlots are collected, only slots before the latest kept one can still make the cut
+  let cutoff = Infinity;
+
+  const sorted = [...windows].sort((a, b) => toMs(a.starts_at) - toMs(b.starts_at));
+  for (const w of sorted) {
+    const wStart = toMs(w.starts_at);
+    if (wStart > cutoff) break;
+    const first = firstStart(wStart, step, nowMs);
+    const wEnd = Math.min(toMs(w.ends_at), first + MAX_AVAILABILITY_WINDOW_DAYS * DAY_MS);
+    for (let start = first; start + step <= wEnd && start < cutoff; start += step) {
+      const end = start + step;
+      if (byStart.has(start)) continue;
+      if (busyMs.some(([bs, be]) => overlaps(start, end, bs, be))) continue;
+      byStart.set(start, { starts_at: new Date(start), ends_at: new Date(end), availability_id: w.id ?? null });
+    }
+    if (byStart.size >= maxSlots) {
+      const kept = [...byStart.keys()].sort((a, b) => a - b).slice(0, maxSlots);
+      byStart = new Map(kept.map((start) => [start, byStart.get(start)]));
+      cutoff = kept[kept.length - 1];
+    }
+  }
+
+  return Array.from(byStart.values()).sort((a, b) => a.starts_at - b.starts_at);
+}
+
+// Find the free slot starting exactly at `startsAt`, or null (checks the windows directly, so
+// booking never depends on the MAX_SLOTS cut of the listing)
+export function findSlot(windows, durationMinutes, busy, startsAt, { now = new Date() } = {}) {
+  const step = stepMs(durationMinutes);
+  const start = toMs(startsAt);
+  if (!step || !Number.isFinite(start) || start < toMs(now)) return null;
+  const end = start + step;
+  if (busy.some((b) => overlaps(start, end, toMs(b.starts_at), toMs(b.ends_at)))) return null;
+  // Same window order as generateSlots, so both name the same availability_id
+  const sorted = [...windows].sort((a, b) => toMs(a.starts_at) - toMs(b.starts_at));
+  for (const w of sorted) {
+    const wStart = toMs(w.starts_at);
+    if (start < wStart || end > toMs(w.ends_at) || (start - wStart) % step !== 0) continue;
+    if (end > firstStart(wStart, step, toMs(now)) + MAX_AVAILABILITY_WINDOW_DAYS * DAY_MS) continue;
+    return { starts_at: new Date(start), ends_at: new Date(end), availability_id: w.id ?? null };
+  }
+  return null;
+}
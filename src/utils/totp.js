@@ -0,0 +1,125 @@
+// TOTP (RFC 6238, SHA-1, 6 digits, 30s steps) for recruiter two-factor authentication,
+// plus helpers for recovery codes and encrypting TOTP secrets at rest.
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const ISSUER = process.env.MFA_ISSUER || 'HeyHR';
+// AES-256-GCM key for stored secrets; derived from MFA_ENCRYPTION_KEY (or JWT_SECRET as a dev fallback)
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET || 'dev_access_secret_change_me')
+  .digest();
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+export function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function hotp(key, counter, digits = DIGITS) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return String(code).padStart(digits, '0');
+}
+
+export function totpStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+export function generateTotp(secret, { now = Date.now(), digits = DIGITS } = {}) {
+  return hotp(base32Decode(secret), totpStep(now), digits);
+}
+
+/**
+ * Check a code against the current step +/- `window` steps (clock drift).
+ * Returns the matching step, or null. Steps <= `afterStep` are rejected so a code cannot be replayed.
+ */
+export function verifyTotp(secret, code, { now = Date.now(), window = 1, afterStep = null } = {}) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) return null;
+  const key = base32Decode(secret);
+  const current = totpStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    if (afterStep !== null && step <= afterStep) continue;
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return step;
+  }
+  return null;
+}
+
+// otpauth:// URI for authenticator apps; render it as a QR code on the client
+export function totpProvisioningUri({ secret, account }) {
+  const label = encodeURIComponent(`${ISSUER}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+export function encryptSecret(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const enc = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), enc].map((b) => b.toString('base64url')).join('.');
+}
+
+export function decryptSecret(stored) {
+  const [iv, tag, enc] = String(stored).split('.').map((p) => Buffer.from(p, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(enc), decipher.final()]).toString('utf8');
+}
+
+// Recovery codes look like `k3v9-x2mq-8d7p`; only their SHA-256 hash is stored
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.randomBytes(8)).slice(0, 12).toLowerCase();
+    return raw.match(/.{4}/g).join('-');
+  });
+}
+
+export function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
@@ -0,0 +1,29 @@
+// Multipart uploads (multer): turn upload errors into JSON responses, so a rejected or
+// oversized file never reaches the generic error handler in server.js.
+import multer from 'multer';
+
+/**
+ * Wrap a multer middleware such as `upload.single('file')`:
+ * - 415 `UnsupportedMediaType` when the file filter rejects the file (`{ status: 415 }` errors)
+ * - 413 `PayloadTooLarge` above the `maxBytes` limit the multer instance was created with
+ * - 400 `InvalidUpload` for other malformed uploads (unexpected field, too many files, ...)
+ * `supported` is listed in the 415 message (string, or a function for lists known at request time).
+ */
+export function handleUpload(middleware, { maxBytes, supported }) {
+  return (req, res, next) => {
+    middleware(req, res, (err) => {
+      if (!err) return next();
+      if (err.status === 415) {
+        const formats = typeof supported === 'function' ? supported(req) : supported;
+        return res.status(415).json({ error: 'UnsupportedMediaType', message: `Supported formats: ${formats}` });
+      }
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json({ error: 'PayloadTooLarge', message: `The file must be at most ${maxBytes / (1024 * 1024)} MB` });
+        }
+        return res.status(400).json({ error: 'InvalidUpload', message: err.message });
+      }
+      return next(err);
+    });
+  };
+}
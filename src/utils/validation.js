@@ -0,0 +1,11 @@
+// Zod schemas shared by several routers.
+import { z } from 'zod';
+
+// Boolean-like query/form values: true/1/yes and false/0/no (any case); undefined stays unset
+export const Boolish = z.preprocess((v) => {
+  if (v === undefined) return undefined;
+  const s = String(v).toLowerCase();
+  if (s === 'true' || s === '1' || s === 'yes') return true;
+  if (s === 'false' || s === '0' || s === 'no') return false;
+  return v;
+}, z.boolean().optional());
@@ -0,0 +1,217 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAuthenticate, requireRole, requireScope, requireOwnership, forbidWhileImpersonating } from '../src/utils/auth.js';
+import { signAccessToken, signImpersonationToken } from '../src/utils/jwt.js';
+import { mockRequest, run } from './helpers.js';
+
+const bearer = (token) => ({ authorization: `Bearer ${token}` });
+
+// authenticate with in-memory accounts and API keys instead of the database
+function authenticateWith({ accounts = {}, apiKeys = {}, impersonators = [], audited = [] } = {}) {
+  return createAuthenticate({
+    loadAccount: async (id) => accounts[id] || null,
+    loadApiKey: async (token) => apiKeys[token] || null,
+    isImpersonator: async (id) => impersonators.includes(id),
+    auditImpersonation: (req, res, actorId, subjectId) => audited.push({ actorId, subjectId }),
+  });
+}
+
+describe('authenticate', () => {
+  test('leaves req.user null without a bearer token', async () => {
+    const req = mockRequest();
+    const { nextCalled, nextArg } = await run(authenticateWith(), req);
+    assert.equal(nextCalled, true);
+    assert.equal(nextArg, undefined);
+    assert.equal(req.user, null);
+    assert.equal(req.authError, null);
+  });
+
+  test('records an invalid token for the guards instead of failing the request', async () => {
+    const req = mockRequest({ headers: bearer('not-a-jwt') });
+    const { nextCalled } = await run(authenticateWith(), req);
+    assert.equal(nextCalled, true);
+    assert.equal(req.user, null);
+    assert.deepEqual(req.authError, { error: 'Unauthorized' });
+  });
+
+  test('takes the role from the account, not the token', async () => {
+    const token = signAccessToken({ sub: 7, role: 'CANDIDATE', sid: 3 });
+    const req = mockRequest({ headers: bearer(token) });
+    await run(authenticateWith({ accounts: { 7: { id: 7, role: 'RECRUITER' } } }), req);
+    assert.deepEqual(req.user, { id: 7, role: 'RECRUITER', sid: 3, apiKey: null, impersonator: null });
+  });
+
+  test('rejects tokens of missing and deleted accounts', async () => {
+    for (const accounts of [{}, { 7: { id: 7, role: 'CANDIDATE', deleted_at: new Date() } }]) {
+      const req = mockRequest({ headers: bearer(signAccessToken({ sub: 7, role: 'CANDIDATE' })) });
+      await run(authenticateWith({ accounts }), req);
+      assert.equal(req.user, null);
+      assert.deepEqual(req.authError, { error: 'Unauthorized' });
+    }
+  });
+
+  test('answers 403 AccountSuspended for suspended accounts', async () => {
+    const req = mockRequest({ headers: bearer(signAccessToken({ sub: 7, role: 'CANDIDATE' })) });
+    const { nextCalled, res } = await run(authenticateWith({ accounts: { 7: { id: 7, role: 'CANDIDATE', suspended_at: new Date() } } }), req);
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.error, 'AccountSuspended');
+  });
+
+  test('resolves recruiter API keys with their scopes', async () => {
+    const apiKeys = { hhr_good: { id: 5, user_id: 9, role: 'RECRUITER', scopes: ['jobs:read'] } };
+    const req = mockRequest({ headers: bearer('hhr_good') });
+    await run(authenticateWith({ apiKeys }), req);
+    assert.deepEqual(req.user, { id: 9, role: 'RECRUITER', sid: null, apiKey: { id: 5, scopes: ['jobs:read'] }, impersonator: null });
+  });
+
+  test('rejects unknown API keys and keys of users who are no longer recruiters', async () => {
+    const apiKeys = { hhr_stale: { id: 5, user_id: 9, role: 'CANDIDATE', scopes: ['jobs:read'] } };
+    for (const key of ['hhr_unknown', 'hhr_stale']) {
+      const req = mockRequest({ headers: bearer(key) });
+      await run(authenticateWith({ apiKeys }), req);
+      assert.equal(req.user, null);
+      assert.equal(req.authError.error, 'InvalidApiKey');
+    }
+  });
+
+  describe('impersonation tokens', () => {
+    const accounts = { 7: { id: 7, role: 'CANDIDATE' } };
+    const token = () => signImpersonationToken({ sub: 7, role: 'CANDIDATE', act: 1 });
+
+    test('act as the target and audit the request', async () => {
+      const audited = [];
+      const req = mockRequest({ headers: bearer(token()), path: '/jobs' });
+      const { nextCalled } = await run(authenticateWith({ accounts, impersonators: [1], audited }), req);
+      assert.equal(nextCalled, true);
+      assert.equal(req.user.id, 7);
+      assert.deepEqual(req.user.impersonator, { id: 1 });
+      assert.deepEqual(audited, [{ actorId: 1, subjectId: 7 }]);
+    });
+
+    test('are refused on blocked paths, whatever their case', async () => {
+      for (const path of ['/auth/change-password', '/Auth/Change-Password', '/calendar/feed']) {
+        const req = mockRequest({ headers: bearer(token()), method: 'POST', path });
+        const { nextCalled, res } = await run(authenticateWith({ accounts, impersonators: [1] }), req);
+        assert.equal(nextCalled, false, path);
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.body.error, 'ImpersonationForbidden');
+      }
+    });
+
+    test('stop working once the admin may no longer impersonate', async () => {
+      const req = mockRequest({ headers: bearer(token()) });
+      await run(authenticateWith({ accounts, impersonators: [] }), req);
+      assert.equal(req.user, null);
+      assert.deepEqual(req.authError, { error: 'Unauthorized' });
+    });
+  });
+
+  test('passes lookup failures to the error handler', async () => {
+    const failing = createAuthenticate({ loadAccount: async () => { throw new Error('db down'); } });
+    const req = mockRequest({ headers: bearer(signAccessToken({ sub: 7, role: 'CANDIDATE' })) });
+    const { nextArg } = await run(failing, req);
+    assert.equal(nextArg.message, 'db down');
+  });
+});
+
+describe('requireRole', () => {
+  const recruiter = { id: 9, role: 'RECRUITER', apiKey: null, impersonator: null };
+  const apiKeyUser = { ...recruiter, apiKey: { id: 5, scopes: [] } };
+
+  test('answers 401 with the reason authenticate recorded', async () => {
+    const req = mockRequest({ user: null });
+    req.authError = { error: 'InvalidApiKey' };
+    const { res } = await run(requireRole(['RECRUITER']), req);
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(res.body, { error: 'InvalidApiKey' });
+  });
+
+  test('answers 403 for other roles', async () => {
+    const { res } = await run(requireRole(['ADMIN']), mockRequest({ user: recruiter }));
+    assert.equal(res.statusCode, 403);
+  });
+
+  test('accepts API keys only where allowed', async () => {
+    assert.equal((await run(requireRole(['RECRUITER']), mockRequest({ user: apiKeyUser }))).res.statusCode, 401);
+    assert.equal((await run(requireRole(['RECRUITER'], { apiKey: true }), mockRequest({ user: apiKeyUser }))).nextCalled, true);
+  });
+});
+
+describe('requireScope', () => {
+  const withScopes = (scopes) => ({ id: 9, role: 'RECRUITER', apiKey: { id: 5, scopes } });
+
+  test('answers 403 InsufficientScope for API keys without the scope', async () => {
+    const { nextCalled, res } = await run(requireScope('jobs:write'), mockRequest({ user: withScopes(['jobs:read']) }));
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(res.body, { error: 'InsufficientScope', message: 'API key lacks the jobs:write scope', scope: 'jobs:write' });
+  });
+
+  test('lets API keys with the scope through', async () => {
+    const { nextCalled } = await run(requireScope('jobs:write'), mockRequest({ user: withScopes(['jobs:read', 'jobs:write']) }));
+    assert.equal(nextCalled, true);
+  });
+
+  test('does not restrict signed-in users', async () => {
+    const { nextCalled } = await run(requireScope('jobs:write'), mockRequest({ user: { id: 9, role: 'RECRUITER', apiKey: null } }));
+    assert.equal(nextCalled, true);
+  });
+});
+
+describe('forbidWhileImpersonating', () => {
+  test('answers 403 ImpersonationForbidden for impersonated requests only', async () => {
+    const blocked = await run(forbidWhileImpersonating, mockRequest({ user: { id: 7, impersonator: { id: 1 } } }));
+    assert.equal(blocked.res.statusCode, 403);
+    assert.equal(blocked.res.body.error, 'ImpersonationForbidden');
+    assert.equal((await run(forbidWhileImpersonating, mockRequest({ user: { id: 7, impersonator: null } }))).nextCalled, true);
+  });
+});
+
+describe('requireOwnership', () => {
+  const user = { id: 7, role: 'CANDIDATE' };
+  const resources = { 1: { id: 1, user_id: 7 }, 2: { id: 2, user_id: 8 } };
+  const load = async (id) => resources[id] || null;
+
+  test('answers 400 InvalidId for ids that are not positive integers', async () => {
+    for (const id of ['abc', '0', '-1', '1.5']) {
+      const { res } = await run(requireOwnership(load), mockRequest({ user, params: { id } }));
+      assert.equal(res.statusCode, 400, id);
+      assert.deepEqual(res.body, { error: 'InvalidId' });
+    }
+  });
+
+  test('answers 404 when the resource does not exist', async () => {
+    const { res } = await run(requireOwnership(load), mockRequest({ user, params: { id: '3' } }));
+    assert.equal(res.statusCode, 404);
+  });
+
+  test("answers 403 for someone else's resource", async () => {
+    const { nextCalled, res } = await run(requireOwnership(load), mockRequest({ user, params: { id: '2' } }));
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  test('puts an owned resource on req.resource', async () => {
+    const req = mockRequest({ user, params: { id: '1' } });
+    const { nextCalled } = await run(requireOwnership(load), req);
+    assert.equal(nextCalled, true);
+    assert.equal(req.resource, resources[1]);
+  });
+
+  test('uses a custom param and an async isOwner', async () => {
+    const isOwner = async (resource, u) => resource.user_id === 8 && u.id === 7;
+    const req = mockRequest({ user, params: { jobId: '2' } });
+    const { nextCalled } = await run(requireOwnership(load, { param: 'jobId', isOwner }), req);
+    assert.equal(nextCalled, true);
+    assert.equal(req.resource, resources[2]);
+  });
+
+  test('answers 500 when loading fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const failing = requireOwnership(async () => { throw new Error('db down'); });
+    const { res } = await run(failing, mockRequest({ user, params: { id: '1' } }));
+    assert.equal(res.statusCode, 500);
+    assert.deepEqual(res.body, { error: 'ServerError', message: 'Unexpected error' });
+  });
+});
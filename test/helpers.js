@@ -0,0 +1,38 @@
+// Minimal Express stand-ins for calling middleware directly.
+
+export function mockRequest({ method = 'GET', path = '/', headers = {}, params = {}, user } = {}) {
+  const req = { method, path, headers, params };
+  if (user !== undefined) req.user = user;
+  return req;
+}
+
+export function mockResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    listeners: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    on(event, listener) {
+      this.listeners[event] = listener;
+      return this;
+    },
+  };
+}
+
+// Runs `middleware` and reports how it ended: { nextCalled, nextArg, res }
+export async function run(middleware, req, res = mockResponse()) {
+  let nextCalled = false;
+  let nextArg;
+  await middleware(req, res, (arg) => {
+    nextCalled = true;
+    nextArg = arg;
+  });
+  return { nextCalled, nextArg, res };
+}
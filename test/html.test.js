@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { htmlToText } from '../src/utils/html.js';
+
+test('turns blocks, list items and line breaks into lines', () => {
+  const html = '<h2>About</h2><p>We hire.<br>Remote&nbsp;ok</p><ul><li>Node</li><LI class="x">SQL</LI></ul>';
+  assert.equal(htmlToText(html), 'About\n\nWe hire.\nRemote ok\n\n• Node\n• SQL');
+});
+
+test('drops comments and non-content elements', () => {
+  const html = '<head><title>x</title></head><!-- note --><p>Job</p><SCRIPT>var a = "<p>";</script ><style>p{}</style>';
+  assert.equal(htmlToText(html), 'Job');
+});
+
+test('removes inline tags and separates table cells', () => {
+  assert.equal(htmlToText('<table><tr><td><b>Salary</b></td><td>50k &amp; bonus</td></tr></table>'), 'Salary 50k & bonus');
+});
+
+test('keeps a stray < as text and drops unclosed comments and scripts', () => {
+  assert.equal(htmlToText('<p>Teams < 10 people'), 'Teams < 10 people');
+  assert.equal(htmlToText('<p>Job</p><!-- never closed <p>x</p>'), 'Job');
+  assert.equal(htmlToText('<p>Job</p><script>while (a < b) {}'), 'Job');
+});
+
+test('stays linear on long runs of unclosed tags', () => {
+  for (const html of ['<'.repeat(500000), '<!--'.repeat(125000), '<script>'.repeat(60000), '<li'.repeat(160000), '<p x'.repeat(125000)]) {
+    const started = Date.now();
+    htmlToText(html);
+    assert.ok(Date.now() - started < 1000, `${html.slice(0, 8)}... took ${Date.now() - started} ms`);
+  }
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isBlockedWhileImpersonating } from '../src/utils/impersonation.js';
+
+test('blocks account security actions', () => {
+  assert.equal(isBlockedWhileImpersonating('POST', '/auth/change-password'), true);
+  assert.equal(isBlockedWhileImpersonating('POST', '/auth/mfa/disable'), true);
+  assert.equal(isBlockedWhileImpersonating('DELETE', '/auth/sessions/12'), true);
+  assert.equal(isBlockedWhileImpersonating('POST', '/recruiter/api-keys'), true);
+  assert.equal(isBlockedWhileImpersonating('DELETE', '/auth/me'), true);
+  assert.equal(isBlockedWhileImpersonating('GET', '/auth/me/export'), true);
+});
+
+test('blocks creating a calendar feed', () => {
+  assert.equal(isBlockedWhileImpersonating('POST', '/calendar/feed'), true);
+  assert.equal(isBlockedWhileImpersonating('POST', '/calendar/feed/'), true);
+});
+
+test('blocks identity linking for any method', () => {
+  assert.equal(isBlockedWhileImpersonating('GET', '/auth/identities/google/link'), true);
+  assert.equal(isBlockedWhileImpersonating('DELETE', '/auth/identities/google'), true);
+});
+
+test('blocks the admin API', () => {
+  assert.equal(isBlockedWhileImpersonating('GET', '/admin'), true);
+  assert.equal(isBlockedWhileImpersonating('GET', '/admin/users'), true);
+  assert.equal(isBlockedWhileImpersonating('GET', '/administrators'), false);
+});
+
+test('matches paths and methods case-insensitively, like Express routing', () => {
+  assert.equal(isBlockedWhileImpersonating('post', '/auth/change-password'), true);
+  assert.equal(isBlockedWhileImpersonating('POST', '/Auth/Change-Password'), true);
+  assert.equal(isBlockedWhileImpersonating('POST', '/CALENDAR/FEED'), true);
+  assert.equal(isBlockedWhileImpersonating('GET', '/ADMIN/users'), true);
+});
+
+test('allows everything else', () => {
+  assert.equal(isBlockedWhileImpersonating('GET', '/auth/me'), false);
+  assert.equal(isBlockedWhileImpersonating('GET', '/auth/sessions'), false);
+  assert.equal(isBlockedWhileImpersonating('GET', '/calendar/feed'), false);
+  assert.equal(isBlockedWhileImpersonating('GET', '/recruiter/api-keys'), false);
+  assert.equal(isBlockedWhileImpersonating('PATCH', '/jobs/3'), false);
+});
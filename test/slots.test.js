@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateSlots, findSlot, MAX_AVAILABILITY_WINDOW_DAYS } from '../src/utils/slots.js';
+
+const now = new Date('2030-01-01T09:00:00Z');
+const at = (hhmm) => new Date(`2030-01-01T${hhmm}:00Z`);
+const starts = (slots) => slots.map((s) => s.starts_at.toISOString().slice(11, 16));
+
+test('cuts windows into back-to-back slots, skipping busy ones', () => {
+  const windows = [{ id: 1, starts_at: at('10:00'), ends_at: at('12:30') }];
+  const busy = [{ starts_at: at('10:30'), ends_at: at('11:15') }];
+  assert.deepEqual(starts(generateSlots(windows, 30, busy, { now })), ['10:00', '11:30', '12:00']);
+});
+
+test('starts at the first slot boundary after now', () => {
+  const windows = [{ id: 1, starts_at: at('08:00'), ends_at: at('11:00') }];
+  assert.deepEqual(starts(generateSlots(windows, 45, [], { now })), ['09:30', '10:15']);
+});
+
+test('raises durations below the minimum to 15 minutes', () => {
+  const windows = [{ id: 1, starts_at: at('10:00'), ends_at: at('11:00') }];
+  assert.deepEqual(starts(generateSlots(windows, 1, [], { now })), ['10:00', '10:15', '10:30', '10:45']);
+});
+
+test('stays bounded for windows spanning a century', () => {
+  const windows = [{ id: 1, starts_at: new Date('2000-01-01T00:00:00Z'), ends_at: new Date('2100-01-01T00:00:00Z') }];
+  const started = Date.now();
+  const slots = generateSlots(windows, 15, [], { now });
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(slots.length, 1000);
+  assert.equal(slots[0].starts_at.toISOString(), '2030-01-01T09:00:00.000Z');
+});
+
+test('lists the earliest slots across overlapping windows', () => {
+  const windows = [
+    { id: 1, starts_at: at('10:00'), ends_at: new Date('2030-01-20T00:00:00Z') },
+    { id: 2, starts_at: at('10:10'), ends_at: at('11:10') },
+  ];
+  const slots = generateSlots(windows, 60, [], { now, maxSlots: 3 });
+  assert.deepEqual(starts(slots), ['10:00', '10:10', '11:00']);
+  assert.deepEqual(slots.map((s) => s.availability_id), [1, 2, 1]);
+});
+
+test('findSlot accepts free aligned starts beyond the listing cut', () => {
+  const windows = [{ id: 1, starts_at: at('10:00'), ends_at: new Date('2030-01-10T00:00:00Z') }];
+  const slot = findSlot(windows, 60, [], new Date('2030-01-05T10:00:00Z'), { now });
+  assert.equal(slot.availability_id, 1);
+  assert.equal(findSlot(windows, 60, [], new Date('2030-01-05T10:30:00Z'), { now }), null);
+  assert.equal(findSlot(windows, 60, [], at('08:00'), { now }), null);
+  assert.equal(findSlot(windows, 60, [{ starts_at: at('10:30'), ends_at: at('11:30') }], at('10:00'), { now }), null);
+});
+
+test(`findSlot matches generateSlots at the ${MAX_AVAILABILITY_WINDOW_DAYS}-day horizon`, () => {
+  const windows = [{ id: 1, starts_at: at('09:00'), ends_at: new Date('2031-01-01T00:00:00Z') }];
+  const last = generateSlots(windows, 60, [], { now, maxSlots: Infinity }).at(-1);
+  assert.ok(findSlot(windows, 60, [], last.starts_at, { now }));
+  assert.equal(findSlot(windows, 60, [], new Date(last.starts_at.getTime() + 60 * 60 * 1000), { now }), null);
+});